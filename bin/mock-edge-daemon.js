@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+/*
+ * Copyright (c) 2018 Alibaba Group Holding Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// Runs a local stand-in for mbusd, dimu and config manager of Link IoT Edge, so
+// that drivers can be run and observed without a gateway. Run it with --help
+// for the usage.
+
+const fs = require('fs');
+const readline = require('readline');
+
+const busAddress = require('../lib/bus-address');
+const MockEdgeDaemon = require('../lib/mock-edge-daemon');
+
+const USAGE = `Usage: linkedge-mock-daemon [options]
+
+Options:
+  --address <address>           the D-Bus address to listen on, defaults to
+                                $${busAddress.BUS_ADDRESS_ENV} or ${busAddress.DEFAULT_BUS_ADDRESS}
+  --config <file>               the driver config in JSON
+  --tsl <productKey>=<file>     the TSL of a product, can be repeated
+  --tsl-ext-info <productKey>=<file>
+                                the TSL ext info of a product, can be repeated
+  --help                        show this help
+
+Commands from stdin:
+  things                                    list the connected things
+  get <productKey> <name> <key>[,<key>...]  get properties of a thing
+  set <productKey> <name> <properties>      set properties of a thing in JSON
+  call <productKey> <name> <service> [<args>]
+                                            call a service of a thing with args in JSON
+  config <file>                             update the driver config
+`;
+
+const OPTIONS = ['--address', '--config', '--tsl', '--tsl-ext-info'];
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function parseArgs(argv) {
+  var args = {
+    address: process.env[busAddress.BUS_ADDRESS_ENV] || busAddress.DEFAULT_BUS_ADDRESS,
+    tsls: [],
+    tslExtInfos: [],
+  };
+  for (var i = 0; i < argv.length; i++) {
+    var arg = argv[i];
+    if (arg === '--help') {
+      args.help = true;
+      continue;
+    }
+    if (OPTIONS.indexOf(arg) === -1) {
+      throw new Error(`Unknown option ${arg}.`);
+    }
+    var value = argv[++i];
+    if (value === undefined) {
+      throw new Error(`Missing value of ${arg}.`);
+    }
+    if (arg === '--address') {
+      args.address = value;
+    } else if (arg === '--config') {
+      args.config = value;
+    } else {
+      var index = value.indexOf('=');
+      if (index <= 0) {
+        throw new Error(`Illegal ${arg} "${value}", expected <productKey>=<file>.`);
+      }
+      var list = arg === '--tsl' ? args.tsls : args.tslExtInfos;
+      list.push([value.slice(0, index), value.slice(index + 1)]);
+    }
+  }
+  return args;
+}
+
+function print(message, value) {
+  console.log(value === undefined ? message : `${message} ${JSON.stringify(value)}`);
+}
+
+// Runs a command from stdin, and returns a promise of the reply if any.
+function runCommand(daemon, line) {
+  var words = line.trim().split(/\s+/);
+  var command = words[0];
+  if (!command) {
+    return;
+  }
+  if (command === 'things') {
+    daemon.things().forEach((thing) => {
+      print(`${thing} (${thing.thingId}) ${thing.online ? 'online' : 'offline'}`);
+    });
+    return;
+  }
+  if (command === 'config') {
+    daemon.setDriverConfig(readJson(words[1]));
+    return;
+  }
+  if (['get', 'set', 'call'].indexOf(command) === -1) {
+    throw new Error(`Unknown command ${command}.`);
+  }
+  var thing = daemon.thing(words[1], words[2]);
+  if (!thing) {
+    throw new Error(`Thing ${words[1]}-${words[2]} is not found.`);
+  }
+  // The JSON may contain spaces, so take the rest of the words.
+  var rest = n => words.slice(n).join(' ');
+  switch (command) {
+    case 'get':
+      return thing.getProperties(words[3] ? words[3].split(',') : []);
+    case 'set':
+      return thing.setProperties(JSON.parse(rest(3)));
+    case 'call':
+      return thing.callService(words[3], JSON.parse(rest(4) || '{}'));
+  }
+}
+
+function main() {
+  var args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+  var daemon = new MockEdgeDaemon();
+  try {
+    if (args.config) {
+      daemon.setDriverConfig(readJson(args.config));
+    }
+    args.tsls.forEach(([productKey, file]) => daemon.setTsl(productKey, readJson(file)));
+    args.tslExtInfos.forEach(([productKey, file]) => {
+      daemon.setTslExtInfo(productKey, readJson(file));
+    });
+  } catch (err) {
+    console.error(`Failed to load the configs: ${err.message}`);
+    process.exit(1);
+  }
+  daemon.on('driverRegistered', (params) => print('Driver registered', params));
+  daemon.on('driverUnregistered', (params) => print('Driver unregistered', params));
+  daemon.on('thingConnected', (thing) => print(`Thing ${thing} connected`));
+  daemon.on('thingDisconnected', (thing) => print(`Thing ${thing} disconnected`));
+  daemon.on('properties', (thing, properties) => {
+    print(`Thing ${thing} reported properties`, properties);
+  });
+  daemon.on('event', (thing, name, value) => {
+    print(`Thing ${thing} reported event ${name}`, value);
+  });
+
+  daemon.listen(args.address)
+    .then(() => {
+      var input = readline.createInterface({ input: process.stdin });
+      input.on('line', (line) => {
+        new Promise((resolve) => {
+          resolve(runCommand(daemon, line));
+        }).then((reply) => {
+          if (reply) {
+            print('Reply', reply);
+          }
+        }).catch((err) => {
+          console.error(`${err.message || err}`);
+        });
+      });
+      var shutdown = () => {
+        input.close();
+        daemon.close().then(() => process.exit(0));
+      };
+      process.once('SIGINT', shutdown);
+      process.once('SIGTERM', shutdown);
+    })
+    .catch((err) => {
+      console.error(`Failed to listen on ${args.address}: ${err.message || err}`);
+      process.exit(1);
+    });
+}
+
+main();
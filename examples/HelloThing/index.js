@@ -54,7 +54,8 @@ class Connector {
    * Connects to Link IoT Edge and publishes properties and events to it.
    */
   connect() {
-    return this._client.registerAndOnline()
+    // Retry with the default back off policy until it succeeds.
+    return this._client.registerAndOnline({ retry: true })
       .then(() => {
         return new Promise(() => {
           // Publish properties and events to Link IoT Edge.
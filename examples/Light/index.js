@@ -24,34 +24,16 @@
 'use strict';
 
 const {
-  RESULT_SUCCESS,
-  RESULT_FAILURE,
   ThingAccessClient,
   Config,
 } = require('linkedge-thing-access-sdk');
 
-// Max retry interval in seconds for registerAndOnline.
-const MAX_RETRY_INTERVAL = 30;
-
-// Wraps registering and connecting to Link IoT Edge with back off retry policy.
-function registerAndOnlineWithBackOffRetry(client, retryInterval) {
-  return new Promise((resolve) => {
-    function retry(interval) {
-      client.registerAndOnline()
-        .then(() => resolve())
-        .catch((err) => {
-          console.log(
-            `RegisterAndOnline failed due to ${err}, retry in ${interval} seconds...`);
-          setTimeout(() => {
-            const nextInterval = Math.min(MAX_RETRY_INTERVAL, interval * 2);
-            retry(nextInterval);
-          }, interval * 1000);
-        });
-    }
-
-    retry(retryInterval);
-  });
-}
+// Retry policy for registerAndOnline, which backs off from 1 second up to 30 seconds.
+const RETRY_POLICY = {
+  initialInterval: 1000,
+  maxInterval: 30000,
+  jitter: 0.2,
+};
 
 /**
  * A dummy light which can be turned on or off by updating its <code>isOn</code> property.
@@ -77,10 +59,16 @@ class Connector {
   constructor(config, light) {
     this.config = config;
     this.light = light;
-    this._client = new ThingAccessClient(config, {
-      setProperties: this._setProperties.bind(this),
-      getProperties: this._getProperties.bind(this),
-      callService: this._callService.bind(this),
+    // Requests for other properties or any service are replied with errors
+    // automatically since no callback is given.
+    this._client = new ThingAccessClient(config, {})
+      .handleProperty('LightSwitch', {
+        get: this._getLightSwitch.bind(this),
+        set: this._setLightSwitch.bind(this),
+      });
+    this._client.on('retry', (attempts, delay, err) => {
+      console.log(
+        `RegisterAndOnline failed due to ${err}, retry in ${delay / 1000} seconds...`);
     });
   }
 
@@ -88,7 +76,7 @@ class Connector {
    * Connects to Link IoT Edge and publishes properties to it.
    */
   connect() {
-    return registerAndOnlineWithBackOffRetry(this._client, 1)
+    return this._client.registerAndOnline({ retry: RETRY_POLICY })
       .then(() => {
         return new Promise(() => {
           // Publish properties to Link IoT Edge.
@@ -115,57 +103,23 @@ class Connector {
       });
   }
 
-  _setProperties(properties) {
-    console.log('Set properties %s to thing %s-%s', JSON.stringify(properties),
-      this.config.productKey, this.config.deviceName);
-    if ('LightSwitch' in properties) {
-      var value = properties['LightSwitch'];
-      var isOn = value === 1;
-      if (this.light.isOn !== isOn) {
-        // Report new property to Link IoT Edge if it changed.
-        this.light.isOn = isOn;
-        if (this._client) {
-          properties = {'LightSwitch': value};
-          console.log(`Report properties: ${JSON.stringify(properties)}`);
-          this._client.reportProperties(properties);
-        }
-      }
-      return {
-        code: RESULT_SUCCESS,
-        message: 'success',
-      };
-    }
-    return {
-      code: RESULT_FAILURE,
-      message: 'The requested properties does not exist.',
-    };
+  _getLightSwitch() {
+    console.log('Get LightSwitch from thing %s-%s', this.config.productKey,
+      this.config.deviceName);
+    return this.light.isOn ? 1 : 0;
   }
 
-  _getProperties(keys) {
-    console.log('Get properties %s from thing %s-%s', JSON.stringify(keys),
+  _setLightSwitch(value) {
+    console.log('Set LightSwitch %s to thing %s-%s', JSON.stringify(value),
       this.config.productKey, this.config.deviceName);
-    if (keys.includes('LightSwitch')) {
-      return {
-        code: RESULT_SUCCESS,
-        message: 'success',
-        params: {
-          'LightSwitch': this.light.isOn ? 1 : 0,
-        }
-      };
+    var isOn = value === 1;
+    if (this.light.isOn !== isOn) {
+      // Report new property to Link IoT Edge if it changed.
+      this.light.isOn = isOn;
+      var properties = {'LightSwitch': value};
+      console.log(`Report properties: ${JSON.stringify(properties)}`);
+      this._client.reportProperties(properties);
     }
-    return {
-      code: RESULT_FAILURE,
-      message: 'The requested properties does not exist.',
-    }
-  }
-
-  _callService(name, args) {
-    console.log('Call service %s with %s on thing %s-%s', JSON.stringify(name),
-      JSON.stringify(args), this.config.productKey, this.config.deviceName);
-    return {
-      code: RESULT_FAILURE,
-      message: 'The requested service does not exist.',
-    };
   }
 }
 
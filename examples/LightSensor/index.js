@@ -31,28 +31,12 @@ const {
   Config,
 } = require('linkedge-thing-access-sdk');
 
-// Max retry interval in seconds for registerAndOnline.
-const MAX_RETRY_INTERVAL = 30;
-
-// Wraps registering and connecting to Link IoT Edge with back off retry policy.
-function registerAndOnlineWithBackOffRetry(client, retryInterval) {
-  return new Promise((resolve) => {
-    function retry(interval) {
-      client.registerAndOnline()
-        .then(() => resolve())
-        .catch((err) => {
-          console.log(
-            `RegisterAndOnline failed due to ${err}, retry in ${interval} seconds...`);
-          setTimeout(() => {
-            const nextInterval = Math.min(MAX_RETRY_INTERVAL, interval * 2);
-            retry(nextInterval);
-          }, interval * 1000);
-        });
-    }
-
-    retry(retryInterval);
-  });
-}
+// Retry policy for registerAndOnline, which backs off from 1 second up to 30 seconds.
+const RETRY_POLICY = {
+  initialInterval: 1000,
+  maxInterval: 30000,
+  jitter: 0.2,
+};
 
 /**
  * A dummy light sensor which starts to publish illuminance between 100 and 600 with 100
@@ -131,13 +115,17 @@ class Connector {
       getProperties: this._getProperties.bind(this),
       callService: this._callService.bind(this),
     });
+    this._client.on('retry', (attempts, delay, err) => {
+      console.log(
+        `RegisterAndOnline failed due to ${err}, retry in ${delay / 1000} seconds...`);
+    });
   }
 
   /**
    * Connects to Link IoT Edge and publishes properties to it.
    */
   connect() {
-    return registerAndOnlineWithBackOffRetry(this._client, 1)
+    return this._client.registerAndOnline({ retry: RETRY_POLICY })
       .then(() => {
         return new Promise(() => {
           // Running..., listen to sensor, and report to Link IoT Edge.
@@ -18,12 +18,35 @@
 
 const ThingInfo = require('./lib/thing-info');
 const Config = require('./lib/config');
+const ConfigWatcher = require('./lib/config-watcher');
+const Driver = require('./lib/driver');
+const Tsl = require('./lib/tsl');
+const busAddress = require('./lib/bus-address');
+const logger = require('./lib/logger');
+const shutdown = require('./lib/shutdown');
+const thingAccess = require('./lib/thing-access');
+const {
+  ERROR_PROPERTY_NOT_EXIST,
+  ERROR_PROPERTY_READ_ONLY,
+  ERROR_PROPERTY_WRITE_ONLY,
+  ERROR_SERVICE_NOT_EXIST,
+  ERROR_SERVICE_INVALID_PARAM,
+  ERROR_INVALID_JSON,
+  ERROR_INVALID_TYPE,
+  ERROR_UNKNOWN,
+  ERROR_TIMEOUT,
+  ERROR_PARAM_RANGE_OVERFLOW,
+  ERROR_SERVICE_UNREACHABLE,
+  ERROR_FILE_NOT_EXIST,
+  ThingAccessError,
+} = require('./lib/errors');
 const {
   session,
   ThingAccess,
   ThingAccessClient,
   DriverConfigManager,
-} = require('./lib/thing-access');
+  timed,
+} = thingAccess;
 
 /**
  * Key for specifying product key in <i>config</i> that passed to {@link ThingAccessClient}
@@ -91,21 +114,6 @@ const RESULT_SUCCESS = 0;
  */
 const RESULT_FAILURE = -3;
 
-// Error no. for callbacks.
-const ERROR_PROPERTY_NOT_EXIST = 109002;
-const ERROR_PROPERTY_READ_ONLY = 109003;
-const ERROR_PROPERTY_WRITE_ONLY = 109004;
-const ERROR_SERVICE_NOT_EXIST = 109005;
-const ERROR_SERVICE_INVALID_PARAM = 109006;
-const ERROR_INVALID_JSON = 109007;
-const ERROR_INVALID_TYPE = 109008;
-
-const ERROR_UNKNOWN = 100000;
-const ERROR_TIMEOUT = 100006;
-const ERROR_PARAM_RANGE_OVERFLOW = 100007;
-const ERROR_SERVICE_UNREACHABLE = 100008;
-const ERROR_FILE_NOT_EXIST = 100009;
-
 // Errors
 /**
  * Code for the error thrown during setting up.
@@ -166,6 +174,187 @@ const ERROR_GET_CONFIG = ThingAccess.ERROR_GET_CONFIG;
  */
 const ERROR_UNREGISTER = ThingAccess.ERROR_UNREGISTER;
 
+/**
+ * Code for the error which a report is rejected with once the rate limit is
+ * exceeded.
+ *
+ * @type {String}
+ */
+const ERROR_RATE_LIMITED = ThingAccess.ERROR_RATE_LIMITED;
+
+// States
+/**
+ * State of a thing which is not set up yet, or has been cleaned up.
+ *
+ * @type {String}
+ */
+const STATE_IDLE = thingAccess.STATE_IDLE;
+/**
+ * State of a thing which is setting up.
+ *
+ * @type {String}
+ */
+const STATE_SETTING_UP = thingAccess.STATE_SETTING_UP;
+/**
+ * State of a thing which is connecting to Link IoT Edge.
+ *
+ * @type {String}
+ */
+const STATE_CONNECTING = thingAccess.STATE_CONNECTING;
+/**
+ * State of a thing which is connected to Link IoT Edge.
+ *
+ * @type {String}
+ */
+const STATE_ONLINE = thingAccess.STATE_ONLINE;
+/**
+ * State of a thing which is set up but not connected to Link IoT Edge.
+ *
+ * @type {String}
+ */
+const STATE_OFFLINE = thingAccess.STATE_OFFLINE;
+/**
+ * State of a thing which is cleaning up.
+ *
+ * @type {String}
+ */
+const STATE_CLEANING_UP = thingAccess.STATE_CLEANING_UP;
+/**
+ * State of a thing which has been unregistered from Link IoT Edge.
+ *
+ * @type {String}
+ */
+const STATE_UNREGISTERED = thingAccess.STATE_UNREGISTERED;
+/**
+ * State of a thing whose last setting up, connecting or cleaning up failed.
+ *
+ * @type {String}
+ */
+const STATE_FAILED = thingAccess.STATE_FAILED;
+
+/**
+ * The default address of the edge bus, which is used when neither
+ * {@link configureEdgeBus} is called nor {@link BUS_ADDRESS_ENV} is set.
+ *
+ * @type {String}
+ */
+const DEFAULT_BUS_ADDRESS = busAddress.DEFAULT_BUS_ADDRESS;
+
+/**
+ * The environment variable for specifying the edge bus address, e.g.
+ * <code>LINKEDGE_BUS_ADDRESS=tcp:host=127.0.0.1,port=7000</code>.
+ *
+ * @type {String}
+ */
+const BUS_ADDRESS_ENV = busAddress.BUS_ADDRESS_ENV;
+
+/**
+ * Configures the edge bus to connect to. It must be called before any other
+ * methods that access Link IoT Edge, and takes precedence over
+ * {@link BUS_ADDRESS_ENV}.
+ *
+ * @param {Object} options the edge bus options.
+ * @param {String} [options.busAddress] a D-Bus address, e.g.
+ *   <code>unix:path=/tmp/var/run/mbusd/mbusd_socket</code>,
+ *   <code>unix:abstract=mbusd</code> or <code>tcp:host=127.0.0.1,port=7000</code>.
+ * @param {String} [options.transport] the transport, <code>unix</code> or
+ *   <code>tcp</code>, used with the following params instead of <i>busAddress</i>.
+ * @param {String} [options.path] the socket path for <code>unix</code> transport.
+ * @param {String} [options.abstract] the abstract socket name for <code>unix</code>
+ *   transport.
+ * @param {String} [options.host] the host for <code>tcp</code> transport.
+ * @param {Number} [options.port] the port for <code>tcp</code> transport.
+ * @param {Boolean} [options.reconnect=true] whether to reconnect when the edge bus
+ *   is lost.
+ * @param {Number} [options.reconnectInterval=1000] the initial delay in milliseconds
+ *   before reconnecting, which doubles on each failed attempt.
+ * @param {Number} [options.maxReconnectInterval=60000] the upper limit of the delay
+ *   in milliseconds.
+ * @param {Object} [options.rateLimit] limits the rate of the properties and events
+ *   reported by all things, which is same as the <code>rateLimit</code> option of
+ *   {@link ThingAccessClient}. See {@link getRateLimitStats} for its metrics.
+ * @throws {Error} if the options are illegal or it's too late to configure.
+ */
+function configureEdgeBus(options) {
+  session.configure(options);
+}
+
+/**
+ * Event emitted when the connection to the edge bus is lost. Things connected
+ * before are restored automatically once the edge bus is reconnected. The
+ * callback is called with the error causing the loss, if any.
+ *
+ * @type {String}
+ */
+const EDGE_BUS_DISCONNECTED = 'disconnected';
+
+/**
+ * Event emitted before each attempt to reconnect to the edge bus. The callback
+ * is called with the attempt number and the delay in milliseconds.
+ *
+ * @type {String}
+ */
+const EDGE_BUS_RECONNECTING = 'reconnecting';
+
+/**
+ * Event emitted when the edge bus is reconnected and the driver is registered
+ * again.
+ *
+ * @type {String}
+ */
+const EDGE_BUS_RECONNECTED = 'reconnected';
+
+/**
+ * Registers a callback that will be notified when the edge bus event occurs.
+ *
+ * @param {String} event the event, one of {@link EDGE_BUS_DISCONNECTED},
+ *   {@link EDGE_BUS_RECONNECTING} and {@link EDGE_BUS_RECONNECTED}.
+ * @param {Function} callback callback to notify when the event occurs.
+ */
+function registerEdgeBusCallback(event, callback) {
+  session.on(event, callback);
+}
+
+/**
+ * Unregisters a callback.
+ *
+ * @param {String} event the event.
+ * @param {Function} callback callback to notify when the event occurs.
+ */
+function unregisterEdgeBusCallback(event, callback) {
+  session.removeListener(event, callback);
+}
+
+/**
+ * Configures the logs of the SDK. Logs are written to the console in text at
+ * <code>info</code> level by default.
+ *
+ * @param {Object} [options] the options, each of which is left unchanged if it's
+ *   not specified.
+ * @param {String} [options.level='info'] the minimum level of logs, one of
+ *   <code>debug</code>, <code>info</code>, <code>warn</code>, <code>error</code>
+ *   and <code>silent</code>.
+ * @param {String} [options.format='text'] the format of logs written to the
+ *   console, <code>text</code> or <code>json</code>.
+ * @param {Object|Function} [options.sink] where logs go instead of the console.
+ *   It's either a pino-compatible logger whose <code>debug</code>,
+ *   <code>info</code>, <code>warn</code> and <code>error</code> methods are called
+ *   with the fields and then the message, or a function called with the record
+ *   which includes <code>time</code>, <code>level</code>, <code>msg</code> and
+ *   the fields. Loggers which take the message first, e.g. winston, are adapted
+ *   by a function, e.g. <code>record => logger.log(record.level, record.msg,
+ *   record)</code>. <code>null</code> restores the console.
+ * @param {Array<String|RegExp>} [options.redact=['secret', 'password', 'token']]
+ *   the patterns of keys whose values are redacted from logged payloads and
+ *   fields, e.g. the driver config and the TSL. A string matches the keys which
+ *   contain it case-insensitively.
+ * @param {Number} [options.maxPayloadLength=1024] the max length of a logged
+ *   payload, beyond which it's truncated. <code>Infinity</code> disables it.
+ */
+function configureLogger(options) {
+  logger.configure(options);
+}
+
 /**
  * Returns the global config string.
  *
@@ -175,12 +364,97 @@ function getConfig() {
   return DriverConfigManager.get().getConfig();
 }
 
-// Initializing...
-DriverConfigManager.get().listenChanges()
-  .catch((err) => {
-    console.log(`Failed to listen driver config changes: ${err}.`);
-    process.exit(1);
-  });
+var initPromise = undefined;
+
+/**
+ * Initializes the package explicitly: connects to the edge bus, registers the
+ * driver and subscribes the driver config changes. Requiring the package has no
+ * side effects, and it's initialized lazily by the first call which accesses
+ * Link IoT Edge if this is not called, which makes failures surface later.
+ * <p>
+ * It returns the same promise if it's initializing or initialized, and can be
+ * called again once it fails or {@link destroy} is called.
+ *
+ * @param {Object} [options] the options. The edge bus options are same as
+ *   {@link configureEdgeBus}, which are merged with the configured ones.
+ * @param {String} [options.functionId] the id of the driver, which is
+ *   <code>FUNCTION_ID</code> set by the runtime by default.
+ * @param {String} [options.functionName] the name of the driver, which is
+ *   <code>FUNCTION_NAME</code> set by the runtime by default.
+ * @param {Boolean} [options.listenChanges=true] whether to subscribe the driver
+ *   config changes.
+ * @returns {Promise<Void>} rejects if the options are illegal, the identifiers
+ *   are missing, or connecting, registering or subscribing fails.
+ */
+function init(options) {
+  if (!initPromise) {
+    initPromise = new Promise((resolve) => {
+      options = Object.assign({ listenChanges: true }, options);
+      var sessionOptions = Object.assign({}, options);
+      delete sessionOptions.listenChanges;
+      if (Object.keys(sessionOptions).length > 0) {
+        session.configure(Object.assign({}, session.options, sessionOptions));
+      }
+      resolve(session.initialize());
+    }).then(() => {
+      if (options.listenChanges) {
+        return DriverConfigManager.get().listenChanges();
+      }
+    }).catch((err) => {
+      initPromise = undefined;
+      throw err;
+    });
+  }
+  return initPromise;
+}
+
+/**
+ * Enables the graceful shutdown hook, which is disabled by default. On any of the
+ * signals or an uncaught exception, it takes all connected things offline, stops
+ * listening the driver config changes and disconnects from the edge bus within
+ * the deadline, and then exits the process with:
+ * <ul>
+ *   <li><code>128 + the signal number</code> after a signal, e.g. 143 for
+ *   <code>SIGTERM</code>,</li>
+ *   <li><code>1</code> after an uncaught exception, or if the shutdown fails or
+ *   times out.</li>
+ * </ul>
+ * The process exits immediately if a signal is received again while shutting
+ * down. Calling it again replaces the previous options.
+ *
+ * @param {Object} [options] the options.
+ * @param {Array<String>} [options.signals=['SIGTERM', 'SIGINT']] the signals to
+ *   shut down on.
+ * @param {Number} [options.timeout=5000] the deadline of the shutdown in
+ *   milliseconds.
+ * @param {Boolean} [options.uncaughtException=true] whether to shut down on an
+ *   uncaught exception.
+ * @param {Function} [options.onShutdown] called with the reason before the things
+ *   are taken offline, e.g. to destroy a {@link Driver}. It may return a promise
+ *   which is waited within the deadline.
+ * @throws {Error} if the options are illegal.
+ */
+function enableGracefulShutdown(options) {
+  shutdown.enable(options);
+}
+
+/**
+ * Disables the graceful shutdown hook enabled by {@link enableGracefulShutdown}.
+ */
+function disableGracefulShutdown() {
+  shutdown.disable();
+}
+
+/**
+ * Returns the metrics of the rate limiter of all things enabled by the
+ * <code>rateLimit</code> option of {@link configureEdgeBus}, which are same as
+ * {@link ThingAccessClient#rateLimitStats}.
+ *
+ * @returns {Object|undefined} the metrics, or undefined if it's not enabled.
+ */
+function getRateLimitStats() {
+  return session.rateLimitStats();
+}
 
 /**
  * Destroys the whole package. It's usually called when it's no longer used.
@@ -188,6 +462,7 @@ DriverConfigManager.get().listenChanges()
  * @returns {Promise<Void>}
  */
 function destroy() {
+  initPromise = undefined;
   return Promise.resolve(DriverConfigManager.get().unlistenChanges())
     .then(() => {
       return session.finalize();
@@ -223,13 +498,42 @@ module.exports = {
   ERROR_GET_TSL_EXT_INFO,
   ERROR_GET_CONFIG,
   ERROR_UNREGISTER,
+  ERROR_RATE_LIMITED,
+  // Used for states
+  STATE_IDLE,
+  STATE_SETTING_UP,
+  STATE_CONNECTING,
+  STATE_ONLINE,
+  STATE_OFFLINE,
+  STATE_CLEANING_UP,
+  STATE_UNREGISTERED,
+  STATE_FAILED,
   // Used for configs
   PRODUCT_KEY,
   DEVICE_NAME,
   LOCAL_NAME,
+  DEFAULT_BUS_ADDRESS,
+  BUS_ADDRESS_ENV,
+  // Used for edge bus events
+  EDGE_BUS_DISCONNECTED,
+  EDGE_BUS_RECONNECTING,
+  EDGE_BUS_RECONNECTED,
+  configureEdgeBus,
+  registerEdgeBusCallback,
+  unregisterEdgeBusCallback,
+  configureLogger,
+  init,
   getConfig,
   destroy,
+  enableGracefulShutdown,
+  disableGracefulShutdown,
+  getRateLimitStats,
+  timed,
   Config,
+  ConfigWatcher,
+  Driver,
   ThingInfo,
   ThingAccessClient,
+  ThingAccessError,
+  Tsl,
 };
@@ -0,0 +1,76 @@
+/*
+ * Copyright (c) 2018 Alibaba Group Holding Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+
+// A minimal AbortSignal for Node.js versions which don't have it built in.
+class Signal extends EventEmitter {
+  constructor() {
+    super();
+    this.aborted = false;
+    this.reason = undefined;
+    this.onabort = null;
+  }
+
+  addEventListener(type, listener) {
+    this.on(type, listener);
+  }
+
+  removeEventListener(type, listener) {
+    this.removeListener(type, listener);
+  }
+}
+
+// A minimal AbortController for Node.js versions which don't have it built in.
+class Controller {
+  constructor() {
+    this.signal = new Signal();
+  }
+
+  abort(reason) {
+    var signal = this.signal;
+    if (signal.aborted) {
+      return;
+    }
+    signal.aborted = true;
+    signal.reason = reason;
+    var event = { type: 'abort', target: signal };
+    if (typeof signal.onabort === 'function') {
+      signal.onabort(event);
+    }
+    signal.emit('abort', event);
+  }
+}
+
+/**
+ * Creates an <code>AbortController</code>, which is the built-in one if it's
+ * available.
+ *
+ * @returns {AbortController}
+ * @private
+ */
+function createAbortController() {
+  if (typeof AbortController === 'function') {
+    return new AbortController();
+  }
+  return new Controller();
+}
+
+module.exports = {
+  createAbortController,
+};
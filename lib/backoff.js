@@ -0,0 +1,102 @@
+/*
+ * Copyright (c) 2018 Alibaba Group Holding Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const DEFAULT_INITIAL_INTERVAL = 1000;
+const DEFAULT_MAX_INTERVAL = 60000;
+const DEFAULT_MULTIPLIER = 2;
+
+function checkInterval(name, value) {
+  if (typeof value !== 'number' || !(value >= 0) || value === Infinity) {
+    throw new Error(`Illegal "${name}": ${value}, expected a non-negative number.`);
+  }
+}
+
+/**
+ * An exponential back off policy which computes the delays between attempts.
+ *
+ * @private
+ */
+class Backoff {
+  /**
+   * Constructs a new Backoff.
+   *
+   * @param {Number} [initialInterval=1000] the delay in milliseconds before the first retry.
+   * @param {Number} [maxInterval=60000] the upper limit of the delay in milliseconds.
+   * @param {Number} [multiplier=2] the factor the delay grows by on each attempt.
+   * @param {Number} [jitter=0] the randomization factor between 0 and 1. A delay
+   *   <i>d</i> is randomized into <i>[d * (1 - jitter), d * (1 + jitter)]</i>.
+   */
+  constructor({
+    initialInterval = DEFAULT_INITIAL_INTERVAL,
+    maxInterval = DEFAULT_MAX_INTERVAL,
+    multiplier = DEFAULT_MULTIPLIER,
+    jitter = 0,
+  } = {}) {
+    checkInterval('initialInterval', initialInterval);
+    checkInterval('maxInterval', maxInterval);
+    if (maxInterval < initialInterval) {
+      throw new Error(`"maxInterval" must not be less than "initialInterval".`);
+    }
+    if (typeof multiplier !== 'number' || !(multiplier >= 1)) {
+      throw new Error(`Illegal "multiplier": ${multiplier}, expected a number >= 1.`);
+    }
+    if (typeof jitter !== 'number' || !(jitter >= 0 && jitter <= 1)) {
+      throw new Error(`Illegal "jitter": ${jitter}, expected a number between 0 and 1.`);
+    }
+    this.initialInterval = initialInterval;
+    this.maxInterval = maxInterval;
+    this.multiplier = multiplier;
+    this.jitter = jitter;
+    this.reset();
+  }
+
+  /**
+   * The number of delays computed since the last reset.
+   *
+   * @type {Number}
+   */
+  get attempts() {
+    return this._attempts;
+  }
+
+  /**
+   * Returns the delay before the next attempt, and grows the delay.
+   *
+   * @returns {Number} the delay in milliseconds.
+   */
+  next() {
+    var interval = this._interval;
+    this._interval = Math.min(this.maxInterval, interval * this.multiplier);
+    this._attempts++;
+    if (this.jitter) {
+      var delta = interval * this.jitter;
+      interval += delta * (Math.random() * 2 - 1);
+    }
+    return Math.round(Math.min(this.maxInterval, Math.max(0, interval)));
+  }
+
+  /**
+   * Resets the delay to the initial interval.
+   */
+  reset() {
+    this._interval = this.initialInterval;
+    this._attempts = 0;
+  }
+}
+
+module.exports = Backoff;
@@ -0,0 +1,190 @@
+/*
+ * Copyright (c) 2018 Alibaba Group Holding Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Helpers for resolving and validating the D-Bus address of the edge bus. An
+// address is in the form of `transport:key1=value1,key2=value2`, see
+// https://dbus.freedesktop.org/doc/dbus-specification.html#addresses.
+
+'use strict';
+
+/**
+ * The address of the edge bus on Link IoT Edge gateways.
+ *
+ * @type {String}
+ */
+const DEFAULT_BUS_ADDRESS = 'unix:path=/tmp/var/run/mbusd/mbusd_socket';
+
+/**
+ * The environment variable that overrides the default edge bus address.
+ *
+ * @type {String}
+ */
+const BUS_ADDRESS_ENV = 'LINKEDGE_BUS_ADDRESS';
+
+// Supported transports and the keys they accept. Each transport requires one of
+// the listed key groups to be present.
+const TRANSPORTS = {
+  unix: {
+    keys: ['path', 'abstract'],
+    required: [['path'], ['abstract']],
+  },
+  tcp: {
+    keys: ['host', 'port', 'family'],
+    required: [['host', 'port']],
+  },
+};
+
+function illegalAddress(address, reason) {
+  return new Error(`Illegal edge bus address "${address}": ${reason}.`);
+}
+
+// Checks the transport and its params, and throws an error if they are illegal.
+function validate(address, transport, params) {
+  var desc = TRANSPORTS[transport];
+  if (!desc) {
+    throw illegalAddress(address, `unsupported transport "${transport}", ` +
+      `expected one of ${Object.keys(TRANSPORTS).join(', ')}`);
+  }
+  Object.keys(params).forEach((key) => {
+    if (desc.keys.indexOf(key) === -1) {
+      throw illegalAddress(address, `unknown key "${key}" for transport "${transport}"`);
+    }
+    if (!params[key]) {
+      throw illegalAddress(address, `empty value of key "${key}"`);
+    }
+  });
+  var satisfied = desc.required.some((group) => {
+    return group.every(key => params[key] !== undefined);
+  });
+  if (!satisfied) {
+    var expected = desc.required.map(group => `"${group.join('" and "')}"`).join(' or ');
+    throw illegalAddress(address, `transport "${transport}" requires ${expected}`);
+  }
+  if (transport === 'unix' && params.path && params.abstract) {
+    throw illegalAddress(address, `"path" and "abstract" are mutually exclusive`);
+  }
+  if (transport === 'tcp') {
+    var port = Number(params.port);
+    if (!Number.isInteger(port) || port <= 0 || port > 65535) {
+      throw illegalAddress(address, `illegal port "${params.port}"`);
+    }
+  }
+}
+
+/**
+ * Parses a D-Bus address string into its transport and params.
+ *
+ * @param {String} address the address string, e.g. <code>unix:path=/tmp/socket</code>.
+ * @returns {{transport: String, params: Object}}
+ * @throws {Error} if the address is malformed or not supported.
+ */
+function parse(address) {
+  if (typeof address !== 'string' || !address.trim()) {
+    throw illegalAddress(address, 'not a non-empty string');
+  }
+  if (address.indexOf(';') !== -1) {
+    throw illegalAddress(address, 'multiple addresses are not supported');
+  }
+  var index = address.indexOf(':');
+  if (index <= 0) {
+    throw illegalAddress(address, 'missing transport');
+  }
+  var transport = address.slice(0, index).trim();
+  var params = {};
+  address.slice(index + 1).split(',').forEach((pair) => {
+    if (!pair) {
+      return;
+    }
+    var separator = pair.indexOf('=');
+    if (separator <= 0) {
+      throw illegalAddress(address, `malformed key-value pair "${pair}"`);
+    }
+    var key = pair.slice(0, separator).trim();
+    if (params[key] !== undefined) {
+      throw illegalAddress(address, `duplicated key "${key}"`);
+    }
+    params[key] = decodeURIComponent(pair.slice(separator + 1).trim());
+  });
+  validate(address, transport, params);
+  return { transport, params };
+}
+
+/**
+ * Formats a transport and its params into a D-Bus address string.
+ *
+ * @param {String} transport the transport, <code>unix</code> or <code>tcp</code>.
+ * @param {Object} params the params of the transport, e.g. <code>{path: '/tmp/socket'}</code>.
+ * @returns {String}
+ * @throws {Error} if the transport or params are illegal.
+ */
+function format(transport, params) {
+  var pairs = Object.keys(params || {})
+    .filter(key => params[key] !== undefined && params[key] !== null)
+    .map(key => `${key}=${encodeURIComponent(params[key]).replace(/%2F/g, '/')}`);
+  var address = `${transport}:${pairs.join(',')}`;
+  parse(address);
+  return address;
+}
+
+/**
+ * Resolves the edge bus address. The address is chosen in the following order:
+ * <ol>
+ *   <li><code>options.busAddress</code>,</li>
+ *   <li><code>options.transport</code> with its params(<code>path</code>,
+ *   <code>abstract</code>, <code>host</code> or <code>port</code>),</li>
+ *   <li>the {@link BUS_ADDRESS_ENV} environment variable,</li>
+ *   <li>{@link DEFAULT_BUS_ADDRESS}.</li>
+ * </ol>
+ *
+ * @param {Object} [options] the edge bus options.
+ * @param {Object} [env] the environment variables, <code>process.env</code> by default.
+ * @returns {String} the validated address.
+ * @throws {Error} if the resolved address is illegal.
+ */
+function resolve(options, env) {
+  options = options || {};
+  env = env || process.env;
+  var address;
+  if (options.busAddress) {
+    if (options.transport) {
+      throw new Error('Only one of "busAddress" and "transport" can be specified.');
+    }
+    address = options.busAddress;
+  } else if (options.transport) {
+    var desc = TRANSPORTS[options.transport];
+    var params = {};
+    (desc ? desc.keys : []).forEach((key) => {
+      if (options[key] !== undefined) {
+        params[key] = options[key];
+      }
+    });
+    return format(options.transport, params);
+  } else if (env[BUS_ADDRESS_ENV]) {
+    address = env[BUS_ADDRESS_ENV];
+  } else {
+    address = DEFAULT_BUS_ADDRESS;
+  }
+  parse(address);
+  return address;
+}
+
+module.exports = {
+  DEFAULT_BUS_ADDRESS,
+  BUS_ADDRESS_ENV,
+  parse,
+  format,
+  resolve,
+};
@@ -0,0 +1,163 @@
+/*
+ * Copyright (c) 2018 Alibaba Group Holding Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+
+const ThingInfo = require('./thing-info');
+const logger = require('./logger');
+const {
+  DriverConfigManager,
+} = require('./thing-access');
+
+// Parses the things in the driver config string. Unlike Config, it allows the
+// device list to be empty, e.g. when all things are removed.
+function parseThingInfos(string) {
+  var config = JSON.parse(string);
+  var devices = config['deviceList'] || [];
+  if (!Array.isArray(devices)) {
+    throw new Error('"deviceList" in config is not an array.');
+  }
+  return devices.map(device => ThingInfo.from(device));
+}
+
+function keyOf(thingInfo) {
+  return `${thingInfo.productKey}/${thingInfo.deviceName}`;
+}
+
+function deepEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object'
+    || Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+  var keys = Object.keys(a);
+  return keys.length === Object.keys(b).length
+    && keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+}
+
+/**
+ * Watches the changes of the driver config, and emits the following events with
+ * the differences of the device list:
+ * <ul>
+ *   <li><code>'deviceAdded'</code>: emitted with the {@link ThingInfo} of a new thing,</li>
+ *   <li><code>'deviceRemoved'</code>: emitted with the {@link ThingInfo} of a removed
+ *   thing,</li>
+ *   <li><code>'deviceUpdated'</code>: emitted with the new and the previous
+ *   {@link ThingInfo} of a thing whose custom config is changed.</li>
+ * </ul>
+ * Things are identified by their product keys and device names. The events of
+ * a change are emitted in the order of removed, updated and added things.
+ */
+class ConfigWatcher extends EventEmitter {
+  /**
+   * Compares two lists of things.
+   *
+   * @param {ThingInfo[]} previous the previous things.
+   * @param {ThingInfo[]} current the current things.
+   * @returns {Object} the differences in form of <code>{added, removed, updated}</code>,
+   *   where <code>updated</code> is a list of <code>[current, previous]</code>.
+   */
+  static diff(previous, current) {
+    var previousMap = new Map(previous.map(thingInfo => [keyOf(thingInfo), thingInfo]));
+    var currentMap = new Map(current.map(thingInfo => [keyOf(thingInfo), thingInfo]));
+    var result = {
+      added: [],
+      removed: [],
+      updated: [],
+    };
+    currentMap.forEach((thingInfo, key) => {
+      var old = previousMap.get(key);
+      if (!old) {
+        result.added.push(thingInfo);
+      } else if (!deepEqual(old.custom, thingInfo.custom)) {
+        result.updated.push([thingInfo, old]);
+      }
+    });
+    previousMap.forEach((thingInfo, key) => {
+      if (!currentMap.has(key)) {
+        result.removed.push(thingInfo);
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Constructs a new ConfigWatcher.
+   */
+  constructor() {
+    super();
+    this._thingInfos = undefined;
+    this._onChanges = this._onChanges.bind(this);
+  }
+
+  /**
+   * Gets the driver config as the baseline, and starts watching its changes.
+   *
+   * @returns {Promise<ThingInfo[]>} the things in the driver config.
+   */
+  start() {
+    var manager = DriverConfigManager.get();
+    return manager.getConfig()
+      .then((config) => {
+        this._thingInfos = parseThingInfos(config);
+        manager.removeListener('changes', this._onChanges);
+        manager.on('changes', this._onChanges);
+        return manager.listenChanges();
+      })
+      .then(() => {
+        return this.thingInfos();
+      });
+  }
+
+  /**
+   * Stops watching the changes.
+   */
+  stop() {
+    DriverConfigManager.get().removeListener('changes', this._onChanges);
+  }
+
+  /**
+   * Returns the things in the latest driver config.
+   *
+   * @returns {ThingInfo[]}
+   */
+  thingInfos() {
+    return (this._thingInfos || []).slice();
+  }
+
+  _onChanges(config) {
+    var thingInfos;
+    try {
+      thingInfos = parseThingInfos(config);
+    } catch (err) {
+      logger.warn(`Ignore the illegal driver config: ${err}.`);
+      return;
+    }
+    var diff = ConfigWatcher.diff(this._thingInfos || [], thingInfos);
+    this._thingInfos = thingInfos;
+    diff.removed.forEach(thingInfo => this.emit('deviceRemoved', thingInfo));
+    diff.updated.forEach(([thingInfo, previous]) => {
+      this.emit('deviceUpdated', thingInfo, previous);
+    });
+    diff.added.forEach(thingInfo => this.emit('deviceAdded', thingInfo));
+  }
+}
+
+module.exports = ConfigWatcher;
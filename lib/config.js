@@ -17,6 +17,7 @@
 'use strict';
 
 const ThingInfo = require('./thing-info');
+const logger = require('./logger');
 const {
   DriverConfigManager,
 } = require('./thing-access');
@@ -27,12 +28,21 @@ const {
 class Config {
 
   /**
-   * Registers a callback that will be notified when the config changed.
+   * Registers a callback that will be notified when the config changed. The
+   * driver config changes are subscribed if they are not yet.
    *
    * @param callback callback to notify when the config changed event occurs.
+   * @returns {Promise<Void>} resolves once the changes are subscribed. Failures
+   *   are logged as well.
    */
   static registerChangedCallback(callback) {
-    DriverConfigManager.get().on('changes', callback);
+    var manager = DriverConfigManager.get();
+    manager.on('changes', callback);
+    var promise = manager.listenChanges();
+    promise.catch((err) => {
+      logger.error(`Failed to listen driver config changes: ${err}.`);
+    });
+    return promise;
   }
 
   /**
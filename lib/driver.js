@@ -0,0 +1,388 @@
+/*
+ * Copyright (c) 2018 Alibaba Group Holding Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+
+const Config = require('./config');
+const ConfigWatcher = require('./config-watcher');
+const retry = require('./retry');
+const { createAbortController } = require('./abort');
+const logger = require('./logger');
+const {
+  ThingAccessClient,
+  STATE_ONLINE,
+} = require('./thing-access');
+
+const DEFAULT_CONCURRENCY = 4;
+
+// Limits the number of operations in flight, and queues the rest in order.
+class Limiter {
+  constructor(concurrency) {
+    this._concurrency = concurrency;
+    this._active = 0;
+    this._queue = [];
+  }
+
+  run(operation) {
+    return new Promise((resolve) => {
+      this._queue.push(resolve);
+      this._next();
+    }).then(() => {
+      return new Promise((resolve) => {
+        resolve(operation());
+      }).finally(() => {
+        this._active--;
+        this._next();
+      });
+    });
+  }
+
+  _next() {
+    if (this._active < this._concurrency && this._queue.length > 0) {
+      this._active++;
+      this._queue.shift()();
+    }
+  }
+}
+
+function abortError() {
+  var error = new Error('Thing is stopped.');
+  error.name = 'AbortError';
+  return error;
+}
+
+function isAbortError(err) {
+  return !!err && err.name === 'AbortError';
+}
+
+function nameOf(thingInfo) {
+  return `${thingInfo.productKey}-${thingInfo.deviceName || thingInfo.localName}`;
+}
+
+/**
+ * A supervisor which manages all things in the driver config. It creates a
+ * {@link ThingAccessClient} for each {@link ThingInfo} with the callbacks made by
+ * the factory, brings them online concurrently, retries the failed ones with
+ * exponential back off, and tears them all down on {@link Driver#destroy}.
+ * <pre>
+ *   const driver = new Driver((thingInfo) => {
+ *     return {
+ *       getProperties: (keys) => { ... },
+ *       setProperties: (properties) => { ... },
+ *     };
+ *   });
+ *   driver.start();
+ * </pre>
+ * <p>
+ * It's also an <code>EventEmitter</code> which emits the following events:
+ * <ul>
+ *   <li><code>'online'</code> and <code>'offline'</code>: emitted with the
+ *   {@link ThingInfo} and the {@link ThingAccessClient} when the thing becomes
+ *   online or is no longer online,</li>
+ *   <li><code>'retry'</code>: emitted with the {@link ThingInfo}, the number of
+ *   failed attempts, the delay in milliseconds and the error before retrying to
+ *   bring the thing online,</li>
+ *   <li><code>'failed'</code>: emitted with the {@link ThingInfo} and the last
+ *   error when the attempts to bring the thing online are exhausted,</li>
+ *   <li><code>'error'</code>: emitted with the error and the {@link ThingInfo}
+ *   when a client emits an <code>'error'</code> event. Errors are only logged if
+ *   no listener is registered.</li>
+ * </ul>
+ */
+class Driver extends EventEmitter {
+  /**
+   * Constructs a new Driver.
+   *
+   * @param {Function} factory the function called with each {@link ThingInfo},
+   *   which returns the callbacks for its {@link ThingAccessClient}, or a promise
+   *   of them.
+   * @param {Object} [options] the options.
+   * @param {Number} [options.concurrency=4] the max number of things being brought
+   *   online at the same time.
+   * @param {Boolean|Object} [options.retry=true] the retry policy of bringing things
+   *   online, which is same as the <code>retry</code> option of
+   *   {@link ThingAccessClient#registerAndOnline} except <code>signal</code>.
+   *   <code>false</code> disables retrying.
+   * @param {Object} [options.clientOptions] the options passed to each
+   *   {@link ThingAccessClient}.
+   * @param {Boolean} [options.watchChanges=true] whether to add, remove and
+   *   restart things on changes of the driver config.
+   */
+  constructor(factory, options) {
+    if (typeof factory !== 'function') {
+      throw new Error('Illegal factory');
+    }
+    options = Object.assign({
+      concurrency: DEFAULT_CONCURRENCY,
+      retry: true,
+      watchChanges: true,
+    }, options);
+    if (!Number.isInteger(options.concurrency) || options.concurrency <= 0) {
+      throw new Error(`Illegal "concurrency": ${options.concurrency}, ` +
+        'expected a positive integer.');
+    }
+    if (typeof options.retry !== 'boolean'
+      && (!options.retry || typeof options.retry !== 'object')) {
+      throw new Error('Illegal "retry", expected a boolean or an object.');
+    }
+    super();
+    this.factory = factory;
+    this.options = options;
+    this._devices = [];
+    this._limiter = new Limiter(options.concurrency);
+    this._watcher = undefined;
+    this._startPromise = undefined;
+    this._controller = undefined;
+  }
+
+  /**
+   * Gets the driver config, and brings all things in it online. It resolves once
+   * each thing is either online or failed after exhausting the attempts, which
+   * means it doesn't resolve until all things are online if retrying is not
+   * limited.
+   * <p>
+   * If the <code>watchChanges</code> option is enabled, the things added to the
+   * driver config later are brought online, the removed ones are taken offline
+   * and cleaned up, and the ones whose custom config is changed are restarted
+   * with new callbacks from the factory.
+   *
+   * @returns {Promise<Void>}
+   */
+  start() {
+    if (!this._startPromise) {
+      var controller = createAbortController();
+      this._controller = controller;
+      this._startPromise = this._getThingInfos()
+        .then((thingInfos) => {
+          if (controller.signal.aborted) {
+            return;
+          }
+          return Promise.all(thingInfos.map((thingInfo) => {
+            return this._startThing(thingInfo, controller.signal);
+          }));
+        })
+        .then(() => {})
+        .catch((err) => {
+          this._startPromise = undefined;
+          this._unwatch();
+          throw err;
+        });
+    }
+    return this._startPromise;
+  }
+
+  /**
+   * Returns the clients of all things.
+   *
+   * @returns {ThingAccessClient[]}
+   */
+  clients() {
+    return this._devices.map(device => device.client);
+  }
+
+  /**
+   * Returns the health of all things, each of which includes:
+   * <ul>
+   *   <li><code>productKey</code> and <code>deviceName</code>,</li>
+   *   <li><code>state</code>: the state of the client,</li>
+   *   <li><code>online</code>: whether the thing is online,</li>
+   *   <li><code>failures</code>: the number of failed attempts since it was online
+   *   last time,</li>
+   *   <li><code>lastError</code>: the error of the last failed attempt, if any.</li>
+   * </ul>
+   *
+   * @returns {Object[]}
+   */
+  health() {
+    return this._devices.map((device) => {
+      return {
+        productKey: device.thingInfo.productKey,
+        deviceName: device.thingInfo.deviceName,
+        state: device.client.state,
+        online: device.client.state === STATE_ONLINE,
+        failures: device.failures,
+        lastError: device.lastError,
+      };
+    });
+  }
+
+  /**
+   * Stops watching the driver config and retrying, and takes all things offline
+   * and cleans them up. Errors are logged instead of rejected, so that the rest
+   * of things are still torn down.
+   *
+   * @returns {Promise<Void>}
+   */
+  destroy() {
+    if (this._controller) {
+      this._controller.abort(abortError());
+    }
+    this._unwatch();
+    var devices = this._devices;
+    this._devices = [];
+    this._startPromise = undefined;
+    this._controller = undefined;
+    return Promise.all(devices.map((device) => {
+      return this._stopThing(device);
+    })).then(() => {});
+  }
+
+  _getThingInfos() {
+    if (!this.options.watchChanges) {
+      return Config.get().then(config => config.getThingInfos());
+    }
+    var watcher = new ConfigWatcher();
+    var signal = this._controller.signal;
+    watcher.on('deviceAdded', (thingInfo) => {
+      this._startThing(thingInfo, signal);
+    });
+    watcher.on('deviceRemoved', (thingInfo) => {
+      this._removeThing(thingInfo);
+    });
+    watcher.on('deviceUpdated', (thingInfo, previous) => {
+      this._removeThing(previous).then(() => {
+        return this._startThing(thingInfo, signal);
+      });
+    });
+    this._watcher = watcher;
+    return watcher.start();
+  }
+
+  _unwatch() {
+    if (this._watcher) {
+      this._watcher.stop();
+      this._watcher.removeAllListeners();
+      this._watcher = undefined;
+    }
+  }
+
+  _startThing(thingInfo, signal) {
+    return new Promise((resolve) => {
+      resolve(this.factory(thingInfo));
+    }).then((callbacks) => {
+      if (signal.aborted) {
+        return;
+      }
+      var device = {
+        thingInfo,
+        client: new ThingAccessClient(thingInfo, callbacks, this.options.clientOptions),
+        controller: createAbortController(),
+        attempt: undefined,
+        failures: 0,
+        lastError: undefined,
+      };
+      this._watch(device);
+      this._devices.push(device);
+      return this._bringOnline(device);
+    }).catch((err) => {
+      if (signal.aborted || isAbortError(err)) {
+        return;
+      }
+      logger.error(`Failed to bring thing ${nameOf(thingInfo)} online: ${err}.`);
+      this.emit('failed', thingInfo, err);
+    });
+  }
+
+  _bringOnline(device) {
+    var signal = device.controller.signal;
+    var policy = this.options.retry;
+    policy = Object.assign({}, policy === true ? {} : policy, {
+      signal,
+      maxAttempts: policy === false ? 1 : policy.maxAttempts,
+    });
+    return retry(() => {
+      return this._limiter.run(() => {
+        if (signal.aborted) {
+          throw signal.reason;
+        }
+        device.attempt = device.client.registerAndOnline();
+        return device.attempt;
+      });
+    }, policy, (attempts, delay, err) => {
+      device.failures = attempts;
+      device.lastError = err;
+      logger.warn(`Failed to bring thing ${nameOf(device.thingInfo)} online ` +
+        `(attempt ${attempts}): ${err}, retry in ${delay}ms...`);
+      this.emit('retry', device.thingInfo, attempts, delay, err);
+    }).catch((err) => {
+      if (!signal.aborted) {
+        device.failures++;
+        device.lastError = err;
+      }
+      throw err;
+    });
+  }
+
+  // Tracks the states and the errors of the client.
+  _watch(device) {
+    var client = device.client;
+    device.listeners = {
+      online: () => {
+        device.failures = 0;
+        device.lastError = undefined;
+        this.emit('online', device.thingInfo, client);
+      },
+      offline: () => {
+        this.emit('offline', device.thingInfo, client);
+      },
+      error: (err) => {
+        if (this.listenerCount('error') > 0) {
+          this.emit('error', err, device.thingInfo);
+        } else {
+          logger.error(`Thing ${nameOf(device.thingInfo)} had a error: ${err}.`);
+        }
+      },
+    };
+    Object.keys(device.listeners).forEach((event) => {
+      client.on(event, device.listeners[event]);
+    });
+  }
+
+  _removeThing(thingInfo) {
+    var device = this._devices.find((device) => {
+      return device.thingInfo.productKey === thingInfo.productKey
+        && device.thingInfo.deviceName === thingInfo.deviceName;
+    });
+    if (!device) {
+      return Promise.resolve();
+    }
+    this._devices.splice(this._devices.indexOf(device), 1);
+    return this._stopThing(device);
+  }
+
+  _stopThing(device) {
+    var client = device.client;
+    device.controller.abort(abortError());
+    // Wait for the attempt in flight, or the thing may be online after it's torn down.
+    return Promise.resolve(device.attempt).catch(() => {}).then(() => {
+      if (client.state === STATE_ONLINE) {
+        return client.offline();
+      }
+    }).then(() => {
+      return client.cleanup();
+    }).catch((err) => {
+      logger.warn(`Failed to tear down thing ${nameOf(device.thingInfo)}: ${err}.`);
+    }).then(() => {
+      Object.keys(device.listeners).forEach((event) => {
+        client.removeListener(event, device.listeners[event]);
+      });
+    });
+  }
+}
+
+module.exports = Driver;
@@ -0,0 +1,112 @@
+/*
+ * Copyright (c) 2018 Alibaba Group Holding Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// Error no. for callbacks, which are also replied to Link IoT Edge.
+const ERROR_PROPERTY_NOT_EXIST = 109002;
+const ERROR_PROPERTY_READ_ONLY = 109003;
+const ERROR_PROPERTY_WRITE_ONLY = 109004;
+const ERROR_SERVICE_NOT_EXIST = 109005;
+const ERROR_SERVICE_INVALID_PARAM = 109006;
+const ERROR_INVALID_JSON = 109007;
+const ERROR_INVALID_TYPE = 109008;
+
+const ERROR_UNKNOWN = 100000;
+const ERROR_TIMEOUT = 100006;
+const ERROR_PARAM_RANGE_OVERFLOW = 100007;
+const ERROR_SERVICE_UNREACHABLE = 100008;
+const ERROR_FILE_NOT_EXIST = 100009;
+
+// All codes above, which are replied to Link IoT Edge as they are.
+const REPLY_CODES = new Set([
+  ERROR_PROPERTY_NOT_EXIST,
+  ERROR_PROPERTY_READ_ONLY,
+  ERROR_PROPERTY_WRITE_ONLY,
+  ERROR_SERVICE_NOT_EXIST,
+  ERROR_SERVICE_INVALID_PARAM,
+  ERROR_INVALID_JSON,
+  ERROR_INVALID_TYPE,
+  ERROR_UNKNOWN,
+  ERROR_TIMEOUT,
+  ERROR_PARAM_RANGE_OVERFLOW,
+  ERROR_SERVICE_UNREACHABLE,
+  ERROR_FILE_NOT_EXIST,
+]);
+
+/**
+ * The error which carries a code replied to Link IoT Edge. It can be thrown by
+ * callbacks and handlers to reply a specific error, e.g.
+ * <pre>
+ *   throw new ThingAccessError(ERROR_SERVICE_INVALID_PARAM, 'bad speed');
+ * </pre>
+ */
+class ThingAccessError extends Error {
+  /**
+   * Constructs a new ThingAccessError.
+   *
+   * @param {Number} code the error code, e.g. {@link ERROR_SERVICE_INVALID_PARAM}.
+   * @param {String} [message] the error message.
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'ThingAccessError';
+    /**
+     * The error code.
+     *
+     * @type {Number}
+     */
+    this.code = code;
+  }
+}
+
+/**
+ * Converts a non-zero code returned or thrown by callbacks into the code replied
+ * to Link IoT Edge, which is the code itself if it's defined above or in the
+ * custom range, or {@link ERROR_UNKNOWN}.
+ *
+ * @param {Number} code the code.
+ * @param {Number[]} [customRange] the inclusive range <code>[min, max]</code> of
+ *   custom codes.
+ * @returns {Number}
+ * @private
+ */
+function toReplyCode(code, customRange) {
+  if (REPLY_CODES.has(code)) {
+    return code;
+  }
+  if (customRange && code >= customRange[0] && code <= customRange[1]) {
+    return code;
+  }
+  return ERROR_UNKNOWN;
+}
+
+module.exports = {
+  ERROR_PROPERTY_NOT_EXIST,
+  ERROR_PROPERTY_READ_ONLY,
+  ERROR_PROPERTY_WRITE_ONLY,
+  ERROR_SERVICE_NOT_EXIST,
+  ERROR_SERVICE_INVALID_PARAM,
+  ERROR_INVALID_JSON,
+  ERROR_INVALID_TYPE,
+  ERROR_UNKNOWN,
+  ERROR_TIMEOUT,
+  ERROR_PARAM_RANGE_OVERFLOW,
+  ERROR_SERVICE_UNREACHABLE,
+  ERROR_FILE_NOT_EXIST,
+  ThingAccessError,
+  toReplyCode,
+};
@@ -0,0 +1,171 @@
+/*
+ * Copyright (c) 2018 Alibaba Group Holding Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+
+const { FakeEdge, FakeThing } = require('./fake-edge');
+const { session } = require('./thing-access');
+
+/**
+ * An in-process fake of the edge bus for unit testing drivers, which stands in
+ * for mbusd, dimu and config manager of Link IoT Edge. Once it's installed, the
+ * SDK talks to it instead of the real edge bus, and the tests can:
+ * <ul>
+ *   <li>inject the driver config, the TSL and the TSL ext info,</li>
+ *   <li>get and set properties and call services on the connected things,</li>
+ *   <li>assert on the properties and events reported by the driver.</li>
+ * </ul>
+ * <pre>
+ *   const { FakeEdgeBus } = require('linkedge-thing-access-sdk/testing');
+ *   const bus = new FakeEdgeBus().install();
+ *   bus.setDriverConfig({ deviceList: [{ productKey: 'a1xxx', deviceName: 'light' }] });
+ *   ...
+ *   bus.thing('a1xxx', 'light').setProperties({ LightSwitch: 1 });
+ * </pre>
+ *
+ * @extends FakeEdge
+ */
+class FakeEdgeBus extends FakeEdge {
+  /**
+   * Constructs a new FakeEdgeBus.
+   */
+  constructor() {
+    super();
+    // Maps the requested names and the object paths to the owner clients.
+    this._names = new Map();
+    this._interfaces = new Map();
+    this._installed = false;
+  }
+
+  /**
+   * Makes the SDK connect to this fake edge bus instead of the real one. It
+   * must be called before the SDK connects to the edge bus, e.g. right after
+   * requiring the package.
+   *
+   * @returns {FakeEdgeBus} this fake edge bus.
+   */
+  install() {
+    session._createClient = () => this._createClient();
+    this._installed = true;
+    return this;
+  }
+
+  /**
+   * Disconnects the SDK and restores the real edge bus. The states of the SDK,
+   * e.g. the things connected, are discarded.
+   */
+  uninstall() {
+    if (!this._installed) {
+      return;
+    }
+    session._reset();
+    session._createClient = undefined;
+    this._installed = false;
+  }
+
+  _createClient() {
+    var connection = new EventEmitter();
+    var client = {
+      connection,
+      serial: 1,
+      getService: (serviceName) => {
+        return {
+          getInterface: (objectPath, interfaceName, callback) => {
+            var iface = this._getDefaultInterface(serviceName, client);
+            if (!iface) {
+              return this._replyLater(callback, new Error(`Service ${serviceName} is not found.`));
+            }
+            this._replyLater(callback, undefined, iface);
+          },
+        };
+      },
+      requestName: (name, flags, callback) => {
+        if (this._names.has(name)) {
+          // The name already exists.
+          return this._replyLater(callback, undefined, 3);
+        }
+        this._names.set(name, client);
+        this._replyLater(callback, undefined, 1);
+      },
+      releaseName: (name, callback) => {
+        if (this._names.get(name) === client) {
+          this._names.delete(name);
+        }
+        this._replyLater(callback, undefined);
+      },
+      exportInterface: (iface, objectPath) => {
+        this._interfaces.set(objectPath, { client, iface });
+      },
+    };
+    connection.message = (msg) => {
+      if (msg.body) {
+        this._onSignal(msg.path, msg.member, msg.body[0]);
+      }
+    };
+    connection.end = () => {
+      this._onClientEnd(client);
+      connection.emit('end');
+    };
+    setImmediate(() => {
+      connection.emit('connect');
+    });
+    return client;
+  }
+
+  _onClientEnd(client) {
+    // The names and the interfaces are gone with the connection.
+    this._names.forEach((owner, name) => {
+      if (owner === client) {
+        this._names.delete(name);
+      }
+    });
+    this._interfaces.forEach((exported, objectPath) => {
+      if (exported.client === client) {
+        this._interfaces.delete(objectPath);
+      }
+    });
+    super._onClientEnd(client);
+  }
+
+  _getDefaultInterface(serviceName, client) {
+    if (serviceName === 'iot.dmp.dimu') {
+      return this._dimuInterface(client);
+    } else if (serviceName === 'iot.dmp.configmanager') {
+      return this._configInterface();
+    }
+  }
+
+  _invoke(thing, member, args) {
+    var exported = this._interfaces.get(`/iot/device/id${thing.thingId}`);
+    if (!exported) {
+      throw new Error(`Thing ${thing} has not exported its interface.`);
+    }
+    return exported.iface[member].apply(exported.iface, args);
+  }
+
+  _notifyConfig(serviceName, key, value) {
+    var exported = this._interfaces.get(`/${serviceName.replace(/\./g, '/')}`);
+    if (exported) {
+      exported.iface['notify_config'](key, value);
+    }
+  }
+}
+
+module.exports = FakeEdgeBus;
+module.exports.FakeEdgeBus = FakeEdgeBus;
+module.exports.FakeThing = FakeThing;
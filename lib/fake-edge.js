@@ -0,0 +1,408 @@
+/*
+ * Copyright (c) 2018 Alibaba Group Holding Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+
+// The prefix of the key for driver config in config manager, which is followed
+// by the function id of the driver.
+const DRIVER_CONFIG_KEY_PREFIX = 'gw_driverconfig_';
+
+// The errno replied by the fake config manager for a missing config.
+const ERROR_CONFIG_NOT_FOUND = 1;
+
+// Returns the default result of a successful call to dimu.
+function success(params) {
+  var result = {
+    code: 0,
+    message: 'success',
+  };
+  if (params) {
+    result.params = params;
+  }
+  return JSON.stringify(result);
+}
+
+function failure(message) {
+  return JSON.stringify({
+    code: -1,
+    message,
+  });
+}
+
+function toConfigString(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * A thing connected to a {@link FakeEdgeBus} or a {@link MockEdgeDaemon}, which
+ * sends the requests of Link IoT Edge to the driver and records what the driver
+ * reports.
+ */
+class FakeThing {
+  /**
+   * Constructs a new FakeThing.
+   *
+   * @param {FakeEdge} edge the fake Link IoT Edge.
+   * @param {String} thingId the thing id assigned by the fake dimu.
+   * @param {Object} info the info of the thing passed to dimu.
+   *
+   * @private
+   */
+  constructor(edge, thingId, info) {
+    this._edge = edge;
+    // The client of the driver which connects the thing.
+    this._client = undefined;
+    /**
+     * The thing id, aka the device cloud id, assigned when it's connected.
+     *
+     * @type {String}
+     */
+    this.thingId = thingId;
+    /**
+     * The product key.
+     *
+     * @type {String}
+     */
+    this.productKey = info.productKey;
+    /**
+     * The device name, if the thing is connected by its device name.
+     *
+     * @type {String|undefined}
+     */
+    this.deviceName = info.deviceName;
+    /**
+     * The local name, if the thing is connected by its local name.
+     *
+     * @type {String|undefined}
+     */
+    this.localName = info.deviceLocalId;
+    /**
+     * The properties reported by the driver in order, each of which maps
+     * the reported properties to their values.
+     *
+     * @type {Object[]}
+     */
+    this.reportedProperties = [];
+    /**
+     * The events reported by the driver in order, each of which is in form of
+     * <code>{name, value}</code>.
+     *
+     * @type {Object[]}
+     */
+    this.reportedEvents = [];
+  }
+
+  /**
+   * Whether the thing is connected by the driver.
+   *
+   * @type {Boolean}
+   */
+  get online() {
+    return !!this._client;
+  }
+
+  /**
+   * Gets properties from the driver, like Link IoT Edge does.
+   *
+   * @param {String[]} keys the keys of the properties.
+   * @returns {Promise<Object>} the parsed reply, e.g.
+   *   <code>{code: 0, message: 'success', params: {temperature: 41}}</code>.
+   */
+  getProperties(keys) {
+    return this._callServices('get', keys);
+  }
+
+  /**
+   * Sets properties to the driver, like Link IoT Edge does.
+   *
+   * @param {Object} properties the properties to set.
+   * @returns {Promise<Object>} the parsed reply.
+   */
+  setProperties(properties) {
+    return this._callServices('set', properties);
+  }
+
+  /**
+   * Calls a service of the driver, like Link IoT Edge does.
+   *
+   * @param {String} name the name of the service.
+   * @param {Object} args the input args of the service.
+   * @returns {Promise<Object>} the parsed reply, whose <code>params</code> is in
+   *   form of <code>{code, message, data}</code>.
+   */
+  callService(name, args) {
+    return this._callServices(name, args);
+  }
+
+  /**
+   * Notifies the driver that the thing is connected to the cloud, which makes
+   * the client emit a <code>'cloudConnected'</code> event.
+   *
+   * @param {Object} [params] the params of the result.
+   * @returns {Promise<Void>}
+   */
+  notifyCloudConnected(params) {
+    return this._invoke('connectResultNotify', [success(Object.assign({
+      productKey: this.productKey,
+      deviceName: this.deviceName || this.localName,
+    }, params))]).then(() => {});
+  }
+
+  /**
+   * Forgets the reported properties and events.
+   */
+  clearReports() {
+    this.reportedProperties = [];
+    this.reportedEvents = [];
+  }
+
+  toString() {
+    return `${this.productKey}-${this.deviceName || this.localName}`;
+  }
+
+  _invoke(member, args) {
+    return new Promise((resolve) => {
+      if (!this._client) {
+        throw new Error(`Thing ${this} is not online.`);
+      }
+      resolve(this._edge._invoke(this, member, args));
+    });
+  }
+
+  _callServices(name, params) {
+    return this._invoke('callServices', [name, JSON.stringify({ params })])
+      .then((result) => {
+        return JSON.parse(result);
+      });
+  }
+
+  _onSignal(member, payload) {
+    var parsed = JSON.parse(payload);
+    if (member === 'propertiesChanged') {
+      var properties = {};
+      Object.keys(parsed).forEach((key) => {
+        properties[key] = parsed[key].value;
+      });
+      this.reportedProperties.push(properties);
+      this._edge.emit('properties', this, properties);
+    } else {
+      var event = {
+        name: member,
+        value: parsed.params.value,
+      };
+      this.reportedEvents.push(event);
+      this._edge.emit('event', this, event.name, event.value);
+    }
+  }
+}
+
+/**
+ * The fake dimu and config manager of Link IoT Edge, which keep the things, the
+ * configs and the subscriptions. It's the base of {@link FakeEdgeBus} and
+ * {@link MockEdgeDaemon}, which carry the calls between it and the drivers.
+ * <p>
+ * It's also an <code>EventEmitter</code> which emits the following events:
+ * <ul>
+ *   <li><code>'driverRegistered'</code> and <code>'driverUnregistered'</code>:
+ *   emitted with the params passed by the driver,</li>
+ *   <li><code>'thingConnected'</code> and <code>'thingDisconnected'</code>:
+ *   emitted with the {@link FakeThing},</li>
+ *   <li><code>'properties'</code>: emitted with the {@link FakeThing} and the
+ *   reported properties,</li>
+ *   <li><code>'event'</code>: emitted with the {@link FakeThing}, the name and
+ *   the value of the reported event.</li>
+ * </ul>
+ */
+class FakeEdge extends EventEmitter {
+  // The subclasses implement _invoke(thing, member, args), which calls a method
+  // of the thing interface exported by the driver and returns a promise of the
+  // result, and _notifyConfig(serviceName, key, value), which notifies the
+  // driver whose module is named serviceName of the config changes.
+  constructor() {
+    super();
+    this._configs = new Map();
+    this._driverConfig = undefined;
+    // Maps the subscribed keys to the service names of the subscribers.
+    this._subscriptions = new Map();
+    this._things = new Map();
+    this._nextThingId = 1;
+    /**
+     * Whether the driver is registered to the fake dimu.
+     *
+     * @type {Boolean}
+     */
+    this.driverRegistered = false;
+  }
+
+  /**
+   * Sets the driver config, which is returned to {@link Config.get} and
+   * notified to the callbacks registered by {@link Config.registerChangedCallback}
+   * if it's subscribed.
+   *
+   * @param {Object|String} config the driver config, e.g.
+   *   <code>{deviceList: [...], config: {...}}</code>.
+   */
+  setDriverConfig(config) {
+    this._driverConfig = toConfigString(config);
+    this._subscriptions.forEach((serviceName, key) => {
+      if (key.startsWith(DRIVER_CONFIG_KEY_PREFIX)) {
+        this._notifyConfig(serviceName, key, this._driverConfig);
+      }
+    });
+  }
+
+  /**
+   * Sets the TSL of a product.
+   *
+   * @param {String} productKey the product key.
+   * @param {Object|String} tsl the TSL.
+   */
+  setTsl(productKey, tsl) {
+    this._configs.set(`gw_TSL_${productKey}`, toConfigString(tsl));
+  }
+
+  /**
+   * Sets the TSL ext info of a product.
+   *
+   * @param {String} productKey the product key.
+   * @param {Object|String} info the TSL ext info.
+   */
+  setTslExtInfo(productKey, info) {
+    this._configs.set(`gw_TSL_config_${productKey}`, toConfigString(info));
+  }
+
+  /**
+   * Returns the thing which has been connected by the driver.
+   *
+   * @param {String} productKey the product key.
+   * @param {String} name the device name or the local name.
+   * @returns {FakeThing|undefined}
+   */
+  thing(productKey, name) {
+    return this._things.get(`${productKey}/${name}`);
+  }
+
+  /**
+   * Returns all things which have been connected by the driver.
+   *
+   * @returns {FakeThing[]}
+   */
+  things() {
+    return [...this._things.values()];
+  }
+
+  // Takes the things of the client offline once it's gone.
+  _onClientEnd(client) {
+    this._things.forEach((thing) => {
+      if (thing._client === client) {
+        thing._client = undefined;
+        this.emit('thingDisconnected', thing);
+      }
+    });
+  }
+
+  _dimuInterface(client) {
+    return {
+      registerDriver: (str, callback) => {
+        this.driverRegistered = true;
+        this.emit('driverRegistered', JSON.parse(str).params);
+        this._replyLater(callback, undefined, success());
+      },
+      unregisterDriver: (str, callback) => {
+        this.driverRegistered = false;
+        this.emit('driverUnregistered', JSON.parse(str).params);
+        this._replyLater(callback, undefined, success());
+      },
+      connect: (str, callback) => {
+        var info = JSON.parse(str);
+        var key = `${info.productKey}/${info.deviceName || info.deviceLocalId}`;
+        var thing = this._things.get(key);
+        if (!thing) {
+          thing = new FakeThing(this, `${this._nextThingId++}`, info);
+          this._things.set(key, thing);
+        }
+        // The thing goes offline once the client is gone.
+        thing._client = client;
+        this.emit('thingConnected', thing);
+        this._replyLater(callback, undefined, success({ deviceCloudId: thing.thingId }));
+      },
+      disconnect: (thingId, callback) => {
+        var thing = this._findThing(thingId);
+        if (!thing) {
+          return this._replyLater(callback, undefined, failure(`Thing ${thingId} is not found.`));
+        }
+        thing._client = undefined;
+        this.emit('thingDisconnected', thing);
+        this._replyLater(callback, undefined, success());
+      },
+      unregisterDevice: (thingId, callback) => {
+        var thing = this._findThing(thingId);
+        if (!thing) {
+          return this._replyLater(callback, undefined, failure(`Thing ${thingId} is not found.`));
+        }
+        this._things.delete(`${thing.productKey}/${thing.deviceName || thing.localName}`);
+        this._replyLater(callback, undefined, success());
+      },
+    };
+  }
+
+  _configInterface() {
+    return {
+      'get_config': (key, callback) => {
+        var value = key.startsWith(DRIVER_CONFIG_KEY_PREFIX) ? this._driverConfig
+          : this._configs.get(key);
+        if (value === undefined) {
+          return this._replyLater(callback, undefined, ERROR_CONFIG_NOT_FOUND, '');
+        }
+        this._replyLater(callback, undefined, 0, value);
+      },
+      'subscribe_config': (serviceName, key, type, callback) => {
+        this._subscriptions.set(key, serviceName);
+        this._replyLater(callback, undefined, 0);
+      },
+      'unsubscribe_config': (serviceName, key, callback) => {
+        this._subscriptions.delete(key);
+        this._replyLater(callback, undefined, 0);
+      },
+    };
+  }
+
+  // Replies to the call of the driver asynchronously like the edge bus does.
+  _replyLater(callback, ...args) {
+    setImmediate(() => {
+      callback(...args);
+    });
+  }
+
+  _findThing(thingId) {
+    return this.things().find(thing => thing.thingId === thingId);
+  }
+
+  // Records the signal sent by the driver to the object of a thing.
+  _onSignal(objectPath, member, payload) {
+    var matched = /^\/iot\/device\/id(.+)$/.exec(objectPath || '');
+    var thing = matched && this._findThing(matched[1]);
+    if (thing && payload !== undefined) {
+      thing._onSignal(member, payload);
+    }
+  }
+}
+
+module.exports = FakeEdge;
+module.exports.FakeEdge = FakeEdge;
+module.exports.FakeThing = FakeThing;
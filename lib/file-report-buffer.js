@@ -0,0 +1,214 @@
+/*
+ * Copyright (c) 2018 Alibaba Group Holding Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ReportBuffer = require('./report-buffer');
+const logger = require('./logger');
+
+const DEFAULT_COMPACT_THRESHOLD = 1000;
+
+/**
+ * A {@link ReportBuffer} backed by an append-only file, which survives restarts
+ * of the process. Each line of the file is a JSON record, either a report
+ * <code>{"r": report}</code> appended on pushing, or an acknowledgement
+ * <code>{"a": count}</code> of the reports removed from the head. The file is
+ * compacted by rewriting the remaining reports once the acknowledged ones reach
+ * the threshold, and truncated once it's empty.
+ * <p>
+ * A truncated last line, e.g. due to a power loss while appending, is ignored on
+ * loading.
+ *
+ * @private
+ */
+class FileReportBuffer extends ReportBuffer {
+  /**
+   * Constructs a new FileReportBuffer, and loads the reports in the file if it
+   * exists.
+   *
+   * @param {String} path the path of the file. Its directory is created if it
+   *   doesn't exist.
+   * @param {Number} [capacity=100] see {@link ReportBuffer}.
+   * @param {String} [dropPolicy='dropOldest'] see {@link ReportBuffer}.
+   * @param {Number} [maxAge=Infinity] see {@link ReportBuffer}.
+   * @param {Number} [compactThreshold=1000] the number of acknowledged records
+   *   in the file, beyond which it's compacted.
+   * @param {Boolean} [fsync=false] whether to flush the file to the disk on each
+   *   write, which is slower but survives power losses.
+   */
+  constructor(options) {
+    options = Object.assign({
+      compactThreshold: DEFAULT_COMPACT_THRESHOLD,
+      fsync: false,
+    }, options);
+    if (!options.path || typeof options.path !== 'string') {
+      throw new Error('Illegal "path", expected a non-empty string.');
+    }
+    if (!Number.isInteger(options.compactThreshold) || options.compactThreshold <= 0) {
+      throw new Error(`Illegal "compactThreshold": ${options.compactThreshold}, ` +
+        'expected a positive integer.');
+    }
+    super(options);
+    this.path = options.path;
+    this.compactThreshold = options.compactThreshold;
+    this.fsync = !!options.fsync;
+    this._acknowledged = 0;
+    this._bytes = 0;
+    this._loading = false;
+    this._load();
+  }
+
+  get persistent() {
+    return true;
+  }
+
+  push(report) {
+    var dropped = super.push(report);
+    if (dropped !== report) {
+      this._append({ r: report });
+    }
+    return dropped;
+  }
+
+  shift() {
+    var report = super.shift();
+    if (report !== undefined) {
+      this._acknowledge(1);
+    }
+    return report;
+  }
+
+  clear() {
+    var reports = super.clear();
+    this._truncate();
+    return reports;
+  }
+
+  /**
+   * Returns the metrics of the buffer, which include <code>bytes</code>, the size
+   * of the file, besides the ones of {@link ReportBuffer#stats}.
+   *
+   * @returns {Object}
+   */
+  stats() {
+    return Object.assign(super.stats(), {
+      bytes: this._bytes,
+    });
+  }
+
+  /**
+   * Rewrites the file with the remaining reports only.
+   */
+  compact() {
+    var tmp = `${this.path}.tmp`;
+    var data = this._reports.map(report => JSON.stringify({ r: report }) + '\n').join('');
+    var fd = fs.openSync(tmp, 'w');
+    try {
+      fs.writeSync(fd, data);
+      if (this.fsync) {
+        fs.fsyncSync(fd);
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmp, this.path);
+    this._acknowledged = 0;
+    this._bytes = Buffer.byteLength(data);
+  }
+
+  _load() {
+    var dir = path.dirname(this.path);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    if (!fs.existsSync(this.path)) {
+      this._truncate();
+      return;
+    }
+    var lines = fs.readFileSync(this.path, 'utf8').split('\n');
+    // Replay the records without writing them again.
+    this._loading = true;
+    try {
+      lines.forEach((line, index) => {
+        if (!line) {
+          return;
+        }
+        var record;
+        try {
+          record = JSON.parse(line);
+        } catch (err) {
+          logger.warn(`Ignore the corrupted line ${index + 1} of report buffer ` +
+            `${this.path}.`);
+          return;
+        }
+        if (record.r !== undefined) {
+          super.push(record.r);
+        } else if (record.a) {
+          for (var i = 0; i < record.a; i++) {
+            super.shift();
+          }
+        }
+      });
+    } finally {
+      this._loading = false;
+    }
+    logger.info(`Loaded ${this._reports.length} reports from report buffer ${this.path}.`);
+    this.compact();
+  }
+
+  _acknowledge(count) {
+    if (this._reports.length === 0) {
+      this._truncate();
+      return;
+    }
+    this._append({ a: count });
+    this._acknowledged += count;
+    if (this._acknowledged >= this.compactThreshold) {
+      this.compact();
+    }
+  }
+
+  _append(record) {
+    if (this._loading) {
+      return;
+    }
+    var data = JSON.stringify(record) + '\n';
+    var fd = fs.openSync(this.path, 'a');
+    try {
+      fs.writeSync(fd, data);
+      if (this.fsync) {
+        fs.fsyncSync(fd);
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+    this._bytes += Buffer.byteLength(data);
+  }
+
+  _truncate() {
+    if (this._loading) {
+      return;
+    }
+    fs.writeFileSync(this.path, '');
+    this._acknowledged = 0;
+    this._bytes = 0;
+  }
+}
+
+module.exports = FileReportBuffer;
@@ -0,0 +1,278 @@
+/*
+ * Copyright (c) 2018 Alibaba Group Holding Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// Levels of logs in ascending order of severity.
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: Infinity,
+};
+
+const FORMAT_TEXT = 'text';
+const FORMAT_JSON = 'json';
+
+const DEFAULT_OPTIONS = {
+  level: 'info',
+  format: FORMAT_TEXT,
+  sink: undefined,
+  redact: ['secret', 'password', 'token'],
+  maxPayloadLength: 1024,
+};
+
+// The replacement of redacted values.
+const REDACTED = '[REDACTED]';
+
+// The options shared by all loggers.
+var options = Object.assign({}, DEFAULT_OPTIONS);
+
+/**
+ * Configures all loggers of the SDK.
+ *
+ * @param {Object} [newOptions] the options, each of which is left unchanged if
+ *   it's not specified.
+ * @param {String} [newOptions.level='info'] the minimum level of logs, one of
+ *   <code>debug</code>, <code>info</code>, <code>warn</code>, <code>error</code>
+ *   and <code>silent</code>.
+ * @param {String} [newOptions.format='text'] the format of logs written to the
+ *   console, <code>text</code> or <code>json</code>.
+ * @param {Object|Function} [newOptions.sink] where logs go instead of the console.
+ *   It's either a pino-compatible logger whose <code>debug</code>,
+ *   <code>info</code>, <code>warn</code> and <code>error</code> methods are called
+ *   with the fields and then the message, or a function called with the record
+ *   which includes <code>time</code>, <code>level</code>, <code>msg</code> and
+ *   the fields. Loggers which take the message first, e.g. winston, are adapted
+ *   by a function, e.g. <code>record => logger.log(record.level, record.msg,
+ *   record)</code>. <code>null</code> restores the console.
+ * @param {Array<String|RegExp>} [newOptions.redact=['secret', 'password', 'token']]
+ *   the patterns of keys whose values are redacted from logged payloads and fields.
+ *   A string matches the keys which contain it case-insensitively.
+ * @param {Number} [newOptions.maxPayloadLength=1024] the max length of a logged
+ *   payload, beyond which it's truncated. <code>Infinity</code> disables it.
+ * @private
+ */
+function configure(newOptions) {
+  newOptions = newOptions || {};
+  if (newOptions.level !== undefined && !LEVELS.hasOwnProperty(newOptions.level)) {
+    throw new Error(`Illegal log level "${newOptions.level}".`);
+  }
+  if (newOptions.format !== undefined
+    && newOptions.format !== FORMAT_TEXT && newOptions.format !== FORMAT_JSON) {
+    throw new Error(`Illegal log format "${newOptions.format}".`);
+  }
+  var redact = newOptions.redact;
+  if (redact !== undefined && redact !== null && (!Array.isArray(redact)
+    || !redact.every(pattern => typeof pattern === 'string' || pattern instanceof RegExp))) {
+    throw new Error('Illegal redact patterns, expected an array of strings or RegExps.');
+  }
+  var maxPayloadLength = newOptions.maxPayloadLength;
+  if (maxPayloadLength !== undefined && maxPayloadLength !== null
+    && !(maxPayloadLength === Infinity
+      || (Number.isInteger(maxPayloadLength) && maxPayloadLength > 0))) {
+    throw new Error(`Illegal max payload length: ${maxPayloadLength}.`);
+  }
+  var sink = newOptions.sink;
+  if (sink !== undefined && sink !== null && typeof sink !== 'function'
+    && (typeof sink !== 'object' || typeof sink.info !== 'function')) {
+    throw new Error('Illegal log sink, expected a function or a logger.');
+  }
+  Object.keys(DEFAULT_OPTIONS).forEach((key) => {
+    if (newOptions[key] !== undefined) {
+      options[key] = newOptions[key] === null ? DEFAULT_OPTIONS[key] : newOptions[key];
+    }
+  });
+}
+
+// Restores the default options, which is used by tests.
+function reset() {
+  options = Object.assign({}, DEFAULT_OPTIONS);
+}
+
+function isRedacted(key) {
+  return options.redact.some((pattern) => {
+    if (pattern instanceof RegExp) {
+      return pattern.test(key);
+    }
+    return key.toLowerCase().indexOf(pattern.toLowerCase()) !== -1;
+  });
+}
+
+// Returns a copy of the value whose values of the redacted keys are replaced.
+function redactValue(value, depth) {
+  if (!value || typeof value !== 'object' || depth > 16) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(item, depth + 1));
+  }
+  var copy = {};
+  Object.keys(value).forEach((key) => {
+    copy[key] = isRedacted(key) ? REDACTED : redactValue(value[key], depth + 1);
+  });
+  return copy;
+}
+
+function truncate(text) {
+  var max = options.maxPayloadLength;
+  if (text.length <= max) {
+    return text;
+  }
+  return `${text.slice(0, max)}...(${text.length - max} more characters)`;
+}
+
+/**
+ * Formats a payload to log, e.g. the config or the TSL. The values of the keys
+ * matching the redact patterns are redacted if it's an object or a JSON string,
+ * and it's truncated if it's too long.
+ *
+ * @param {*} payload the payload.
+ * @returns {String}
+ * @private
+ */
+function formatPayload(payload) {
+  var value = payload;
+  if (typeof payload === 'string') {
+    try {
+      value = JSON.parse(payload);
+    } catch (err) {
+      return truncate(payload);
+    }
+  }
+  var text;
+  try {
+    text = JSON.stringify(redactValue(value, 0));
+  } catch (err) {
+    text = String(payload);
+  }
+  return truncate(text === undefined ? String(payload) : text);
+}
+
+function formatText(fields, message) {
+  var context = Object.keys(fields)
+    .filter(key => key !== 'error' && fields[key] !== undefined)
+    .map(key => `${key}=${fields[key]}`)
+    .join(' ');
+  var text = context ? `[${context}] ${message}` : message;
+  return fields.error ? `${text}\n${fields.error}` : text;
+}
+
+function writeConsole(level, fields, message) {
+  var write = level === 'debug' ? console.log : console[level];
+  if (options.format === FORMAT_JSON) {
+    var record = Object.assign({ time: Date.now(), level }, fields, { msg: message });
+    write.call(console, JSON.stringify(record));
+  } else {
+    write.call(console, formatText(fields, message));
+  }
+}
+
+/**
+ * A logger with contextual fields, which writes to the console or the sink
+ * configured by {@link configure}.
+ *
+ * @private
+ */
+class Logger {
+  /**
+   * Constructs a new Logger.
+   *
+   * @param {Array<Object|Function>} [sources] the sources of the contextual
+   *   fields, each of which is an object or a function returning an object.
+   */
+  constructor(sources) {
+    this._sources = sources || [];
+  }
+
+  /**
+   * Returns a new logger which adds the fields to every log.
+   *
+   * @param {Object|Function} fields the fields, or the function returning the
+   *   fields which is called on every log.
+   * @returns {Logger}
+   */
+  child(fields) {
+    return new Logger(this._sources.concat([fields]));
+  }
+
+  /**
+   * Returns whether the logs of the level are written.
+   *
+   * @param {String} level the level.
+   * @returns {Boolean}
+   */
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[options.level];
+  }
+
+  debug(message, fields) {
+    this._log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this._log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this._log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this._log('error', message, fields);
+  }
+
+  _log(level, message, fields) {
+    if (!this.isLevelEnabled(level)) {
+      return;
+    }
+    var all = {};
+    this._sources.forEach((source) => {
+      Object.assign(all, typeof source === 'function' ? source() : source);
+    });
+    Object.assign(all, fields);
+    all = redactValue(all, 0);
+    if (message instanceof Error) {
+      all.error = message.stack;
+      message = message.message;
+    } else {
+      message = String(message);
+    }
+    var sink = options.sink;
+    try {
+      if (!sink) {
+        writeConsole(level, all, message);
+      } else if (typeof sink === 'function') {
+        sink(Object.assign({ time: Date.now(), level }, all, { msg: message }));
+      } else {
+        (sink[level] || sink.info).call(sink, all, message);
+      }
+    } catch (err) {
+      // Never let logging break the caller.
+    }
+  }
+}
+
+// The root logger.
+const logger = new Logger();
+
+module.exports = logger;
+module.exports.Logger = Logger;
+module.exports.LEVELS = LEVELS;
+module.exports.configure = configure;
+module.exports.formatPayload = formatPayload;
+module.exports.reset = reset;
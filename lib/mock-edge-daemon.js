@@ -0,0 +1,399 @@
+/*
+ * Copyright (c) 2018 Alibaba Group Holding Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const dbus = require('dbus-native');
+const fs = require('fs');
+const path = require('path');
+
+const busAddress = require('./bus-address');
+const { FakeEdge, FakeThing } = require('./fake-edge');
+const logger = require('./logger');
+
+const { messageType } = dbus;
+
+const DBUS_NAME = 'org.freedesktop.DBus';
+const DBUS_PATH = '/org/freedesktop/DBus';
+const INTROSPECTABLE_INTERFACE = 'org.freedesktop.DBus.Introspectable';
+
+const DIMU_NAME = 'iot.dmp.dimu';
+const CONFIG_MANAGER_NAME = 'iot.dmp.configmanager';
+const SUBSCRIBE_NAME = 'iot.dmp.subscribe';
+
+// Results of RequestName and ReleaseName.
+const NAME_PRIMARY_OWNER = 1;
+const NAME_EXISTS = 3;
+const NAME_ALREADY_OWNER = 4;
+const NAME_RELEASED = 1;
+const NAME_NON_EXISTENT = 2;
+const NAME_NOT_OWNER = 3;
+
+// The in and out signatures of the methods hosted by the daemon.
+const SERVICE_METHODS = {
+  [DIMU_NAME]: {
+    registerDriver: ['s', 's'],
+    unregisterDriver: ['s', 's'],
+    connect: ['s', 's'],
+    disconnect: ['s', 's'],
+    unregisterDevice: ['s', 's'],
+  },
+  [CONFIG_MANAGER_NAME]: {
+    'get_config': ['s', 'is'],
+    'subscribe_config': ['ssi', 'i'],
+    'unsubscribe_config': ['ss', 'i'],
+  },
+};
+
+// The in signatures of the methods exported by drivers.
+const THING_METHODS = {
+  callServices: 'ss',
+  connectResultNotify: 's',
+};
+
+function objectPathOf(serviceName) {
+  return `/${serviceName.replace(/\./g, '/')}`;
+}
+
+function introspect(serviceName, methods) {
+  var xml = '<!DOCTYPE node PUBLIC "-//freedesktop//DTD D-BUS Object Introspection 1.0//EN"\n' +
+    '  "http://www.freedesktop.org/standards/dbus/1.0/introspect.dtd">\n' +
+    `<node>\n  <interface name="${serviceName}">\n`;
+  Object.keys(methods).forEach((name) => {
+    xml += `    <method name="${name}">\n`;
+    [...methods[name][0]].forEach((type) => {
+      xml += `      <arg direction="in" type="${type}"/>\n`;
+    });
+    [...methods[name][1]].forEach((type) => {
+      xml += `      <arg direction="out" type="${type}"/>\n`;
+    });
+    xml += '    </method>\n';
+  });
+  return xml + '  </interface>\n</node>\n';
+}
+
+// Returns the options of net.Server#listen() for a D-Bus address.
+function listenOptionsOf(address) {
+  var parsed = busAddress.parse(address);
+  var params = parsed.params;
+  if (parsed.transport === 'tcp') {
+    return { host: params.host, port: Number(params.port) };
+  }
+  return { path: params.path || `\0${params.abstract}` };
+}
+
+/**
+ * A local stand-in for mbusd, dimu and config manager of Link IoT Edge, which
+ * listens on a D-Bus address so that unmodified drivers can run and be observed
+ * without a gateway. It hosts <code>iot.dmp.dimu</code> and
+ * <code>iot.dmp.configmanager</code>, and receives the signals sent to
+ * <code>iot.dmp.subscribe</code>. It's not a general purpose message bus, since
+ * it only carries the calls between itself and the drivers.
+ * <pre>
+ *   const daemon = new MockEdgeDaemon();
+ *   daemon.setDriverConfig({ deviceList: [{ productKey: 'a1xxx', deviceName: 'light' }] });
+ *   daemon.on('properties', (thing, properties) => console.log(properties));
+ *   daemon.listen('unix:path=/tmp/mbusd_socket');
+ * </pre>
+ *
+ * @extends FakeEdge
+ */
+class MockEdgeDaemon extends FakeEdge {
+  /**
+   * Constructs a new MockEdgeDaemon.
+   */
+  constructor() {
+    super();
+    this._server = undefined;
+    this._clients = new Set();
+    // Maps the well-known names to the owner clients.
+    this._names = new Map();
+    this._nextClientId = 1;
+    this._serial = 1;
+  }
+
+  /**
+   * Starts listening on the D-Bus address.
+   *
+   * @param {String} [address] the D-Bus address, which defaults to
+   *   {@link DEFAULT_BUS_ADDRESS}.
+   * @returns {Promise<Void>}
+   */
+  listen(address) {
+    return new Promise((resolve, reject) => {
+      if (this._server) {
+        throw new Error('Daemon is already listening.');
+      }
+      address = address || busAddress.DEFAULT_BUS_ADDRESS;
+      var options = listenOptionsOf(address);
+      if (options.path && options.path[0] !== '\0' && !fs.existsSync(path.dirname(options.path))) {
+        fs.mkdirSync(path.dirname(options.path), { recursive: true });
+      }
+      var server = dbus.createServer((connection) => {
+        this._onConnection(connection);
+      });
+      server.server.once('error', reject);
+      server.listen(options, () => {
+        server.server.removeListener('error', reject);
+        logger.info(`Mock daemon is listening on ${address}.`);
+        this._server = server;
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Disconnects all drivers and stops listening.
+   *
+   * @returns {Promise<Void>}
+   */
+  close() {
+    return new Promise((resolve) => {
+      var server = this._server;
+      this._server = undefined;
+      this._clients.forEach((client) => {
+        client.connection.end();
+      });
+      if (!server) {
+        return resolve();
+      }
+      server.server.close(() => {
+        logger.info('Mock daemon is closed.');
+        resolve();
+      });
+    });
+  }
+
+  _onConnection(connection) {
+    var client = {
+      connection,
+      name: `:1.${this._nextClientId++}`,
+      // Maps the serials of the calls to the driver to their callbacks.
+      pending: new Map(),
+    };
+    this._clients.add(client);
+    connection.on('message', (msg) => {
+      msg.sender = client.name;
+      try {
+        this._onMessage(client, msg);
+      } catch (err) {
+        logger.warn(`Failed to handle message ${msg.member} from ${client.name}: ${err}.`);
+      }
+    });
+    connection.on('error', (err) => {
+      logger.warn(`Connection ${client.name} had a error: ${err}.`);
+    });
+    connection.once('end', () => {
+      this._onClientEnd(client);
+    });
+  }
+
+  _onClientEnd(client) {
+    if (!this._clients.delete(client)) {
+      return;
+    }
+    logger.info(`Client ${client.name} is disconnected.`);
+    this._names.forEach((owner, name) => {
+      if (owner === client) {
+        this._names.delete(name);
+      }
+    });
+    client.pending.forEach((callback) => {
+      callback(new Error('Driver is disconnected.'));
+    });
+    client.pending.clear();
+    super._onClientEnd(client);
+  }
+
+  _onMessage(client, msg) {
+    switch (msg.type) {
+      case messageType.methodCall:
+        if (msg.destination === DBUS_NAME) {
+          this._onBusCall(client, msg);
+        } else if (SERVICE_METHODS[msg.destination]) {
+          this._onServiceCall(client, msg);
+        } else {
+          this._replyError(client, msg, 'org.freedesktop.DBus.Error.ServiceUnknown',
+            `The name ${msg.destination} is not provided by the mock daemon.`);
+        }
+        break;
+      case messageType.methodReturn:
+      case messageType.error:
+        var callback = client.pending.get(msg.replySerial);
+        if (callback) {
+          client.pending.delete(msg.replySerial);
+          if (msg.type === messageType.error) {
+            callback(new Error(`${msg.errorName}: ${(msg.body || [])[0]}`));
+          } else {
+            callback(undefined, (msg.body || [])[0]);
+          }
+        }
+        break;
+      case messageType.signal:
+        if (msg.destination === SUBSCRIBE_NAME && msg.body) {
+          this._onSignal(msg.path, msg.member, msg.body[0]);
+        }
+        break;
+    }
+  }
+
+  // Handles the calls to the message bus itself.
+  _onBusCall(client, msg) {
+    var name = (msg.body || [])[0];
+    var owner;
+    switch (msg.member) {
+      case 'Hello':
+        return this._reply(client, msg, 's', [client.name]);
+      case 'RequestName':
+        owner = this._names.get(name);
+        if (owner && owner !== client) {
+          return this._reply(client, msg, 'u', [NAME_EXISTS]);
+        } else if (owner) {
+          return this._reply(client, msg, 'u', [NAME_ALREADY_OWNER]);
+        }
+        this._names.set(name, client);
+        this._reply(client, msg, 'u', [NAME_PRIMARY_OWNER]);
+        return this._signalName(client, 'NameAcquired', name);
+      case 'ReleaseName':
+        owner = this._names.get(name);
+        if (!owner) {
+          return this._reply(client, msg, 'u', [NAME_NON_EXISTENT]);
+        } else if (owner !== client) {
+          return this._reply(client, msg, 'u', [NAME_NOT_OWNER]);
+        }
+        this._names.delete(name);
+        this._reply(client, msg, 'u', [NAME_RELEASED]);
+        return this._signalName(client, 'NameLost', name);
+      case 'AddMatch':
+      case 'RemoveMatch':
+        return this._reply(client, msg);
+      case 'NameHasOwner':
+        return this._reply(client, msg, 'b', [this._names.has(name) || !!SERVICE_METHODS[name]]);
+      case 'ListNames':
+        return this._reply(client, msg, 'as',
+          [[DBUS_NAME].concat(Object.keys(SERVICE_METHODS), [...this._names.keys()])]);
+      default:
+        return this._replyError(client, msg, 'org.freedesktop.DBus.Error.UnknownMethod',
+          `Method ${msg.member} is not supported by the mock daemon.`);
+    }
+  }
+
+  // Handles the calls to dimu and config manager.
+  _onServiceCall(client, msg) {
+    var methods = SERVICE_METHODS[msg.destination];
+    if (msg['interface'] === INTROSPECTABLE_INTERFACE && msg.member === 'Introspect') {
+      return this._reply(client, msg, 's', [introspect(msg.destination, methods)]);
+    }
+    var method = methods[msg.member];
+    if (!method || msg.path !== objectPathOf(msg.destination)) {
+      return this._replyError(client, msg, 'org.freedesktop.DBus.Error.UnknownMethod',
+        `Method ${msg.member} at ${msg.path} is not found.`);
+    }
+    var iface = msg.destination === DIMU_NAME ? this._dimuInterface(client)
+      : this._configInterface();
+    logger.debug(`Call ${msg.destination}.${msg.member} from ${client.name}.`);
+    iface[msg.member].apply(iface, (msg.body || []).concat((err, ...results) => {
+      if (err) {
+        return this._replyError(client, msg, 'org.freedesktop.DBus.Error.Failed', `${err}`);
+      }
+      this._reply(client, msg, method[1], results);
+    }));
+  }
+
+  _send(client, msg) {
+    msg.serial = this._serial++;
+    client.connection.message(msg);
+    return msg.serial;
+  }
+
+  _reply(client, msg, signature, body) {
+    var reply = {
+      type: messageType.methodReturn,
+      replySerial: msg.serial,
+      destination: client.name,
+      sender: msg.destination,
+    };
+    if (signature) {
+      reply.signature = signature;
+      reply.body = body;
+    }
+    this._send(client, reply);
+  }
+
+  _replyError(client, msg, errorName, message) {
+    this._send(client, {
+      type: messageType.error,
+      replySerial: msg.serial,
+      destination: client.name,
+      sender: msg.destination,
+      errorName,
+      signature: 's',
+      body: [message],
+    });
+  }
+
+  _signalName(client, member, name) {
+    this._send(client, {
+      type: messageType.signal,
+      destination: client.name,
+      sender: DBUS_NAME,
+      path: DBUS_PATH,
+      'interface': DBUS_NAME,
+      member,
+      signature: 's',
+      body: [name],
+    });
+  }
+
+  // Calls a method of the interface exported by the driver.
+  _call(client, sender, serviceName, member, signature, body) {
+    return new Promise((resolve, reject) => {
+      var serial = this._send(client, {
+        type: messageType.methodCall,
+        destination: serviceName,
+        sender,
+        path: objectPathOf(serviceName),
+        'interface': serviceName,
+        member,
+        signature,
+        body,
+      });
+      client.pending.set(serial, (err, result) => {
+        err ? reject(err) : resolve(result);
+      });
+    });
+  }
+
+  _invoke(thing, member, args) {
+    return this._call(thing._client, DIMU_NAME, `iot.device.id${thing.thingId}`, member,
+      THING_METHODS[member], args);
+  }
+
+  _notifyConfig(serviceName, key, value) {
+    var client = this._names.get(serviceName);
+    if (!client) {
+      return;
+    }
+    this._call(client, CONFIG_MANAGER_NAME, serviceName, 'notify_config', 'ss', [key, value])
+      .catch((err) => {
+        logger.warn(`Failed to notify config changes to ${serviceName}: ${err}.`);
+      });
+  }
+}
+
+module.exports = MockEdgeDaemon;
+module.exports.MockEdgeDaemon = MockEdgeDaemon;
+module.exports.FakeThing = FakeThing;
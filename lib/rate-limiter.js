@@ -0,0 +1,206 @@
+/*
+ * Copyright (c) 2018 Alibaba Group Holding Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const DEFAULT_QUEUE_SIZE = 100;
+
+const OVERFLOW_QUEUE = 'queue';
+const OVERFLOW_DROP_OLDEST = 'dropOldest';
+const OVERFLOW_REJECT = 'reject';
+
+// Code for the error which a task is rejected with once the limit is exceeded.
+const ERROR_RATE_LIMITED = 'rate_limited';
+
+function rateLimitedError(message) {
+  var error = new Error(message);
+  error.code = ERROR_RATE_LIMITED;
+  return error;
+}
+
+/**
+ * A token bucket which limits the rate of tasks, e.g. sending signals. Each task
+ * takes a token, and the bucket is refilled at <code>rate</code> tokens per second
+ * up to <code>burst</code> tokens. Once it's empty, the task is either queued
+ * until a token is available, queued with the oldest queued one dropped if the
+ * queue is full, or rejected, by the overflow policy. Queued tasks run in order.
+ *
+ * @private
+ */
+class RateLimiter {
+  /**
+   * Constructs a new RateLimiter.
+   *
+   * @param {Number} rate the number of tasks per second.
+   * @param {Number} [burst=max(1, floor(rate))] the max number of tasks run at once
+   *   after being idle.
+   * @param {String} [overflow='queue'] what to do once the limit is exceeded,
+   *   <code>queue</code> to queue the task, which is rejected if the queue is full,
+   *   <code>dropOldest</code> to queue the task and drop the oldest queued one if
+   *   the queue is full, or <code>reject</code> to reject the task.
+   * @param {Number} [queueSize=100] the max number of queued tasks.
+   */
+  constructor({
+    rate,
+    burst = Math.max(1, Math.floor(rate)),
+    overflow = OVERFLOW_QUEUE,
+    queueSize = DEFAULT_QUEUE_SIZE,
+  } = {}) {
+    if (typeof rate !== 'number' || !(rate > 0) || rate === Infinity) {
+      throw new Error(`Illegal "rate": ${rate}, expected a positive number.`);
+    }
+    if (!Number.isInteger(burst) || burst <= 0) {
+      throw new Error(`Illegal "burst": ${burst}, expected a positive integer.`);
+    }
+    if ([OVERFLOW_QUEUE, OVERFLOW_DROP_OLDEST, OVERFLOW_REJECT].indexOf(overflow) === -1) {
+      throw new Error(`Illegal "overflow": ${overflow}, expected "${OVERFLOW_QUEUE}", ` +
+        `"${OVERFLOW_DROP_OLDEST}" or "${OVERFLOW_REJECT}".`);
+    }
+    if (!Number.isInteger(queueSize) || queueSize <= 0) {
+      throw new Error(`Illegal "queueSize": ${queueSize}, expected a positive integer.`);
+    }
+    this.rate = rate;
+    this.burst = burst;
+    this.overflow = overflow;
+    this.queueSize = queueSize;
+    this._tokens = burst;
+    this._refilledAt = Date.now();
+    this._queue = [];
+    this._timer = undefined;
+    this._passed = 0;
+    this._throttled = 0;
+    this._dropped = 0;
+    this._rejected = 0;
+  }
+
+  /**
+   * Runs the task once a token is available.
+   *
+   * @param {Function} task the task, which may return a promise.
+   * @param {Boolean} [wait=false] whether to queue the task regardless of the
+   *   overflow policy and the queue size, e.g. for the tasks which must not be lost.
+   * @returns {Promise} resolves with the result of the task, resolves with
+   *   <code>false</code> if it's dropped, or rejects with the error of the task, or
+   *   an error whose <code>code</code> is <code>rate_limited</code> if it's rejected.
+   */
+  schedule(task, wait) {
+    return new Promise((resolve, reject) => {
+      var entry = { task, resolve, reject };
+      if (this._queue.length === 0 && this._take()) {
+        this._run(entry);
+        return;
+      }
+      this._throttled++;
+      if (!wait) {
+        if (this.overflow === OVERFLOW_REJECT) {
+          this._rejected++;
+          reject(rateLimitedError(`Rate limit of ${this.rate}/s is exceeded.`));
+          return;
+        }
+        if (this._queue.length >= this.queueSize) {
+          if (this.overflow === OVERFLOW_QUEUE) {
+            this._rejected++;
+            reject(rateLimitedError(`Rate limit of ${this.rate}/s is exceeded ` +
+              `and ${this._queue.length} tasks are queued.`));
+            return;
+          }
+          this._drop(this._queue.shift());
+        }
+      }
+      this._queue.push(entry);
+      this._wait();
+    });
+  }
+
+  /**
+   * Drops all queued tasks, which resolve with <code>false</code>.
+   */
+  clear() {
+    clearTimeout(this._timer);
+    this._timer = undefined;
+    var queue = this._queue;
+    this._queue = [];
+    queue.forEach(entry => this._drop(entry));
+  }
+
+  /**
+   * Returns the metrics of the limiter.
+   *
+   * @returns {Object} the metrics in form of <code>{passed, throttled, queued,
+   *   dropped, rejected}</code>, where <code>passed</code> is the number of tasks
+   *   run, <code>throttled</code> is the number of tasks which exceeded the limit,
+   *   <code>queued</code> is the number of tasks being queued, and
+   *   <code>dropped</code> and <code>rejected</code> are the numbers of tasks
+   *   dropped or rejected.
+   */
+  stats() {
+    return {
+      passed: this._passed,
+      throttled: this._throttled,
+      queued: this._queue.length,
+      dropped: this._dropped,
+      rejected: this._rejected,
+    };
+  }
+
+  _take() {
+    var now = Date.now();
+    this._tokens = Math.min(this.burst,
+      this._tokens + (now - this._refilledAt) * this.rate / 1000);
+    this._refilledAt = now;
+    if (this._tokens < 1) {
+      return false;
+    }
+    this._tokens--;
+    return true;
+  }
+
+  _run(entry) {
+    this._passed++;
+    try {
+      entry.resolve(entry.task());
+    } catch (err) {
+      entry.reject(err);
+    }
+  }
+
+  _drop(entry) {
+    this._dropped++;
+    entry.resolve(false);
+  }
+
+  // Runs the queued tasks once tokens are refilled.
+  _wait() {
+    if (this._timer || this._queue.length === 0) {
+      return;
+    }
+    var elapsed = Date.now() - this._refilledAt;
+    var delay = Math.ceil((1 - this._tokens) * 1000 / this.rate) - elapsed;
+    this._timer = setTimeout(() => {
+      this._timer = undefined;
+      while (this._queue.length > 0 && this._take()) {
+        this._run(this._queue.shift());
+      }
+      this._wait();
+    }, Math.max(0, delay));
+  }
+}
+
+module.exports = RateLimiter;
+module.exports.OVERFLOW_QUEUE = OVERFLOW_QUEUE;
+module.exports.OVERFLOW_DROP_OLDEST = OVERFLOW_DROP_OLDEST;
+module.exports.OVERFLOW_REJECT = OVERFLOW_REJECT;
+module.exports.ERROR_RATE_LIMITED = ERROR_RATE_LIMITED;
@@ -0,0 +1,166 @@
+/*
+ * Copyright (c) 2018 Alibaba Group Holding Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const DEFAULT_CAPACITY = 100;
+
+const DROP_OLDEST = 'dropOldest';
+const DROP_NEWEST = 'dropNewest';
+
+/**
+ * A bounded FIFO buffer of the reports made while a thing is not online. Once
+ * it's full, either the oldest report is dropped to make room for the new one,
+ * or the new one is dropped. Reports older than the max age are dropped as well.
+ * Each report has a <code>time</code> in milliseconds when it's made.
+ *
+ * @private
+ */
+class ReportBuffer {
+  /**
+   * Constructs a new ReportBuffer.
+   *
+   * @param {Number} [capacity=100] the max number of reports.
+   * @param {String} [dropPolicy='dropOldest'] which report is dropped once it's
+   *   full, <code>dropOldest</code> or <code>dropNewest</code>.
+   * @param {Number} [maxAge=Infinity] the max age in milliseconds of a report,
+   *   beyond which it's dropped.
+   */
+  constructor({
+    capacity = DEFAULT_CAPACITY,
+    dropPolicy = DROP_OLDEST,
+    maxAge = Infinity,
+  } = {}) {
+    if (!Number.isInteger(capacity) || capacity <= 0) {
+      throw new Error(`Illegal "capacity": ${capacity}, expected a positive integer.`);
+    }
+    if (dropPolicy !== DROP_OLDEST && dropPolicy !== DROP_NEWEST) {
+      throw new Error(`Illegal "dropPolicy": ${dropPolicy}, expected ` +
+        `"${DROP_OLDEST}" or "${DROP_NEWEST}".`);
+    }
+    if (typeof maxAge !== 'number' || !(maxAge > 0)) {
+      throw new Error(`Illegal "maxAge": ${maxAge}, expected a positive number.`);
+    }
+    this.capacity = capacity;
+    this.dropPolicy = dropPolicy;
+    this.maxAge = maxAge;
+    this._reports = [];
+    this._dropped = 0;
+    this._expired = 0;
+  }
+
+  /**
+   * Whether the reports survive restarts of the process.
+   *
+   * @type {Boolean}
+   */
+  get persistent() {
+    return false;
+  }
+
+  /**
+   * The number of buffered reports.
+   *
+   * @type {Number}
+   */
+  get size() {
+    return this._reports.length;
+  }
+
+  /**
+   * Appends a report.
+   *
+   * @param {Object} report the report.
+   * @returns {Object|undefined} the dropped report if it's full, which is either
+   *   the oldest one or the given one.
+   */
+  push(report) {
+    this._expire();
+    if (this._reports.length < this.capacity) {
+      this._reports.push(report);
+      return undefined;
+    }
+    this._dropped++;
+    if (this.dropPolicy === DROP_NEWEST) {
+      return report;
+    }
+    var dropped = this.shift();
+    this._reports.push(report);
+    return dropped;
+  }
+
+  /**
+   * Returns the oldest report without removing it.
+   *
+   * @returns {Object|undefined}
+   */
+  peek() {
+    this._expire();
+    return this._reports[0];
+  }
+
+  /**
+   * Removes the oldest report.
+   *
+   * @returns {Object|undefined} the removed report.
+   */
+  shift() {
+    return this._reports.shift();
+  }
+
+  /**
+   * Removes all reports.
+   *
+   * @returns {Object[]} the removed reports.
+   */
+  clear() {
+    var reports = this._reports;
+    this._reports = [];
+    return reports;
+  }
+
+  /**
+   * Returns the metrics of the buffer.
+   *
+   * @returns {Object} the metrics in form of <code>{size, capacity, dropped,
+   *   expired}</code>, where <code>dropped</code> and <code>expired</code> are the
+   *   numbers of reports dropped since it's full or too old.
+   */
+  stats() {
+    return {
+      size: this.size,
+      capacity: this.capacity,
+      dropped: this._dropped,
+      expired: this._expired,
+    };
+  }
+
+  // Drops the reports older than the max age from the head.
+  _expire() {
+    if (this.maxAge === Infinity) {
+      return;
+    }
+    var deadline = Date.now() - this.maxAge;
+    while (this._reports.length > 0 && this._reports[0].time < deadline) {
+      this.shift();
+      this._expired++;
+    }
+  }
+}
+
+module.exports = ReportBuffer;
+module.exports.DROP_OLDEST = DROP_OLDEST;
+module.exports.DROP_NEWEST = DROP_NEWEST;
@@ -0,0 +1,120 @@
+/*
+ * Copyright (c) 2018 Alibaba Group Holding Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const MODE_LATEST = 'latest';
+const MODE_ALL = 'all';
+
+/**
+ * Merges the property reports made within a window into as few reports as
+ * possible, so that they are sent in fewer signals. Each property keeps its own
+ * time. In the <code>latest</code> mode, only the latest value of each property
+ * is kept. In the <code>all</code> mode, all values are kept, and a new report is
+ * started once a property is reported again within the window, since a report
+ * has only one value of each property.
+ *
+ * @private
+ */
+class ReportCoalescer {
+  /**
+   * Constructs a new ReportCoalescer.
+   *
+   * @param {Object} options the options.
+   * @param {Number} options.window the window in milliseconds, which starts at
+   *   the first report after the last flush.
+   * @param {String} [options.mode='latest'] <code>latest</code> or <code>all</code>.
+   * @param {Function} send called with each merged report in form of
+   *   <code>{value, time, times}</code> once the window expires, which returns
+   *   the result or throws.
+   */
+  constructor({ window, mode = MODE_LATEST } = {}, send) {
+    if (typeof window !== 'number' || !(window > 0) || window === Infinity) {
+      throw new Error(`Illegal "window": ${window}, expected a positive number.`);
+    }
+    if (mode !== MODE_LATEST && mode !== MODE_ALL) {
+      throw new Error(`Illegal "mode": ${mode}, expected ` +
+        `"${MODE_LATEST}" or "${MODE_ALL}".`);
+    }
+    this.window = window;
+    this.mode = mode;
+    this._send = send;
+    this._batches = [];
+    this._timer = undefined;
+  }
+
+  /**
+   * The number of the merged reports waiting to be sent.
+   *
+   * @type {Number}
+   */
+  get size() {
+    return this._batches.length;
+  }
+
+  /**
+   * Merges the report into the pending ones.
+   *
+   * @param {Object} report the report in form of <code>{value, time, times}</code>.
+   * @returns {Promise} resolves with the result of sending the merged report
+   *   which includes it, or rejects with the error.
+   */
+  add(report) {
+    return new Promise((resolve, reject) => {
+      var keys = Object.keys(report.value);
+      var batch = this._batches[this._batches.length - 1];
+      if (!batch || (this.mode === MODE_ALL && keys.some(key => key in batch.value))) {
+        batch = { value: {}, times: {}, time: report.time, callbacks: [] };
+        this._batches.push(batch);
+      }
+      keys.forEach((key) => {
+        batch.value[key] = report.value[key];
+        batch.times[key] = (report.times && report.times[key]) || report.time;
+      });
+      batch.time = report.time;
+      batch.callbacks.push({ resolve, reject });
+      if (!this._timer) {
+        this._timer = setTimeout(() => {
+          this.flush();
+        }, this.window);
+      }
+    });
+  }
+
+  /**
+   * Sends the pending reports immediately.
+   */
+  flush() {
+    clearTimeout(this._timer);
+    this._timer = undefined;
+    var batches = this._batches;
+    this._batches = [];
+    batches.forEach((batch) => {
+      var result;
+      try {
+        result = this._send({ value: batch.value, time: batch.time, times: batch.times });
+      } catch (err) {
+        batch.callbacks.forEach(callback => callback.reject(err));
+        return;
+      }
+      batch.callbacks.forEach(callback => callback.resolve(result));
+    });
+  }
+}
+
+module.exports = ReportCoalescer;
+module.exports.MODE_LATEST = MODE_LATEST;
+module.exports.MODE_ALL = MODE_ALL;
@@ -0,0 +1,188 @@
+/*
+ * Copyright (c) 2018 Alibaba Group Holding Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// The key of the policy for the properties without their own policies.
+const DEFAULT_KEY = '*';
+
+function checkPolicy(name, policy) {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new Error(`Illegal report policy of "${name}", expected an object.`);
+  }
+  if (policy.onChange !== undefined && typeof policy.onChange !== 'boolean') {
+    throw new Error(`Illegal "onChange" of "${name}": ${policy.onChange}, ` +
+      'expected a boolean.');
+  }
+  ['deadband', 'deadbandPercent', 'minInterval'].forEach((key) => {
+    var value = policy[key];
+    if (value !== undefined && (typeof value !== 'number' || !(value >= 0)
+      || value === Infinity)) {
+      throw new Error(`Illegal "${key}" of "${name}": ${value}, ` +
+        'expected a non-negative number.');
+    }
+  });
+  if (policy.maxSilence !== undefined && (typeof policy.maxSilence !== 'number'
+    || !(policy.maxSilence > 0))) {
+    throw new Error(`Illegal "maxSilence" of "${name}": ${policy.maxSilence}, ` +
+      'expected a positive number.');
+  }
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+// Returns whether the value changes enough from the last reported one.
+function changes(policy, last, value) {
+  var deadband = policy.deadband !== undefined || policy.deadbandPercent !== undefined;
+  if (deadband && isNumber(last) && isNumber(value)) {
+    var delta = Math.abs(value - last);
+    return (policy.deadband === undefined || delta > policy.deadband)
+      && (policy.deadbandPercent === undefined
+        || delta > Math.abs(last) * policy.deadbandPercent / 100);
+  }
+  if (deadband || policy.onChange) {
+    return JSON.stringify(value) !== JSON.stringify(last);
+  }
+  return true;
+}
+
+/**
+ * Filters the properties to report by per-property policies, so that the
+ * properties polled periodically are only reported when they change. A policy
+ * is an object with the following optional properties:
+ * <ul>
+ *   <li><code>onChange</code>: whether to report only when the value changes,</li>
+ *   <li><code>deadband</code>: the absolute change of a number, within which it's
+ *   not reported, which implies <code>onChange</code> for other values,</li>
+ *   <li><code>deadbandPercent</code>: the change of a number in percent of the
+ *   last reported value, within which it's not reported,</li>
+ *   <li><code>minInterval</code>: the min interval in milliseconds between
+ *   reports, within which any value is not reported,</li>
+ *   <li><code>maxSilence</code>: the max interval in milliseconds between
+ *   reports, beyond which the value is reported even if it doesn't change.</li>
+ * </ul>
+ * Intervals are measured by the times of the reports.
+ *
+ * @private
+ */
+class ReportFilter {
+  /**
+   * Constructs a new ReportFilter.
+   *
+   * @param {Object} policies the policies keyed by the property identifiers, where
+   *   <code>'*'</code> is for the properties without their own policies.
+   */
+  constructor(policies) {
+    if (!policies || typeof policies !== 'object' || Array.isArray(policies)) {
+      throw new Error('Illegal report policies, expected an object.');
+    }
+    Object.keys(policies).forEach((name) => {
+      checkPolicy(name, policies[name]);
+    });
+    this.policies = Object.assign({}, policies);
+    this._last = new Map();
+  }
+
+  /**
+   * Constructs a new ReportFilter from the TSL ext info, where each property may
+   * have a <code>reportPolicy</code>, and the top-level <code>reportPolicy</code>
+   * is for the properties without their own policies.
+   *
+   * @param {String|Object} info the TSL ext info.
+   * @returns {ReportFilter}
+   */
+  static fromTslExtInfo(info) {
+    var parsed = typeof info === 'string' ? JSON.parse(info) : info;
+    var policies = {};
+    if (parsed && parsed.reportPolicy !== undefined) {
+      policies[DEFAULT_KEY] = parsed.reportPolicy;
+    }
+    ((parsed && parsed.properties) || []).forEach((property) => {
+      if (property && property.identifier && property.reportPolicy !== undefined) {
+        policies[property.identifier] = property.reportPolicy;
+      }
+    });
+    return new ReportFilter(policies);
+  }
+
+  /**
+   * Returns the report with only the properties which should be reported. It
+   * doesn't change the state of the filter until {@link ReportFilter#update}.
+   *
+   * @param {Object} report the report in form of <code>{value, time, times}</code>.
+   * @returns {Object|undefined} the filtered report with other fields kept, or
+   *   undefined if none of the properties should be reported.
+   */
+  filter(report) {
+    var value = {};
+    var times = undefined;
+    Object.keys(report.value).forEach((key) => {
+      var time = (report.times && report.times[key]) || report.time;
+      if (this._accepts(key, report.value[key], time)) {
+        value[key] = report.value[key];
+        if (report.times && report.times[key]) {
+          times = times || {};
+          times[key] = report.times[key];
+        }
+      }
+    });
+    if (Object.keys(value).length === 0) {
+      return undefined;
+    }
+    return Object.assign({}, report, { value, times });
+  }
+
+  /**
+   * Records the properties of the report as the last reported ones.
+   *
+   * @param {Object} report the report in form of <code>{value, time, times}</code>.
+   */
+  update(report) {
+    Object.keys(report.value).forEach((key) => {
+      this._last.set(key, {
+        value: report.value[key],
+        time: (report.times && report.times[key]) || report.time,
+      });
+    });
+  }
+
+  /**
+   * Forgets the last reported properties.
+   */
+  reset() {
+    this._last.clear();
+  }
+
+  _accepts(key, value, time) {
+    var policy = this.policies[key] || this.policies[DEFAULT_KEY];
+    var last = this._last.get(key);
+    if (!policy || !last) {
+      return true;
+    }
+    var elapsed = time - last.time;
+    if (policy.minInterval !== undefined && elapsed < policy.minInterval) {
+      return false;
+    }
+    if (policy.maxSilence !== undefined && elapsed >= policy.maxSilence) {
+      return true;
+    }
+    return changes(policy, last.value, value);
+  }
+}
+
+module.exports = ReportFilter;
@@ -0,0 +1,129 @@
+/*
+ * Copyright (c) 2018 Alibaba Group Holding Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const Backoff = require('./backoff');
+const logger = require('./logger');
+
+// Creates the error which a retry rejects with when it's aborted.
+function abortError(signal) {
+  if (signal.reason instanceof Error) {
+    return signal.reason;
+  }
+  var error = new Error('Retrying is aborted.');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Performs an operation and retries it with exponential back off until it
+ * succeeds, the attempts are exhausted, or the retry is aborted.
+ *
+ * @param {Function} operation the operation which returns a promise.
+ * @param {Object} [options] the retry policy.
+ * @param {Number} [options.initialInterval=1000] the delay in milliseconds before
+ *   the first retry.
+ * @param {Number} [options.maxInterval=60000] the upper limit of the delay in
+ *   milliseconds.
+ * @param {Number} [options.jitter=0] the randomization factor of the delay
+ *   between 0 and 1.
+ * @param {Number} [options.maxAttempts=Infinity] the max number of attempts,
+ *   including the first one.
+ * @param {AbortSignal} [options.signal] a signal to stop retrying. The returned
+ *   promise rejects with an <code>AbortError</code> once it's aborted, while the
+ *   attempt in flight, if any, is not cancelled.
+ * @param {Function} [onRetry] called with the number of failed attempts, the
+ *   delay in milliseconds and the error before each retry.
+ *
+ * @returns {Promise} resolves with the result of the succeeded attempt, or rejects
+ *   with the error of the last attempt.
+ * @private
+ */
+function retry(operation, options, onRetry) {
+  options = options || {};
+  var maxAttempts = options.maxAttempts === undefined ? Infinity : options.maxAttempts;
+  if (maxAttempts !== Infinity && !(Number.isInteger(maxAttempts) && maxAttempts > 0)) {
+    return Promise.reject(new Error(
+      `Illegal "maxAttempts": ${maxAttempts}, expected a positive integer.`));
+  }
+  var signal = options.signal;
+  if (signal && typeof signal.addEventListener !== 'function') {
+    return Promise.reject(new Error('Illegal "signal", expected an AbortSignal.'));
+  }
+  var backoff;
+  try {
+    backoff = new Backoff({
+      initialInterval: options.initialInterval,
+      maxInterval: options.maxInterval,
+      jitter: options.jitter,
+    });
+  } catch (err) {
+    return Promise.reject(err);
+  }
+  return new Promise((resolve, reject) => {
+    var timer;
+    var settled = false;
+    var onAbort = () => {
+      clearTimeout(timer);
+      settle(reject, abortError(signal));
+    };
+    var settle = (callback, value) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      callback(value);
+    };
+    var attempt = () => {
+      new Promise((resolve) => {
+        resolve(operation());
+      }).then((result) => {
+        settle(resolve, result);
+      }, (err) => {
+        if (settled) {
+          return;
+        }
+        if (backoff.attempts + 1 >= maxAttempts) {
+          settle(reject, err);
+          return;
+        }
+        var delay = backoff.next();
+        timer = setTimeout(attempt, delay);
+        if (onRetry) {
+          try {
+            onRetry(backoff.attempts, delay, err);
+          } catch (error) {
+            logger.warn(`Retry callback had a error: ${error}.`);
+          }
+        }
+      });
+    };
+    if (signal) {
+      if (signal.aborted) {
+        settle(reject, abortError(signal));
+        return;
+      }
+      signal.addEventListener('abort', onAbort);
+    }
+    attempt();
+  });
+}
+
+module.exports = retry;
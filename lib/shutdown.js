@@ -0,0 +1,177 @@
+/*
+ * Copyright (c) 2018 Alibaba Group Holding Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const os = require('os');
+
+const logger = require('./logger');
+const {
+  session,
+  DriverConfigManager,
+} = require('./thing-access');
+
+const DEFAULT_SIGNALS = ['SIGTERM', 'SIGINT'];
+const DEFAULT_TIMEOUT = 5000;
+
+// The exit code after a fatal error, or a shutdown which fails or times out.
+const EXIT_FAILURE = 1;
+
+// The options and the process listeners of the enabled hook, if any.
+var hook = undefined;
+var shuttingDown = false;
+
+function exitCodeOf(signal) {
+  var number = os.constants.signals[signal];
+  return number ? 128 + number : EXIT_FAILURE;
+}
+
+function withTimeout(promise, timeout) {
+  var timer;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        reject(new Error(`Shutdown timed out after ${timeout}ms.`));
+      }, timeout);
+    }),
+  ]).finally(() => {
+    clearTimeout(timer);
+  });
+}
+
+// Takes all connected things offline, stops listening the driver config and
+// finalizes the session. Things are taken offline through their clients if any,
+// so that the coalesced reports are sent or buffered first. Errors of things
+// are logged so that the rest are still taken offline.
+function teardown() {
+  var accesses = [...session.accesses.values()];
+  return Promise.all(accesses.map((access) => {
+    var offline = access.client ? access.client.offline() : access.disconnect();
+    return offline.catch((err) => {
+      access._logger.warn(`Failed to take thing offline: ${err}.`);
+    });
+  })).then(() => {
+    if (!session.edgeBus) {
+      // There is nothing to release since the edge bus was never connected.
+      return;
+    }
+    return Promise.resolve(DriverConfigManager.get().unlistenChanges())
+      .catch((err) => {
+        logger.warn(`Failed to unlisten driver config changes: ${err}.`);
+      })
+      .then(() => {
+        return session.finalize();
+      });
+  });
+}
+
+/**
+ * Shuts the SDK down, and then exits the process.
+ *
+ * @param {String} reason the reason, e.g. the signal.
+ * @param {Number} code the exit code if the shutdown succeeds.
+ * @returns {Promise<Void>}
+ * @private
+ */
+function shutdown(reason, code) {
+  var options = hook;
+  if (shuttingDown) {
+    logger.warn(`Received ${reason} while shutting down, exit immediately.`);
+    process.exit(code);
+    return Promise.resolve();
+  }
+  shuttingDown = true;
+  logger.info(`Shutting down on ${reason}...`);
+  return withTimeout(new Promise((resolve) => {
+    resolve(options.onShutdown && options.onShutdown(reason));
+  }).then(() => {
+    return teardown();
+  }), options.timeout)
+    .then(() => {
+      logger.info(`Shut down successfully, exit with ${code}.`);
+    }, (err) => {
+      code = EXIT_FAILURE;
+      logger.error(`Failed to shut down: ${err}, exit with ${code}.`);
+    })
+    .then(() => {
+      shuttingDown = false;
+      process.exit(code);
+    });
+}
+
+/**
+ * Disables the graceful shutdown hook.
+ *
+ * @private
+ */
+function disable() {
+  if (!hook) {
+    return;
+  }
+  Object.keys(hook.listeners).forEach((event) => {
+    process.removeListener(event, hook.listeners[event]);
+  });
+  hook = undefined;
+}
+
+/**
+ * Enables the graceful shutdown hook. See <code>enableGracefulShutdown()</code>
+ * in index.js for the options. Enabling it again replaces the previous options.
+ *
+ * @param {Object} [options] the options.
+ * @private
+ */
+function enable(options) {
+  options = Object.assign({
+    signals: DEFAULT_SIGNALS,
+    timeout: DEFAULT_TIMEOUT,
+    uncaughtException: true,
+    onShutdown: undefined,
+  }, options);
+  if (!Array.isArray(options.signals)
+    || !options.signals.every(signal => os.constants.signals[signal] !== undefined)) {
+    throw new Error('Illegal "signals", expected an array of signal names.');
+  }
+  if (typeof options.timeout !== 'number' || !(options.timeout > 0)) {
+    throw new Error(`Illegal "timeout": ${options.timeout}, expected a positive number.`);
+  }
+  if (options.onShutdown !== undefined && typeof options.onShutdown !== 'function') {
+    throw new Error('Illegal "onShutdown", expected a function.');
+  }
+  disable();
+  var listeners = {};
+  options.signals.forEach((signal) => {
+    listeners[signal] = () => {
+      shutdown(signal, exitCodeOf(signal));
+    };
+  });
+  if (options.uncaughtException) {
+    listeners['uncaughtException'] = (err) => {
+      logger.error(`Uncaught exception: ${err && err.stack || err}.`);
+      shutdown('uncaught exception', EXIT_FAILURE);
+    };
+  }
+  Object.keys(listeners).forEach((event) => {
+    process.on(event, listeners[event]);
+  });
+  hook = Object.assign({}, options, { listeners });
+}
+
+module.exports = {
+  enable,
+  disable,
+};
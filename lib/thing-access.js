@@ -28,19 +28,33 @@
 const dbus = require('dbus-native');
 const EventEmitter = require('events');
 
-const MODULE_NAME = process.env.FUNCTION_ID;
-if (!MODULE_NAME) {
-  throw new Error(`Can't get FUNCTION_ID from runtime.`);
-}
-
-const FUNCTION_NAME = process.env.FUNCTION_NAME;
-if (!FUNCTION_NAME) {
-  throw new Error(`Can't get FUNCTION_NAME from runtime.`);
-}
-
-const MODULE_SERVICE_NAME = `iot.driver.id${MODULE_NAME}`;
-const MODULE_OBJECT_PATH = `/iot/driver/id${MODULE_NAME}`;
-const MODULE_INTERFACE_NAME = MODULE_SERVICE_NAME;
+const Backoff = require('./backoff');
+const ReportBuffer = require('./report-buffer');
+const FileReportBuffer = require('./file-report-buffer');
+const ReportFilter = require('./report-filter');
+const ReportCoalescer = require('./report-coalescer');
+const RateLimiter = require('./rate-limiter');
+const busAddress = require('./bus-address');
+const retry = require('./retry');
+const Tsl = require('./tsl');
+const {
+  ERROR_PROPERTY_NOT_EXIST,
+  ERROR_PROPERTY_READ_ONLY,
+  ERROR_PROPERTY_WRITE_ONLY,
+  ERROR_SERVICE_NOT_EXIST,
+  ERROR_TIMEOUT,
+  ThingAccessError,
+  toReplyCode,
+} = require('./errors');
+const { createAbortController } = require('./abort');
+const logger = require('./logger');
+const {
+  validateProperties,
+  validateEvent,
+  validateSetProperties,
+  validateServiceArgs,
+  validateTime,
+} = require('./validator');
 
 const ERROR_REGISTER_MODULE = 'register_module';
 const ERROR_SETUP = 'setup';
@@ -51,6 +65,25 @@ const ERROR_GET_TSL = 'get_tsl';
 const ERROR_GET_TSL_EXT_INFO = 'get_tsl_ext_info';
 const ERROR_GET_CONFIG = 'get_config';
 const ERROR_UNREGISTER = 'unregister';
+const ERROR_RATE_LIMITED = RateLimiter.ERROR_RATE_LIMITED;
+
+// States of a thing. A thing starts as idle, becomes offline after setting up,
+// and online after connecting.
+const STATE_IDLE = 'idle';
+const STATE_SETTING_UP = 'setting-up';
+const STATE_CONNECTING = 'connecting';
+const STATE_ONLINE = 'online';
+const STATE_OFFLINE = 'offline';
+const STATE_CLEANING_UP = 'cleaning-up';
+const STATE_UNREGISTERED = 'unregistered';
+const STATE_FAILED = 'failed';
+
+// Types of the reports, which are either buffered or sent right now.
+const REPORT_EVENT = 'event';
+const REPORT_PROPERTIES = 'properties';
+
+// The reportPolicies option to get the policies from the TSL ext info.
+const REPORT_POLICIES_TSL_EXT_INFO = 'tslExtInfo';
 
 // Add finally shim to Promise.
 if (!Promise.prototype.finally) {
@@ -65,7 +98,7 @@ if (!Promise.prototype.finally) {
 
 // Default result handler for responses from remote services.
 function handleDefaultResult(error, result) {
-  console.info(`Handle default result: ${error}, ${result}.`);
+  logger.debug(`Handle default result: ${error}, ${logger.formatPayload(result)}.`);
   if (error) {
     throw error;
   }
@@ -84,6 +117,77 @@ function handleDefaultResult(error, result) {
   return parsed;
 }
 
+// Returns whether the value is a range of integers in form of [min, max].
+function isRange(value) {
+  return Array.isArray(value) && value.length === 2 && Number.isInteger(value[0])
+    && Number.isInteger(value[1]) && value[0] <= value[1];
+}
+
+// Returns whether the value is the timeouts of requests in milliseconds.
+function isTimeouts(value) {
+  var isTimeout = (timeout) => {
+    return timeout === undefined || (typeof timeout === 'number' && timeout > 0);
+  };
+  if (!value || typeof value !== 'object' || !isTimeout(value.getProperties)
+    || !isTimeout(value.setProperties) || !isTimeout(value.callService)) {
+    return false;
+  }
+  var services = value.services;
+  if (services === undefined) {
+    return true;
+  }
+  return !!services && typeof services === 'object'
+    && Object.keys(services).every(name => isTimeout(services[name]));
+}
+
+function isPlainObject(value) {
+  return Object.prototype.toString.call(value) === '[object Object]';
+}
+
+// The value of a property with its own time, which is created by timed().
+class TimedValue {
+  constructor(value, time) {
+    this.value = value;
+    this.time = time;
+  }
+}
+
+/**
+ * Wraps the value of a property with the time when it was sampled, so that
+ * {@link ThingAccessClient#reportProperties} reports the property with its own
+ * time. Plain objects, e.g. the values of struct properties, are reported as is.
+ *
+ * @param {*} value the value of the property.
+ * @param {Number|Date} time the time when the value was sampled in milliseconds
+ *   since the epoch.
+ * @returns {Object} the wrapped value.
+ */
+function timed(value, time) {
+  return new TimedValue(value, time);
+}
+
+// Converts the properties to report into a report, where each property is
+// either a value or a value wrapped by timed().
+function toPropertiesReport(properties, options, now) {
+  var time = options && options.time !== undefined ? validateTime(options.time, 'time') : now;
+  if (!isPlainObject(properties)) {
+    return { type: REPORT_PROPERTIES, value: properties, time };
+  }
+  var value = {};
+  var times = undefined;
+  Object.keys(properties).forEach((key) => {
+    var property = properties[key];
+    if (property instanceof TimedValue) {
+      value[key] = property.value;
+      times = times || {};
+      times[key] = validateTime(property.time, `time of ${key}`);
+    } else {
+      value[key] = property;
+    }
+  });
+  return { type: REPORT_PROPERTIES, value, time, times };
+}
+
 // Throw a error with code and message.
 function throwError(code, message, error) {
   if (message instanceof Error) {
@@ -99,39 +203,132 @@ function throwError(code, message, error) {
   throw error;
 }
 
-// Session which manages the wrapper of bus and some global states.
-class Session {
-  constructor() {
+// Session which manages the wrapper of bus and some global states. Once the
+// edge bus is lost, it reconnects with exponential back off, registers the
+// module again and then restores the things that were online. It emits
+// 'disconnected', 'reconnecting' and 'reconnected' events along the way.
+class Session extends EventEmitter {
+  constructor(options) {
+    super();
+    // Creates the edge bus clients. It's replaced by the fake edge bus in
+    // testing.js, and survives _reset() so that the fake stays installed.
+    this._createClient = undefined;
     this._reset();
+    if (options) {
+      this.configure(options);
+    }
+  }
+
+  /**
+   * Configures the edge bus to connect to. See <code>resolve()</code> in
+   * bus-address.js for the accepted address options. Besides, the following
+   * options control reconnecting when the edge bus is lost:
+   * <ul>
+   *   <li><code>reconnect</code>: whether to reconnect, true by default,</li>
+   *   <li><code>reconnectInterval</code>: the initial delay in milliseconds,</li>
+   *   <li><code>maxReconnectInterval</code>: the upper limit of the delay.</li>
+   * </ul>
+   * The identifiers of the driver, <code>functionId</code> and
+   * <code>functionName</code>, may be specified as well, which take precedence
+   * over <code>FUNCTION_ID</code> and <code>FUNCTION_NAME</code> set by the runtime.
+   * The <code>rateLimit</code> option limits the rate of the properties and
+   * events reported by all things, which is same as the <code>rateLimit</code>
+   * option of {@link ThingAccessClient}.
+   *
+   * @param {Object} options the edge bus options.
+   * @throws {Error} if the options are illegal or the session has been initialized.
+   */
+  configure(options) {
+    if (this.edgeBus || this._initializePromise) {
+      throw new Error('Edge bus can not be configured after the session is initialized.');
+    }
+    options = Object.assign({}, options);
+    ['functionId', 'functionName'].forEach((key) => {
+      if (options[key] !== undefined && (!options[key] || typeof options[key] !== 'string')) {
+        throw new Error(`Illegal "${key}", expected a non-empty string.`);
+      }
+    });
+    // Validate eagerly so that the caller gets the error where it's made.
+    busAddress.resolve(options);
+    var limiter = options.rateLimit ? new RateLimiter(options.rateLimit) : undefined;
+    this._backoff = new Backoff({
+      initialInterval: options.reconnectInterval,
+      maxInterval: options.maxReconnectInterval,
+    });
+    if (this.limiter) {
+      this.limiter.clear();
+    }
+    this.limiter = limiter;
+    this.options = options;
+  }
+
+  /**
+   * Returns the metrics of the rate limiter enabled by the <code>rateLimit</code>
+   * option, or undefined if it's not enabled.
+   *
+   * @returns {Object|undefined}
+   */
+  rateLimitStats() {
+    return this.limiter ? this.limiter.stats() : undefined;
+  }
+
+  /**
+   * Whether the edge bus is lost and the session is trying to reconnect.
+   *
+   * @type {Boolean}
+   */
+  get reconnecting() {
+    return this._reconnecting;
+  }
+
+  // The identifiers of the driver are resolved lazily, so that requiring the
+  // package doesn't fail without them.
+  get moduleName() {
+    var moduleName = this.options.functionId || process.env.FUNCTION_ID;
+    if (!moduleName) {
+      throw new Error(`Can't get FUNCTION_ID from runtime.`);
+    }
+    return moduleName;
+  }
+
+  get functionName() {
+    var functionName = this.options.functionName || process.env.FUNCTION_NAME;
+    if (!functionName) {
+      throw new Error(`Can't get FUNCTION_NAME from runtime.`);
+    }
+    return functionName;
+  }
+
+  get serviceName() {
+    return `iot.driver.id${this.moduleName}`;
   }
 
   initialize() {
     if (!this._initializePromise) {
       this._initializePromise = new Promise((resolve) => {
-        console.info('Initialize edge bus...');
+        // It fails fast before connecting if the identifiers are missing.
+        var moduleName = this.moduleName;
+        var functionName = this.functionName;
+        logger.info(`Initialize edge bus for driver ${functionName}(${moduleName})...`);
         resolve(this._initializeEdgeBus());
       }).then(() => {
-        return this.requestName(MODULE_SERVICE_NAME)
+        return this.requestName(this.serviceName)
       }).then(() => {
         this._exportModuleInterface();
         return this._registerModule();
       }).then(() => {
-        console.info('Initialize successfully!');
+        logger.info('Initialize successfully!');
+        this._watchEdgeBus(this.edgeBus);
         this._finalizePromise = undefined;
       }).catch(err => {
         var rollback = () => {
-          this.configInterface = undefined;
-          this.dimuInterface = undefined;
-          if (this.edgeBus) {
-            this.edgeBus.connection.end();
-            this.edgeBus = undefined;
-          }
+          this._closeEdgeBus();
           this._initializePromise = undefined;
           // Re-throw this error
           throw err;
         };
         if (err.code === ERROR_REGISTER_MODULE) {
-          return this.releaseName(MODULE_SERVICE_NAME)
+          return this.releaseName(this.serviceName)
             .then(rollback, rollback);
         }
         rollback();
@@ -143,23 +340,26 @@ class Session {
   finalize() {
     if (!this._finalizePromise) {
       this._finalizePromise = new Promise((resolve) => {
-        console.info(`Finalize...`);
+        logger.info(`Finalize...`);
+        var lost = this._reconnecting;
+        this._stopReconnecting();
+        if (lost) {
+          // There is nothing to unregister since the edge bus is lost.
+          return resolve();
+        }
         resolve(this._unregisterModule());
       }).then(() => {
         var reset = () => {
           this.emitter.removeAllListeners();
           this.connectedThings.clear();
           this.things.clear();
-          this.configInterface = undefined;
-          this.dimuInterface = undefined;
-          if (this.edgeBus) {
-            this.edgeBus.connection.end();
-            this.edgeBus = null;
-          }
+          this.accesses.clear();
+          this.pendingAccesses.clear();
+          this._closeEdgeBus();
           this._initializePromise = undefined;
-          console.info(`Finalize successfully!`);
+          logger.info(`Finalize successfully!`);
         };
-        return this.releaseName(MODULE_SERVICE_NAME)
+        return this.releaseName(this.serviceName)
           .then(reset, reset /* Do NOT throw the err! It's finalizing. */);
       }).catch(err => {
         this._finalizePromise = undefined;
@@ -170,34 +370,35 @@ class Session {
   }
 
   requestName(serviceName) {
-    console.info(`Request service name ${serviceName}.`);
-    return new Promise((resolve) => {
+    logger.info(`Request service name ${serviceName}.`);
+    return new Promise((resolve, reject) => {
       if (!this.edgeBus) {
         throw new Error('Client has not been setup or has been cleanup.');
       }
       this.edgeBus.requestName(serviceName, 0x4, (err, retCode) => {
         // If there was an error, warn user and fail
         if (err) {
-          throw new Error(
+          reject(new Error(
             `Could not request service name ${serviceName}, the error is ${err}.`
-          );
+          ));
+          return;
         }
         // Return code 0x1 means we successfully have the name
         if (retCode === 1) {
-          console.log(`Successfully requested service name "${serviceName}"!`);
+          logger.debug(`Successfully requested service name "${serviceName}"!`);
           resolve();
         } else {
           const reason = retCode === 3 ? 'already exists' : `errno ${retCode}`;
-          throw new Error(
+          reject(new Error(
             `Failed to request service name ${serviceName}: ${reason}.`
-          );
+          ));
         }
       });
     });
   }
 
   releaseName(serviceName) {
-    console.info(`Release service name ${serviceName}.`);
+    logger.info(`Release service name ${serviceName}.`);
     return new Promise((resolve, reject) => {
       if (!this.edgeBus) {
         throw new Error('Client has not been setup or has been cleanup.');
@@ -230,26 +431,28 @@ class Session {
    * @private
    */
   _registerModule() {
-    return new Promise((resolve) => {
+    return new Promise((resolve, reject) => {
       if (!this.dimuInterface) {
         throwError(ERROR_REGISTER_MODULE,
           'Client has not been setup or has been cleanup.');
       }
       var info = {
         'params': {
-          'driverLocalId': FUNCTION_NAME,
+          'driverLocalId': this.functionName,
           'driverStartupTime': `${Date.now()}`,
         }
       };
       var str = JSON.stringify(info);
-      console.info(`Register module to dimu ${str}.`);
+      logger.info(`Register module to dimu ${logger.formatPayload(str)}.`);
       this.dimuInterface.registerDriver(str, (err, result) => {
-        console.info('Return from registering module to dimu.');
+        logger.info('Return from registering module to dimu.');
         try {
           handleDefaultResult(err, result);
         } catch (error) {
-          // Rethrow the error with code.
-          throwError(ERROR_REGISTER_MODULE, error);
+          // Reject with the error with code.
+          error.code = ERROR_REGISTER_MODULE;
+          reject(error);
+          return;
         }
         resolve();
       });
@@ -263,19 +466,24 @@ class Session {
    * @private
    */
   _unregisterModule() {
-    return new Promise((resolve) => {
+    return new Promise((resolve, reject) => {
       if (!this.dimuInterface) {
         throw new Error('Client has not been setup or has been cleanup.');
       }
       var info = {
         'params': {
-          'driverLocalId': MODULE_NAME,
+          'driverLocalId': this.moduleName,
         }
       };
       var str = JSON.stringify(info);
-      console.info(`Unregister module from dimu ${str}.`);
+      logger.info(`Unregister module from dimu ${logger.formatPayload(str)}.`);
       this.dimuInterface.unregisterDriver(str, (err, result) => {
-        handleDefaultResult(err, result);
+        try {
+          handleDefaultResult(err, result);
+        } catch (error) {
+          reject(error);
+          return;
+        }
         resolve();
       });
     });
@@ -285,10 +493,6 @@ class Session {
     return this._connectToEdgeBus()
       .then((edgeBus) => {
         this.edgeBus = edgeBus;
-        this.edgeBus.connection.once('error', err => {
-          // TODO: Just print the error? Should we end the connection?
-          console.error(`Connection had a error: ${err}.`);
-        });
         return this._getDimuInterface();
       })
       .then((iface) => {
@@ -302,19 +506,129 @@ class Session {
 
   _connectToEdgeBus() {
     return new Promise((resolve, reject) => {
-      console.info('Connect to edge bus.');
-      var edgeBus = dbus.createClient({
-        busAddress: 'unix:path=/tmp/var/run/mbusd/mbusd_socket'
+      var address = busAddress.resolve(this.options);
+      logger.info(`Connect to edge bus ${address}.`);
+      var createClient = this._createClient || dbus.createClient;
+      var edgeBus = createClient({
+        busAddress: address
       });
-      edgeBus.connection.once('error', err => {
-        reject(err);
+      var connected = false;
+      edgeBus.connection.on('error', err => {
+        if (!connected) {
+          reject(new Error(`Could not connect to edge bus ${address}: ${err.message || err}.`));
+          return;
+        }
+        this._onConnectionLost(edgeBus, err);
+      });
+      edgeBus.connection.once('end', () => {
+        this._onConnectionLost(edgeBus);
       });
       edgeBus.connection.once('connect', () => {
+        connected = true;
         resolve(edgeBus);
       });
     });
   }
 
+  // Watches the initialized edge bus for losses.
+  _watchEdgeBus(edgeBus) {
+    this._watchedEdgeBus = edgeBus;
+  }
+
+  _onConnectionLost(edgeBus, err) {
+    if (this._watchedEdgeBus !== edgeBus) {
+      // It's ended on purpose, or lost during initializing which fails then.
+      if (err) {
+        logger.error(`Connection had a error: ${err}.`);
+      }
+      return;
+    }
+    logger.error(`Edge bus is lost: ${err || 'connection ended'}.`);
+    this._closeEdgeBus();
+    this._initializePromise = undefined;
+    // Things have to be connected again over a new edge bus.
+    this.accesses.forEach((access) => {
+      this.pendingAccesses.add(access);
+      access._onEdgeBusLost();
+    });
+    this.accesses.clear();
+    this.connectedThings.clear();
+    this.things.clear();
+    this._reconnecting = true;
+    this.emit('disconnected', err);
+    if (this.options.reconnect === false) {
+      logger.warn('Reconnecting is disabled, the edge bus will not be recovered.');
+      return;
+    }
+    this._scheduleReconnect();
+  }
+
+  _scheduleReconnect() {
+    var delay = this._backoff.next();
+    var attempts = this._backoff.attempts;
+    logger.info(`Reconnect to edge bus in ${delay}ms (attempt ${attempts}).`);
+    if (this._reconnecting) {
+      this.emit('reconnecting', attempts, delay);
+    }
+    this._reconnectTimer = setTimeout(() => {
+      this._reconnectTimer = undefined;
+      this.initialize()
+        .then(() => {
+          if (this._reconnecting) {
+            this._reconnecting = false;
+            logger.info('Edge bus is reconnected.');
+            this.emit('reconnected');
+          }
+          return this._restoreThings();
+        })
+        .then(() => {
+          this._backoff.reset();
+        }, (err) => {
+          logger.warn(`Failed to recover from edge bus loss: ${err}.`);
+          if (this._finalizePromise) {
+            return;
+          }
+          this._scheduleReconnect();
+        });
+    }, delay);
+  }
+
+  // Connects things which were online before the edge bus was lost again. The
+  // things failed to restore are kept pending for the next attempt.
+  _restoreThings() {
+    var accesses = [...this.pendingAccesses];
+    return Promise.all(accesses.map((access) => {
+      return access._restore()
+        .then(() => {
+          this.pendingAccesses.delete(access);
+        }, (err) => {
+          logger.warn(`Failed to restore thing ${access.config.productKey}` +
+            `-${access.config.deviceName || access.config.localName}: ${err}.`);
+          throw err;
+        });
+    }));
+  }
+
+  _stopReconnecting() {
+    if (this._reconnectTimer) {
+      clearTimeout(this._reconnectTimer);
+      this._reconnectTimer = undefined;
+    }
+    this._reconnecting = false;
+    this._backoff.reset();
+  }
+
+  _closeEdgeBus() {
+    var edgeBus = this.edgeBus;
+    this.edgeBus = undefined;
+    this._watchedEdgeBus = undefined;
+    this.dimuInterface = undefined;
+    this.configInterface = undefined;
+    if (edgeBus) {
+      edgeBus.connection.end();
+    }
+  }
+
   _getDimuInterface() {
     return this._getDefaultInterface('iot.dmp.dimu');
   }
@@ -326,7 +640,7 @@ class Session {
   _getDefaultInterface(serviceName) {
     var defaultObjectPath = `/${serviceName.replace(/\./g, '/')}`;
     var defaultInterface = serviceName;
-    console.info(`Get service default interface ${defaultInterface}.`);
+    logger.info(`Get service default interface ${defaultInterface}.`);
     return new Promise((resolve, reject) => {
       if (!this.edgeBus) {
         throw new Error('Client has not been setup or has been cleanup.');
@@ -339,12 +653,13 @@ class Session {
   }
 
   _exportModuleInterface() {
-    console.info(`Export module interface ${MODULE_INTERFACE_NAME}.`);
+    var interfaceName = this.serviceName;
+    logger.info(`Export module interface ${interfaceName}.`);
 
     const notifyConfigChanges = 'notify_config';
     var self = this;
     var ifaceDesc = {
-      name: MODULE_INTERFACE_NAME,
+      name: interfaceName,
       methods: {
         getDeviceList: ['s', 's', ['selector'], ['result']],
         [notifyConfigChanges]: ['ss', 'i', ['key', 'value'], ['code']],
@@ -380,12 +695,12 @@ class Session {
         return JSON.stringify(result);
       },
       [notifyConfigChanges]: function (key, value) {
-        console.info(`Notify config changes: ${key}, ${value}.`);
+        logger.info(`Notify config changes: ${key}, ${logger.formatPayload(value)}.`);
         self.emitter.emit('config_changed', key, value);
         return 0;
       }
     };
-    this.exportInterface(iface, MODULE_OBJECT_PATH, ifaceDesc);
+    this.exportInterface(iface, `/iot/driver/id${this.moduleName}`, ifaceDesc);
   }
 
   /**
@@ -394,15 +709,27 @@ class Session {
    * @private
    */
   _reset() {
-    if (this.edgeBus) {
-      this.edgeBus.connection.end();
+    if (this._reconnectTimer) {
+      clearTimeout(this._reconnectTimer);
     }
-    this.edgeBus = undefined;
-    this.dimuInterface = undefined;
-    this.configInterface = undefined;
+    this._closeEdgeBus();
+    this.removeAllListeners();
+    this.options = {};
     this.things = new Set();
     this.connectedThings = new Set();
+    // Maps thing ids to the ThingAccess instances which are online.
+    this.accesses = new Map();
+    // ThingAccess instances which are waiting to be restored after reconnecting.
+    this.pendingAccesses = new Set();
     this.emitter = new EventEmitter();
+    this._backoff = new Backoff();
+    if (this.limiter) {
+      this.limiter.clear();
+    }
+    // Limits the rate of the reports of all things.
+    this.limiter = undefined;
+    this._reconnecting = false;
+    this._reconnectTimer = undefined;
 
     this._initializePromise = undefined;
     this._finalizePromise = undefined;
@@ -411,9 +738,6 @@ class Session {
 
 const session = new Session();
 
-// The key for driver config in config manager.
-const KEY_DRIVER_CONFIG = `gw_driverconfig_${MODULE_NAME}`;
-
 var manager;
 class DriverConfigManager extends EventEmitter {
 
@@ -428,29 +752,43 @@ class DriverConfigManager extends EventEmitter {
     super();
     this.session = session;
     this._onConfigChanged = this._onConfigChanged.bind(this);
+    this._onReconnected = this._onReconnected.bind(this);
+  }
+
+  // The key for driver config in config manager.
+  get _key() {
+    return `gw_driverconfig_${this.session.moduleName}`;
   }
 
   getConfig() {
     return new Promise((resolve) => {
       resolve(this.session.initialize());
     }).then(() => {
-      return new Promise((resolve) => {
-        console.info(`Getting driver config...`);
+      return new Promise((resolve, reject) => {
+        logger.info(`Getting driver config...`);
         var getConfig = 'get_config';
-        session.configInterface[getConfig](KEY_DRIVER_CONFIG, (err, code, result) => {
+        session.configInterface[getConfig](this._key, (err, code, result) => {
           if (err) {
-            throw err;
+            reject(err);
+            return;
           }
           if (code !== 0) {
-            throw new Error(`Get config failed: errno = ${code}`);
+            reject(new Error(`Get config failed: errno = ${code}`));
+            return;
           }
           // Parse and extract useful parts.
-          const parsed = JSON.parse(result);
+          var parsed;
+          try {
+            parsed = JSON.parse(result);
+          } catch (error) {
+            reject(error);
+            return;
+          }
           const res = JSON.stringify({
             deviceList: parsed.deviceList,
             config: parsed.config,
           });
-          console.info(`Got driver config: ${res}`);
+          logger.info(`Got driver config: ${logger.formatPayload(res)}`);
           resolve(res);
         });
       });
@@ -458,32 +796,50 @@ class DriverConfigManager extends EventEmitter {
   }
 
   _onConfigChanged(key, value) {
-    if (key === KEY_DRIVER_CONFIG) {
+    if (key === this._key) {
       this.emit('changes', value);
     }
   }
 
+  _onReconnected() {
+    // The subscription is gone with the previous edge bus, subscribe again.
+    this._subscribe().catch((err) => {
+      logger.warn(`Failed to subscribe driver config after reconnecting: ${err}.`);
+    });
+  }
+
+  _subscribe() {
+    return new Promise((resolve, reject) => {
+      logger.info(`Subscribing driver config...`);
+      var subscribeConfig = 'subscribe_config';
+      session.configInterface[subscribeConfig](session.serviceName, this._key,
+        1, (err, code) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          if (code !== 0) {
+            reject(new Error(`Subscribe driver config failed: errno = ${code}`));
+            return;
+          }
+          logger.info('Subscribe driver config successfully.');
+          resolve();
+        });
+    });
+  }
+
   listenChanges() {
     return new Promise((resolve) => {
       resolve(this.session.initialize());
     }).then(() => {
+      // It may be called more than once, e.g. by ConfigWatcher.
+      this.session.emitter.removeListener('config_changed', this._onConfigChanged);
       this.session.emitter.on('config_changed', this._onConfigChanged);
     }).then(() => {
-      return new Promise((resolve) => {
-        console.info(`Subscribing driver config...`);
-        var subscribeConfig = 'subscribe_config';
-        session.configInterface[subscribeConfig](MODULE_SERVICE_NAME, KEY_DRIVER_CONFIG,
-          1, (err, code) => {
-            if (err) {
-              throw err;
-            }
-            if (code !== 0) {
-              throw new Error(`Subscribe driver config failed: errno = ${code}`);
-            }
-            console.info('Subscribe driver config successfully.');
-            resolve();
-          });
-      });
+      return this._subscribe();
+    }).then(() => {
+      this.session.removeListener('reconnected', this._onReconnected);
+      this.session.on('reconnected', this._onReconnected);
     });
   }
 
@@ -491,51 +847,100 @@ class DriverConfigManager extends EventEmitter {
     return new Promise((resolve) => {
       resolve(this.session.initialize());
     }).then(() => {
-      return new Promise((resolve) => {
-        console.info(`Unsubscribing driver config...`);
+      return new Promise((resolve, reject) => {
+        logger.info(`Unsubscribing driver config...`);
         var unsubscribeConfig = 'unsubscribe_config';
-        this.session.configInterface[unsubscribeConfig](MODULE_SERVICE_NAME, KEY_DRIVER_CONFIG,
+        this.session.configInterface[unsubscribeConfig](this.session.serviceName,
+          this._key,
           (err, code) => {
             if (err) {
-              throw err;
+              reject(err);
+              return;
             }
             if (code !== 0) {
-              throw new Error(`Unsubscribe driver config failed: errno = ${code}`);
+              reject(new Error(`Unsubscribe driver config failed: errno = ${code}`));
+              return;
             }
-            console.info('Unsubscribe driver config successfully.');
+            logger.info('Unsubscribe driver config successfully.');
             resolve();
           });
       });
     }).then(() => {
       this.session.emitter.removeListener('config_changed', this._onConfigChanged);
+      this.session.removeListener('reconnected', this._onReconnected);
     });
   }
 }
 
-class ThingAccess {
+// The implementation of ThingAccessClient. It emits 'stateChanged' events on
+// transitions between states, 'cloudConnected' events when the thing is
+// connected to the cloud, and 'error' events for errors which are not
+// surfaced by any returned promise.
+class ThingAccess extends EventEmitter {
 
-  constructor(config, callbacks) {
+  constructor(config, callbacks, options) {
+    super();
     this.config = config;
     this.callbacks = callbacks;
+    this.options = options || {};
+    this._logger = logger.child(() => {
+      return {
+        productKey: this.config.productKey,
+        deviceName: this.config.deviceName,
+        localName: this.config.localName,
+        thingId: this._thingId,
+      };
+    });
+    this._serviceHandlers = new Map();
+    this._propertyHandlers = new Map();
+    this._state = STATE_IDLE;
     this._thingId = undefined;
     this._thingInterface = undefined;
+    // The ThingAccessClient wrapping this, if any.
+    this.client = undefined;
+  }
+
+  get state() {
+    return this._state;
+  }
+
+  _setState(state) {
+    var previous = this._state;
+    if (previous !== state) {
+      this._logger.info(`Thing state changes from ${previous} to ${state}.`);
+      this._state = state;
+      this.emit('stateChanged', state, previous);
+    }
+  }
+
+  // Emits an 'error' event, or just logs the error if nobody listens to it.
+  _emitError(err) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', err);
+    } else {
+      this._logger.error(`Thing had a error: ${err}.`);
+    }
   }
 
   setup() {
     if (!this._setupPromise) {
+      this._setState(STATE_SETTING_UP);
       this._setupPromise = new Promise((resolve) => {
         resolve(session.initialize());
       }).then(() => {
-        console.info('Setup successfully!');
+        this._logger.info('Setup successfully!');
+        this._setState(STATE_OFFLINE);
         this._unregisterPromise = undefined;
         this._connectPromise = undefined;
         this._disconnectPromise = undefined;
         this._getTslPromise = undefined;
+        this._getTslObjectPromise = undefined;
         this._getTslExtInfoPromise = undefined;
         this._cleanupPromise = undefined;
       }).catch(err => {
         // Reset and re-throw the error.
         this._setupPromise = undefined;
+        this._setState(STATE_FAILED);
         throwError(ERROR_SETUP, err);
       });
     }
@@ -545,14 +950,16 @@ class ThingAccess {
   connect() {
     var serviceName;
     if (!this._connectPromise) {
+      this._setState(STATE_CONNECTING);
       this._connectPromise = new Promise((resolve) => {
         resolve(this._connect(this.config.productKey, this.config.deviceName,
           this.config.localName));
       }).then((thingId) => {
-        console.info(`Connect thing to dimu successfully, got thing id ${thingId}!`);
+        this._logger.info(`Connect thing to dimu successfully, got thing id ${thingId}!`);
         this._thingId = thingId;
         session.things.add(thingId);
         session.connectedThings.add(thingId);
+        session.accesses.set(thingId, this);
         serviceName = `iot.device.id${thingId}`;
         return session.requestName(serviceName);
       }).then(() => {
@@ -560,16 +967,19 @@ class ThingAccess {
         var interfaceName = serviceName;
         this._exportDefaultThingInterface(serviceName, objectPath, interfaceName);
         this._disconnectPromise = undefined;
-        console.info(`Thing ${this._thingId} is connected to Link IoT Edge.`);
+        this._logger.info(`Thing ${this._thingId} is connected to Link IoT Edge.`);
+        this._setState(STATE_ONLINE);
       }).catch(err => {
         var rollback = () => {
           this._connectPromise = undefined;
+          this._setState(STATE_FAILED);
           throwError(ERROR_CONNECT, err);
         };
         if (this._thingId) {
           var thingId = this._thingId;
           session.connectedThings.delete(thingId);
           session.things.delete(thingId);
+          session.accesses.delete(thingId);
           this._thingId = undefined;
           return this._disconnect(thingId)
             .then(rollback, rollback);
@@ -580,22 +990,23 @@ class ThingAccess {
     return this._connectPromise;
   }
 
-  signalEvent(eventName, args) {
+  signalEvent(eventName, args, time) {
     var values = {
       params: {
-        time: Date.now(),
+        time: time || Date.now(),
         value: args,
       }
     };
     this._signalSubscribe(eventName, 's', JSON.stringify(values));
   }
 
-  signalProperties(properties) {
+  signalProperties(properties, time, times) {
     var props = Object.assign({}, properties);
+    time = time || Date.now();
     for (var key in props) {
       props[key] = {
         value: props[key],
-        time: Date.now(),
+        time: (times && times[key]) || time,
       };
     }
     this._signalSubscribe('propertiesChanged', 's', JSON.stringify(props));
@@ -603,8 +1014,8 @@ class ThingAccess {
 
   getTsl() {
     if (!this._getTslPromise) {
-      this._getTslPromise = new Promise((resolve) => {
-        console.info(`Getting TSL...`);
+      this._getTslPromise = new Promise((resolve, reject) => {
+        this._logger.info(`Getting TSL...`);
         if (!session.configInterface) {
           throwError(ERROR_GET_TSL, 'Client has not been setup or setup failed.');
         }
@@ -612,14 +1023,21 @@ class ThingAccess {
         session.configInterface[getConfig](`gw_TSL_${this.config.productKey}`,
           (err, code, result) => {
             if (err) {
-              throwError(ERROR_GET_TSL, err);
+              reject(err);
+              return;
             }
             if (code !== 0) {
-              throwError(ERROR_GET_TSL, `Get config failed: errno = ${code}`);
+              reject(new Error(`Get config failed: errno = ${code}`));
+              return;
             }
             // Check if the result is JSON-welled.
-            JSON.parse(result);
-            console.info(`Got TSL: ${result}`);
+            try {
+              JSON.parse(result);
+            } catch (error) {
+              reject(error);
+              return;
+            }
+            this._logger.info(`Got TSL: ${logger.formatPayload(result)}`);
             resolve(result);
           });
       }).catch(err => {
@@ -630,10 +1048,28 @@ class ThingAccess {
     return this._getTslPromise;
   }
 
+  getTslObject() {
+    if (!this._getTslObjectPromise) {
+      this._getTslObjectPromise = this.getTsl()
+        .then((tsl) => {
+          try {
+            return new Tsl(tsl);
+          } catch (err) {
+            throwError(ERROR_GET_TSL, err);
+          }
+        })
+        .catch(err => {
+          this._getTslObjectPromise = undefined;
+          throw err;
+        });
+    }
+    return this._getTslObjectPromise;
+  }
+
   getTslExtInfo() {
     if (!this._getTslExtInfoPromise) {
-      this._getTslExtInfoPromise = new Promise((resolve) => {
-        console.info(`Getting TSL ext info...`);
+      this._getTslExtInfoPromise = new Promise((resolve, reject) => {
+        this._logger.info(`Getting TSL ext info...`);
         if (!session.configInterface) {
           throwError(ERROR_GET_TSL_EXT_INFO, 'Client has not been setup or setup failed.');
         }
@@ -641,14 +1077,21 @@ class ThingAccess {
         session.configInterface[getConfig](`gw_TSL_config_${this.config.productKey}`,
           (err, code, result) => {
             if (err) {
-              throwError(ERROR_GET_TSL_EXT_INFO, err);
+              reject(err);
+              return;
             }
             if (code !== 0) {
-              throwError(ERROR_GET_TSL_EXT_INFO, `Get TSL ext info failed: errno = ${code}`);
+              reject(new Error(`Get TSL ext info failed: errno = ${code}`));
+              return;
             }
             // Check if the result is JSON-welled.
-            JSON.parse(result);
-            console.info(`Got TSL ext info: ${result}`);
+            try {
+              JSON.parse(result);
+            } catch (error) {
+              reject(error);
+              return;
+            }
+            this._logger.info(`Got TSL ext info: ${logger.formatPayload(result)}`);
             resolve(result);
           });
       }).catch(err => {
@@ -668,27 +1111,38 @@ class ThingAccess {
           throw new Error(`Thing has not been connected.`);
         }
         this._thingInterface = undefined;
+        this._thingId = undefined;
+        if (session.pendingAccesses.delete(this)) {
+          // The edge bus is lost, so just give up restoring the thing.
+          this._logger.info(`Thing ${thingId} is disconnected while edge bus is lost.`);
+          return resolve(false);
+        }
         session.connectedThings.delete(thingId);
         session.things.delete(thingId);
-        this._thingId = undefined;
-        resolve(this._disconnect(thingId));
-      }).then(() => {
+        session.accesses.delete(thingId);
+        resolve(this._disconnect(thingId).then(() => true));
+      }).then((connected) => {
+        if (!connected) {
+          return;
+        }
         var serviceName = `iot.device.id${thingId}`;
         return session.releaseName(serviceName)
           .catch(err => {
-            console.warn(`Failed to release service name ${serviceName}: ${err}.`);
+            this._logger.warn(`Failed to release service name ${serviceName}: ${err}.`);
             // We simply think that releasing name failed does no matter.
             // So ignore the error.
           })
       }).then(() => {
-        console.info(`Thing ${thingId} is disconnected from Link IoT Edge.`);
+        this._logger.info(`Thing ${thingId} is disconnected from Link IoT Edge.`);
         this._connectPromise = undefined;
+        this._setState(STATE_OFFLINE);
       }).catch((err) => {
         // The error is thrown from _disconnect, rollback.
         this._thingInterface = thingInterface;
         this._thingId = thingId;
         session.connectedThings.add(this._thingId);
         session.things.add(this._thingId);
+        session.accesses.set(this._thingId, this);
         this._disconnectPromise = undefined;
         throwError(ERROR_DISCONNECT, err);
       });
@@ -698,9 +1152,11 @@ class ThingAccess {
 
   cleanup() {
     if (!this._cleanupPromise) {
+      var online = this._state === STATE_ONLINE || session.pendingAccesses.has(this);
+      this._setState(STATE_CLEANING_UP);
       this._cleanupPromise = new Promise((resolve) => {
-        if (this._connectPromise) {
-          console.warn(`You should disconnect thing from Link IoT Edge first.`);
+        if (online) {
+          this._logger.warn(`You should disconnect thing from Link IoT Edge first.`);
           // The thing has connected to Link IoT Edge.
           return resolve(this.disconnect());
         }
@@ -712,12 +1168,15 @@ class ThingAccess {
           this._connectPromise = undefined;
           this._disconnectPromise = undefined;
           this._getTslPromise = undefined;
+          this._getTslObjectPromise = undefined;
           this._getTslExtInfoPromise = undefined;
         }
       }).then(() => {
-        console.info(`Clean up successfully!`);
+        this._logger.info(`Clean up successfully!`);
+        this._setState(STATE_IDLE);
       }).catch(err => {
         this._cleanupPromise = undefined;
+        this._setState(STATE_FAILED);
         throwError(ERROR_CLEANUP, err);
       });
     }
@@ -727,9 +1186,10 @@ class ThingAccess {
   unregister() {
     var thingId = this._thingId;
     if (!this._unregisterPromise) {
+      var online = this._state === STATE_ONLINE || session.pendingAccesses.has(this);
       this._unregisterPromise = new Promise((resolve) => {
-        if (this._connectPromise) {
-          console.warn(`You should disconnect thing from Link IoT Edge first.`);
+        if (online) {
+          this._logger.warn(`You should disconnect thing from Link IoT Edge first.`);
           // The thing has connected to Link IoT Edge.
           return resolve(this.disconnect());
         }
@@ -740,7 +1200,8 @@ class ThingAccess {
         }
         return this._unregisterThing(thingId);
       }).then(() => {
-        console.info(`Unregister thing successfully!`);
+        this._logger.info(`Unregister thing successfully!`);
+        this._setState(STATE_UNREGISTERED);
       }).catch(err => {
         // Do not rollback if unregister thing failed.
         this._unregisterPromise = undefined;
@@ -750,27 +1211,62 @@ class ThingAccess {
     return this._unregisterPromise;
   }
 
+  // Called by the session when the edge bus is lost.
+  _onEdgeBusLost() {
+    this._setState(STATE_OFFLINE);
+  }
+
+  // Connects the thing again after the edge bus is reconnected.
+  _restore() {
+    this._logger.info(`Restore thing ${this._thingId}.`);
+    this._thingId = undefined;
+    this._thingInterface = undefined;
+    this._connectPromise = undefined;
+    this._disconnectPromise = undefined;
+    return this.connect()
+      .catch((err) => {
+        this._emitError(err);
+        throw err;
+      });
+  }
+
+  // Disconnects and then connects the thing again.
+  _reconnect() {
+    return this.disconnect()
+      .then(() => {
+        return this.connect();
+      })
+      .catch((err) => {
+        this._emitError(err);
+      });
+  }
+
   _unregisterThing(thingId) {
-    return new Promise((resolve) => {
-      console.info(`Unregister thing from dimu ${thingId}.`);
+    return new Promise((resolve, reject) => {
+      this._logger.info(`Unregister thing from dimu ${thingId}.`);
       if (!session.dimuInterface) {
         throw new Error('Client has not been setup or setup failed.');
       }
       session.dimuInterface.unregisterDevice(thingId, (err, result) => {
-        handleDefaultResult(err, result);
+        try {
+          handleDefaultResult(err, result);
+        } catch (error) {
+          reject(error);
+          return;
+        }
         resolve();
       });
     });
   }
 
   _connect(productKey, deviceName, localName) {
-    return new Promise((resolve) => {
+    return new Promise((resolve, reject) => {
       if (!session.dimuInterface) {
         throw new Error('Client has not been setup or setup failed.');
       }
       var thingInfo = {
         productKey,
-        driverName: MODULE_NAME,
+        driverName: session.moduleName,
         isLocal: 'False',
       };
       if (deviceName) {
@@ -779,11 +1275,18 @@ class ThingAccess {
         thingInfo.deviceLocalId = localName;
       }
       var str = JSON.stringify(thingInfo);
-      console.info(`Connect thing to dimu ${str}.`);
+      this._logger.info(`Connect thing to dimu ${logger.formatPayload(str)}.`);
       session.dimuInterface.connect(str, (err, result) => {
-        var parsed = handleDefaultResult(err, result);
+        var parsed;
+        try {
+          parsed = handleDefaultResult(err, result);
+        } catch (error) {
+          reject(error);
+          return;
+        }
         if (!parsed.params || !parsed.params.deviceCloudId) {
-          throw new Error('Returned result is illegal.');
+          reject(new Error('Returned result is illegal.'));
+          return;
         }
         resolve(parsed.params.deviceCloudId);
       });
@@ -791,13 +1294,18 @@ class ThingAccess {
   }
 
   _disconnect(thingId) {
-    return new Promise((resolve) => {
-      console.info(`Disconnect thing ${thingId} from dimu.`);
+    return new Promise((resolve, reject) => {
+      this._logger.info(`Disconnect thing ${thingId} from dimu.`);
       if (!session.dimuInterface) {
         throw new Error('Client has not been setup or setup failed.');
       }
       session.dimuInterface.disconnect(thingId, (err, result) => {
-        handleDefaultResult(err, result);
+        try {
+          handleDefaultResult(err, result);
+        } catch (error) {
+          reject(error);
+          return;
+        }
         resolve();
       });
     });
@@ -808,34 +1316,38 @@ class ThingAccess {
     var self = this;
     var _handleConnectResult = function (result) {
       if (!result) {
-        console.error('Illegal connect result: null.');
+        self._logger.error('Illegal connect result: null.');
         return null;
       }
-      console.log(`Handle connect result ${result}.`);
+      self._logger.debug(`Handle connect result ${logger.formatPayload(result)}.`);
       var parsed;
       try {
         parsed = JSON.parse(result);
       } catch (err) {
-        console.error('Illegal connect result: not JSON.');
+        self._logger.error('Illegal connect result: not JSON.');
         return null;
       }
-      if (parsed.code === 520 && self._connectPromise) {
+      if (parsed.code === 520 && self._state === STATE_ONLINE) {
         // Retry if it's 520 error, and it was connected.
-        console.info('Connecting failed, try to reconnect...');
-        self.connect().catch((err) => console.error(err));
+        self._logger.info('Connecting failed, try to reconnect...');
+        self._reconnect();
         return null;
       }
       if (parsed.code !== 0) {
-        console.error(parsed.message);
+        self._logger.error(parsed.message);
+        var error = new Error(`Failed to connect to the cloud: ${parsed.message}`);
+        error.code = parsed.code;
+        self._emitError(error);
         return null;
       }
       var params = parsed.params;
       if (!params) {
-        console.error('Illegal connect result: params not found');
+        self._logger.error('Illegal connect result: params not found');
         return null;
       }
-      console.info(
+      self._logger.info(
         `Thing ${params.productKey} ${params.deviceName} is connected to the cloud.`);
+      self.emit('cloudConnected', params);
       return null;
     };
 
@@ -852,27 +1364,31 @@ class ThingAccess {
     };
     var iface = {
       callServices: function (name, args) {
-        console.info(`Call service ${name} with ${args}.`);
+        self._logger.info(`Call service ${name} with ${logger.formatPayload(args)}.`);
+        var argsObj;
         return Promise.resolve()
           .then(() => {
-            var argsObj = JSON.parse(args);
-            if (name === 'get') {
-              if (Object.prototype.toString.call(argsObj.params) !== '[object Array]') {
-                throw new Error('"params" got from Link IoT Edge is not a array.');
-              }
-              return self.callbacks.getProperties.call(null, argsObj.params);
-            } else if (name === 'set') {
-              if (!argsObj.params) {
-                throw Error('"params" got from Link IoT Edge is undefined or null.');
-              }
-              return self.callbacks.setProperties.call(null, argsObj.params);
+            argsObj = JSON.parse(args);
+            return self._validateRequest(name, argsObj.params);
+          })
+          .then(() => {
+            self._checkHandlers(name, argsObj.params);
+            return self._dispatch(name, argsObj.params);
+          })
+          .catch((err) => {
+            if (typeof err.code !== 'number') {
+              throw err;
             }
-            return self.callbacks.callService.call(null, name, argsObj.params);
+            // Reply the code of the error, e.g. a ThingAccessError thrown by callbacks.
+            self._logger.warn(`Request "${name}" is rejected: ${err.message}`);
+            return { code: err.code, message: err.message };
           })
           .then((ret) => {
-            console.log(`Result returned from "${name}" callback: ${JSON.stringify(ret)}.`);
+            self._logger.debug(
+              `Result returned from "${name}" callback: ${logger.formatPayload(ret)}.`);
             var result = {};
-            result.code = ret.code ? 100000 : 0; // Return unknown error if it's non-zero.
+            // Return unknown error if the code is not recognized.
+            result.code = ret.code ? toReplyCode(ret.code, self.options.customErrorRange) : 0;
             result.message = ret.message || '';
             if (name === 'get') {
               if (!ret.code && !ret.params) {
@@ -893,7 +1409,7 @@ class ThingAccess {
           })
           .catch((err) => {
             // Catch and re-throw the error for tracing.
-            console.warn(err);
+            self._logger.warn(err);
             throw err;
           });
       },
@@ -904,11 +1420,182 @@ class ThingAccess {
         // Don't need to implement.
       }
     };
-    console.info(`Export default thing interface ${serviceName}.`);
+    self._logger.info(`Export default thing interface ${serviceName}.`);
     session.exportInterface(iface, objectPath, ifaceDesc);
     this._thingInterface = iface;
   }
 
+  handleService(name, handler) {
+    if (handler) {
+      this._serviceHandlers.set(name, handler);
+    } else {
+      this._serviceHandlers.delete(name);
+    }
+  }
+
+  handleProperty(name, handler) {
+    if (handler) {
+      this._propertyHandlers.set(name, handler);
+    } else {
+      this._propertyHandlers.delete(name);
+    }
+  }
+
+  // Checks if there's a handler or callback for the request from Link IoT Edge.
+  _checkHandlers(name, params) {
+    if (name === 'get') {
+      (Array.isArray(params) ? params : []).forEach((key) => {
+        var handler = this._propertyHandlers.get(key);
+        if (handler && !handler.get) {
+          throw new ThingAccessError(ERROR_PROPERTY_WRITE_ONLY, `Property "${key}" is write-only.`);
+        }
+        if (!handler && !this.callbacks.getProperties) {
+          throw new ThingAccessError(ERROR_PROPERTY_NOT_EXIST, `Property "${key}" is not handled.`);
+        }
+      });
+    } else if (name === 'set') {
+      Object.keys(params || {}).forEach((key) => {
+        var handler = this._propertyHandlers.get(key);
+        if (handler && !handler.set) {
+          throw new ThingAccessError(ERROR_PROPERTY_READ_ONLY, `Property "${key}" is read-only.`);
+        }
+        if (!handler && !this.callbacks.setProperties) {
+          throw new ThingAccessError(ERROR_PROPERTY_NOT_EXIST, `Property "${key}" is not handled.`);
+        }
+      });
+    } else if (!this._serviceHandlers.has(name) && !this.callbacks.callService) {
+      throw new ThingAccessError(ERROR_SERVICE_NOT_EXIST, `Service "${name}" is not handled.`);
+    }
+  }
+
+  // Returns the timeout in milliseconds of the request, or 0 if there's none.
+  _timeoutOf(name) {
+    var timeouts = this.options.timeouts || {};
+    if (name === 'get') {
+      return timeouts.getProperties || 0;
+    } else if (name === 'set') {
+      return timeouts.setProperties || 0;
+    }
+    var services = timeouts.services || {};
+    return services[name] || timeouts.callService || 0;
+  }
+
+  // Dispatches the request to the handlers or callbacks. If the request has a
+  // timeout, it's rejected with ERROR_TIMEOUT once it expires and the signal
+  // passed to the handlers or callbacks is aborted.
+  _dispatch(name, params) {
+    var timeout = this._timeoutOf(name);
+    if (!timeout) {
+      return this._handle(name, params);
+    }
+    var controller = createAbortController();
+    var timer;
+    return Promise.race([
+      new Promise((resolve) => {
+        resolve(this._handle(name, params, controller.signal));
+      }),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          this._logger.warn(`Request "${name}" with ${logger.formatPayload(params)} timed out ` +
+            `after ${timeout}ms.`);
+          var error = new ThingAccessError(ERROR_TIMEOUT,
+            `Request "${name}" timed out after ${timeout}ms.`);
+          controller.abort(error);
+          reject(error);
+        }, timeout);
+      }),
+    ]).finally(() => {
+      clearTimeout(timer);
+    });
+  }
+
+  _handle(name, params, signal) {
+    if (name === 'get') {
+      if (Object.prototype.toString.call(params) !== '[object Array]') {
+        throw new Error('"params" got from Link IoT Edge is not a array.');
+      }
+      return this._getProperties(params, signal);
+    } else if (name === 'set') {
+      if (!params) {
+        throw Error('"params" got from Link IoT Edge is undefined or null.');
+      }
+      return this._setProperties(params, signal);
+    }
+    return this._callService(name, params, signal);
+  }
+
+  // Gets properties from the property handlers, and the callback for the rest.
+  _getProperties(keys, signal) {
+    var handled = keys.filter(key => this._propertyHandlers.has(key));
+    if (handled.length === 0) {
+      return this.callbacks.getProperties.call(null, keys, signal);
+    }
+    var rest = keys.filter(key => handled.indexOf(key) === -1);
+    var params = {};
+    return Promise.all(handled.map((key) => {
+      return Promise.resolve(this._propertyHandlers.get(key).get(signal))
+        .then((value) => {
+          params[key] = value;
+        });
+    })).then(() => {
+      if (rest.length === 0) {
+        return { code: 0, message: 'success', params };
+      }
+      return Promise.resolve(this.callbacks.getProperties.call(null, rest, signal))
+        .then((ret) => {
+          if (ret.code) {
+            return ret;
+          }
+          return Object.assign({}, ret, { params: Object.assign(params, ret.params) });
+        });
+    });
+  }
+
+  // Sets properties with the property handlers, and the callback for the rest.
+  _setProperties(properties, signal) {
+    var handled = Object.keys(properties).filter(key => this._propertyHandlers.has(key));
+    if (handled.length === 0) {
+      return this.callbacks.setProperties.call(null, properties, signal);
+    }
+    var rest = {};
+    Object.keys(properties).forEach((key) => {
+      if (handled.indexOf(key) === -1) {
+        rest[key] = properties[key];
+      }
+    });
+    return Promise.all(handled.map((key) => {
+      return this._propertyHandlers.get(key).set(properties[key], signal);
+    })).then(() => {
+      if (Object.keys(rest).length === 0) {
+        return { code: 0, message: 'success' };
+      }
+      return this.callbacks.setProperties.call(null, rest, signal);
+    });
+  }
+
+  // Calls the service handler, or the callback if it's not registered.
+  _callService(name, args, signal) {
+    var handler = this._serviceHandlers.get(name);
+    if (handler) {
+      return handler(args, signal);
+    }
+    return this.callbacks.callService.call(null, name, args, signal);
+  }
+
+  // Validates the request from Link IoT Edge against the TSL if it's enabled.
+  _validateRequest(name, params) {
+    if (!this.options.validateRequests || name === 'get') {
+      return Promise.resolve();
+    }
+    return this.getTslObject().then((tsl) => {
+      if (name === 'set') {
+        validateSetProperties(tsl, params);
+      } else {
+        validateServiceArgs(tsl, name, params);
+      }
+    });
+  }
+
   _signalSubscribe(signalName, signature, ...values) {
     if (!signalName) throw new Error('Trying to emit undefined signal.');
 
@@ -992,8 +1679,26 @@ class ThingAccess {
           });
         });
  * </pre>
+ * <p>
+ * The client is also an <code>EventEmitter</code> which emits the following events:
+ * <ul>
+ *   <li><code>'stateChanged'</code>: emitted with the new state and the previous
+ *   state whenever {@link ThingAccessClient#state} changes,</li>
+ *   <li><code>'online'</code>: emitted when the thing becomes online,</li>
+ *   <li><code>'offline'</code>: emitted when the thing is no longer online, either
+ *   by calling {@link ThingAccessClient#offline} or due to the loss of the edge
+ *   bus,</li>
+ *   <li><code>'cloudConnected'</code>: emitted with the params from Link IoT Edge
+ *   when the thing is connected to the cloud,</li>
+ *   <li><code>'retry'</code>: emitted with the number of failed attempts, the
+ *   delay in milliseconds and the error before retrying
+ *   {@link ThingAccessClient#registerAndOnline} or {@link ThingAccessClient#online},</li>
+ *   <li><code>'error'</code>: emitted with the error which happens in background,
+ *   e.g. the thing failed to connect to the cloud. Errors are only logged if no
+ *   listener is registered.</li>
+ * </ul>
  */
-class ThingAccessClient {
+class ThingAccessClient extends EventEmitter {
 
   /**
    * Constructs a {@link ThingAccessClient} with the specified <code>config</code> and
@@ -1001,16 +1706,198 @@ class ThingAccessClient {
    *
    * @param {Object} config the meta data config about the client.
    * @param {Object} callbacks callback functions responding to the requests from Link IoT Edge.
+   *   Each of <code>getProperties</code>, <code>setProperties</code> and
+   *   <code>callService</code> is optional, in which case the requests are only
+   *   dispatched to the handlers registered by {@link ThingAccessClient#handleProperty}
+   *   and {@link ThingAccessClient#handleService}.
+   * @param {Object} [options] the options.
+   * @param {Boolean} [options.validateReports=false] whether to validate the
+   *   reported properties and events against the TSL before sending them, which
+   *   can be overridden by the <code>validate</code> option of each call.
+   * @param {Boolean} [options.validateRequests=false] whether to validate the
+   *   properties to set and the params of services called from Link IoT Edge
+   *   against the TSL. Invalid requests are replied with
+   *   {@link ERROR_PROPERTY_NOT_EXIST}, {@link ERROR_PROPERTY_READ_ONLY},
+   *   {@link ERROR_INVALID_TYPE}, {@link ERROR_PARAM_RANGE_OVERFLOW},
+   *   {@link ERROR_SERVICE_NOT_EXIST} or {@link ERROR_SERVICE_INVALID_PARAM}
+   *   without calling back.
+   * @param {Number[]} [options.customErrorRange] the inclusive range
+   *   <code>[min, max]</code> of custom error codes of the driver, which are replied
+   *   to Link IoT Edge as they are. Other codes which are not defined by the SDK
+   *   are replied as {@link ERROR_UNKNOWN}.
+   * @param {Object} [options.timeouts] the timeouts in milliseconds of handling the
+   *   requests from Link IoT Edge, after which the requests are replied with
+   *   {@link ERROR_TIMEOUT}. An <code>AbortSignal</code> is passed to the callbacks
+   *   and handlers as the last argument, which is aborted once the timeout expires.
+   *   There are no timeouts by default.
+   * @param {Number} [options.timeouts.getProperties] the timeout of getting properties.
+   * @param {Number} [options.timeouts.setProperties] the timeout of setting properties.
+   * @param {Number} [options.timeouts.callService] the timeout of calling services.
+   * @param {Object} [options.timeouts.services] the timeouts of specific services
+   *   keyed by their identifiers, which take precedence over <code>callService</code>.
+   * @param {Boolean|Object} [options.buffer=false] buffers the reports made while
+   *   the thing is not online, e.g. the edge bus is lost, and sends them in order
+   *   with their original timestamps once it's online. It's <code>true</code> for
+   *   the default policy, or an object with the following optional properties.
+   * @param {Number} [options.buffer.capacity=100] the max number of buffered reports.
+   * @param {String} [options.buffer.dropPolicy='dropOldest'] which report is dropped
+   *   once the buffer is full, <code>dropOldest</code> or <code>dropNewest</code>.
+   * @param {Number} [options.buffer.maxAge=Infinity] the max age in milliseconds of
+   *   a buffered report, beyond which it's dropped.
+   * @param {String} [options.buffer.path] the file to persist the buffered reports,
+   *   which survive restarts of the process and are sent once the thing is online
+   *   again. Each thing must have its own file. The reports are kept in memory
+   *   only if it's not specified.
+   * @param {Number} [options.buffer.compactThreshold=1000] the number of sent or
+   *   dropped reports in the file, beyond which the file is compacted.
+   * @param {Boolean} [options.buffer.fsync=false] whether to flush the file to the
+   *   disk on each write, which is slower but survives power losses.
+   * @param {Object|String} [options.reportPolicies] filters the reported properties,
+   *   so that polled properties are only reported when they change. It's an object
+   *   of the policies keyed by the property identifiers, where <code>'*'</code>
+   *   is for the properties without their own policies, or
+   *   <code>'tslExtInfo'</code> to get the policies from the
+   *   <code>reportPolicy</code> of each property and the top-level one in the TSL
+   *   ext info. A policy is an object with the following optional properties.
+   * @param {Boolean} [options.reportPolicies.*.onChange=false] whether to report
+   *   only when the value changes.
+   * @param {Number} [options.reportPolicies.*.deadband] the absolute change of a
+   *   number within which it's not reported. Other values are reported on change.
+   * @param {Number} [options.reportPolicies.*.deadbandPercent] the change of a
+   *   number in percent of the last reported value within which it's not reported.
+   * @param {Number} [options.reportPolicies.*.minInterval] the min interval in
+   *   milliseconds between reports of the property, within which it's not reported.
+   * @param {Number} [options.reportPolicies.*.maxSilence] the max interval in
+   *   milliseconds between reports of the property, beyond which it's reported
+   *   even if it doesn't change, as a heartbeat.
+   * @param {Object} [options.coalesce] merges the properties reported within a
+   *   window into one signal, each of which keeps its own time. Events are not
+   *   merged and sent immediately.
+   * @param {Number} options.coalesce.window the window in milliseconds, which
+   *   starts at the first report after the last signal.
+   * @param {String} [options.coalesce.mode='latest'] <code>latest</code> to keep
+   *   only the latest value of each property, or <code>all</code> to keep all
+   *   values, in which case a new signal is started once a property is reported
+   *   again within the window.
+   * @param {Object} [options.rateLimit] limits the rate of the properties and
+   *   events reported by the thing with a token bucket, so that a runaway driver
+   *   doesn't saturate the edge bus. Reports beyond the rate of all things are
+   *   limited by the <code>rateLimit</code> option of the edge bus as well.
+   * @param {Number} options.rateLimit.rate the number of reports per second.
+   * @param {Number} [options.rateLimit.burst] the max number of reports sent at
+   *   once after being idle, which is the rate rounded down by default.
+   * @param {String} [options.rateLimit.overflow='queue'] what to do once the rate
+   *   is exceeded: <code>queue</code> to send the report later, which is rejected
+   *   if the queue is full, <code>dropOldest</code> to send it later and drop the
+   *   oldest queued report if the queue is full, or <code>reject</code> to reject
+   *   it. The rejected reports reject with an error whose <code>code</code> is
+   *   {@link ERROR_RATE_LIMITED}, and the dropped ones resolve with
+   *   <code>false</code>.
+   * @param {Number} [options.rateLimit.queueSize=100] the max number of queued
+   *   reports.
    */
-  constructor(config, callbacks) {
-    if (!callbacks || !callbacks.getProperties || !callbacks.setProperties
-      || !callbacks.callService) {
+  constructor(config, callbacks, options) {
+    if (!callbacks || typeof callbacks !== 'object'
+      || ['getProperties', 'setProperties', 'callService'].some((name) => {
+        return callbacks[name] !== undefined && typeof callbacks[name] !== 'function';
+      })) {
       throw new Error('Illegal callbacks');
     }
     if (!config || !config.productKey || (!config.deviceName && !config.localName)) {
       throw new Error('Illegal config');
     }
-    this.impl = new ThingAccess(config, callbacks);
+    if (options !== undefined && (!options || typeof options !== 'object'
+      || (options.customErrorRange !== undefined && !isRange(options.customErrorRange))
+      || (options.timeouts !== undefined && !isTimeouts(options.timeouts))
+      || (options.buffer !== undefined && typeof options.buffer !== 'boolean'
+        && (!options.buffer || typeof options.buffer !== 'object'))
+      || (typeof options.reportPolicies === 'string'
+        && options.reportPolicies !== REPORT_POLICIES_TSL_EXT_INFO)
+      || (options.coalesce !== undefined
+        && (!options.coalesce || typeof options.coalesce !== 'object'))
+      || (options.rateLimit !== undefined
+        && (!options.rateLimit || typeof options.rateLimit !== 'object')))) {
+      throw new Error('Illegal options');
+    }
+    var limiter = options && options.rateLimit;
+    if (limiter) {
+      try {
+        limiter = new RateLimiter(limiter);
+      } catch (err) {
+        throw new Error(`Illegal options: ${err.message}`);
+      }
+    }
+    var filter = options && options.reportPolicies;
+    if (filter !== undefined && filter !== REPORT_POLICIES_TSL_EXT_INFO) {
+      try {
+        filter = new ReportFilter(filter);
+      } catch (err) {
+        throw new Error(`Illegal options: ${err.message}`);
+      }
+    }
+    var buffer = options && options.buffer;
+    if (buffer) {
+      try {
+        buffer = buffer.path !== undefined ? new FileReportBuffer(buffer)
+          : new ReportBuffer(buffer === true ? {} : buffer);
+      } catch (err) {
+        throw new Error(`Illegal options: ${err.message}`);
+      }
+    }
+    super();
+    this.options = Object.assign({
+      validateReports: false,
+      validateRequests: false,
+    }, options);
+    this._buffer = buffer || undefined;
+    this._filter = filter instanceof ReportFilter ? filter : undefined;
+    this._limiter = limiter || undefined;
+    this._flushing = false;
+    this._coalescer = undefined;
+    if (this.options.coalesce) {
+      try {
+        this._coalescer = new ReportCoalescer(this.options.coalesce, (report) => {
+          return this._report(Object.assign({ type: REPORT_PROPERTIES }, report));
+        });
+      } catch (err) {
+        throw new Error(`Illegal options: ${err.message}`);
+      }
+    }
+    this.impl = new ThingAccess(config, callbacks, this.options);
+    this.impl.client = this;
+    this.impl.on('stateChanged', (state, previous) => {
+      if (state === STATE_ONLINE) {
+        this._flush();
+      }
+      this.emit('stateChanged', state, previous);
+      if (state === STATE_ONLINE) {
+        this.emit('online');
+      } else if (previous === STATE_ONLINE) {
+        this.emit('offline');
+      }
+    });
+    this.impl.on('cloudConnected', (params) => {
+      this.emit('cloudConnected', params);
+    });
+    this.impl.on('error', (err) => {
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', err);
+      } else {
+        this.impl._logger.error(`Thing had a error: ${err}.`);
+      }
+    });
+  }
+
+  /**
+   * The current state of the thing, which is one of {@link STATE_IDLE},
+   * {@link STATE_SETTING_UP}, {@link STATE_CONNECTING}, {@link STATE_ONLINE},
+   * {@link STATE_OFFLINE}, {@link STATE_CLEANING_UP}, {@link STATE_UNREGISTERED}
+   * and {@link STATE_FAILED}.
+   *
+   * @type {String}
+   */
+  get state() {
+    return this.impl.state;
   }
 
   /**
@@ -1030,59 +1917,375 @@ class ThingAccessClient {
    * When register, {@link DEVICE_NAME} will be used first if it exists, or
    * {@link LOCAL_NAME} is used.
    *
+   * @param {Object} [options] the options.
+   * @param {Boolean|Object} [options.retry] retries with exponential back off
+   *   until it succeeds if specified. A 'retry' event is emitted with the number of
+   *   failed attempts, the delay in milliseconds and the error before each retry.
+   *   It's <code>true</code> for the default policy, or an object with the
+   *   following optional properties.
+   * @param {Number} [options.retry.initialInterval=1000] the delay in milliseconds
+   *   before the first retry, which doubles on each failed attempt.
+   * @param {Number} [options.retry.maxInterval=60000] the upper limit of the delay
+   *   in milliseconds.
+   * @param {Number} [options.retry.jitter=0] the randomization factor between 0 and
+   *   1 applied to each delay.
+   * @param {Number} [options.retry.maxAttempts=Infinity] the max number of attempts,
+   *   after which it rejects with the last error.
+   * @param {AbortSignal} [options.retry.signal] a signal to stop retrying, after
+   *   which it rejects with an <code>AbortError</code>.
+   *
    * @returns {Promise<Void>}
    */
-  registerAndOnline() {
-    return new Promise((resolve) => {
-      resolve(this.setup());
-    }).then(() => {
-      return this.online();
+  registerAndOnline(options) {
+    return this._retry(options, () => {
+      return new Promise((resolve) => {
+        resolve(this.setup());
+      }).then(() => {
+        return this.online();
+      });
     });
   }
 
+  // Performs the operation with the retry policy in options if any.
+  _retry(options, operation) {
+    var policy = options && options.retry;
+    if (!policy) {
+      return operation();
+    }
+    return retry(operation, policy === true ? {} : policy, (attempts, delay, err) => {
+      this.impl._logger.warn(`Attempt ${attempts} failed due to ${err}, retry in ${delay}ms...`);
+      this.emit('retry', attempts, delay, err);
+    });
+  }
+
+  /**
+   * Registers a handler for the service with the specified name, which takes
+   * precedence over the <code>callService</code> callback. A service which has
+   * neither a handler nor the callback is replied with {@link ERROR_SERVICE_NOT_EXIST}.
+   *
+   * @param {String} name the identifier of the service.
+   * @param {Function} handler the function called with the params of the service
+   *   and an optional <code>AbortSignal</code> if it has a timeout, which returns
+   *   the same result as the <code>callService</code> callback, or
+   *   <code>null</code> to remove the registered handler.
+   *
+   * @returns {ThingAccessClient} this client.
+   */
+  handleService(name, handler) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Illegal service name');
+    }
+    if (handler !== null && typeof handler !== 'function') {
+      throw new Error('Illegal service handler');
+    }
+    this.impl.handleService(name, handler);
+    return this;
+  }
+
+  /**
+   * Registers a handler for the property with the specified name, which takes
+   * precedence over the <code>getProperties</code> and <code>setProperties</code>
+   * callbacks. A property which has neither a handler nor the callback is replied
+   * with {@link ERROR_PROPERTY_NOT_EXIST}.
+   *
+   * @param {String} name the identifier of the property.
+   * @param {Object} handler the handler, or <code>null</code> to remove the
+   *   registered handler.
+   * @param {Function} [handler.get] the function which returns the value of the
+   *   property or the promise of it, called with an optional
+   *   <code>AbortSignal</code>. The property is replied with
+   *   {@link ERROR_PROPERTY_WRITE_ONLY} on getting if it's absent.
+   * @param {Function} [handler.set] the function called with the new value of the
+   *   property and an optional <code>AbortSignal</code>, which may return a
+   *   promise. The property is replied with {@link ERROR_PROPERTY_READ_ONLY} on
+   *   setting if it's absent.
+   *
+   * @returns {ThingAccessClient} this client.
+   */
+  handleProperty(name, handler) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Illegal property name');
+    }
+    if (handler !== null && (!handler || typeof handler !== 'object'
+      || (!handler.get && !handler.set)
+      || (handler.get && typeof handler.get !== 'function')
+      || (handler.set && typeof handler.set !== 'function'))) {
+      throw new Error('Illegal property handler');
+    }
+    this.impl.handleProperty(name, handler);
+    return this;
+  }
+
   /**
    * Reports a event to Link IoT Edge.
+   * <p>
+   * If validation is enabled, it rejects with an error whose <code>code</code> is
+   * {@link ERROR_SERVICE_NOT_EXIST} if the event is not defined in the TSL,
+   * {@link ERROR_INVALID_TYPE} if the event type is illegal or any parameter is
+   * unknown or mismatches its type, or {@link ERROR_PARAM_RANGE_OVERFLOW} if any
+   * parameter is out of range, and nothing is sent.
    *
    * @param {String} eventName the name of the event.
    * @param {Object} args the parameters attached to the event.
+   * @param {Object} [options] the options.
+   * @param {Boolean} [options.validate] whether to validate the event against the
+   *   TSL, which defaults to the <code>validateReports</code> option of the client.
+   * @param {Number|Date} [options.time] the time when the event happened in
+   *   milliseconds since the epoch, which is now by default. It rejects with an
+   *   error whose <code>code</code> is {@link ERROR_INVALID_TYPE} if it's not an
+   *   integer, or {@link ERROR_PARAM_RANGE_OVERFLOW} if it's before 2000 or more
+   *   than 1 minute later than now.
    *
    * @returns {Promise<Boolean>} Returns true if the event has been posted to the
-   *                              underlying message queue, or false.
+   *                              underlying message queue, or false if it's
+   *                              buffered or dropped. It rejects with an error
+   *                              whose <code>code</code> is
+   *                              {@link ERROR_RATE_LIMITED} if it's rejected by
+   *                              the <code>rateLimit</code> option.
    */
-  reportEvent(eventName, args) {
+  reportEvent(eventName, args, options) {
+    var now = Date.now();
+    var time;
     return new Promise((resolve) => {
+      if (!eventName || typeof eventName !== 'string') {
+        throw new Error(`Illegal "eventName": ${eventName}, expected a non-empty string.`);
+      }
+      time = options && options.time !== undefined ? validateTime(options.time, 'time') : now;
       resolve(this.setup());
     }).then(() => {
-      this.impl.signalEvent(eventName, args);
+      if (this._shouldValidate(options)) {
+        return this.impl.getTslObject().then((tsl) => {
+          validateEvent(tsl, eventName, args);
+        });
+      }
+    }).then(() => {
+      return this._report({ type: REPORT_EVENT, event: eventName, value: args, time });
     });
   }
 
   /**
    * Reports new property values to Link IoT Edge.
+   * <p>
+   * If validation is enabled, it rejects with an error whose <code>code</code> is
+   * {@link ERROR_PROPERTY_NOT_EXIST}, {@link ERROR_INVALID_TYPE} or
+   * {@link ERROR_PARAM_RANGE_OVERFLOW} if any property mismatches the TSL, and
+   * nothing is sent.
+   *
+   * <p>
+   * If the <code>reportPolicies</code> option is specified, the properties which
+   * shouldn't be reported by the policies are left out, and it resolves with
+   * <code>false</code> without sending anything if none is left.
+   * <p>
+   * If the <code>coalesce</code> option is specified, it resolves once the
+   * properties merged with the others are sent at the end of the window.
    *
    * @param {Object} properties the new properties.
+   * @param {Object} [options] the options.
+   * @param {Boolean} [options.validate] whether to validate the properties against
+   *   the TSL, which defaults to the <code>validateReports</code> option of the client.
+   * @param {Number|Date} [options.time] the time when the properties were sampled
+   *   in milliseconds since the epoch, which is now by default. A property may
+   *   have its own time as well by wrapping its value with {@link timed}.
+   *   It rejects with an error whose <code>code</code> is {@link ERROR_INVALID_TYPE}
+   *   if any time is not an integer, or {@link ERROR_PARAM_RANGE_OVERFLOW} if it's
+   *   before 2000 or more than 1 minute later than now.
    *
    * @returns {Promise<Boolean>} Returns true if the event has been posted to the
-   *                              underlying message queue, or false.
+   *                              underlying message queue, or false if it's
+   *                              buffered, dropped or filtered out. It rejects
+   *                              with an error whose <code>code</code> is
+   *                              {@link ERROR_RATE_LIMITED} if it's rejected by
+   *                              the <code>rateLimit</code> option.
    */
-  reportProperties(properties) {
+  reportProperties(properties, options) {
+    var now = Date.now();
+    var report;
     return new Promise((resolve) => {
+      report = toPropertiesReport(properties, options, now);
       resolve(this.setup());
     }).then(() => {
-      this.impl.signalProperties(properties);
+      if (this._shouldValidate(options)) {
+        return this.impl.getTslObject().then((tsl) => {
+          validateProperties(tsl, report.value);
+        });
+      }
+    }).then(() => {
+      return this._getReportFilter();
+    }).then((filter) => {
+      if (!filter || !isPlainObject(report.value)) {
+        return this._reportProperties(report);
+      }
+      var filtered = filter.filter(report);
+      if (!filtered) {
+        return false;
+      }
+      // Only the properties which are sent count as reported, so that the ones
+      // buffered, dropped or rejected are reported again.
+      return Promise.resolve(this._reportProperties(filtered)).then((result) => {
+        if (result === true) {
+          filter.update(filtered);
+        }
+        return result;
+      });
     });
   }
 
+  // Merges the properties with the others reported within the window if
+  // coalescing is enabled, or sends them right now.
+  _reportProperties(report) {
+    if (this._coalescer && isPlainObject(report.value)) {
+      return this._coalescer.add(report);
+    }
+    return this._report(report);
+  }
+
+  // Sends the properties merged by the coalescer before the thing goes offline.
+  _flushCoalesced() {
+    if (this._coalescer && this._coalescer.size > 0) {
+      this._coalescer.flush();
+    }
+  }
+
+  // Returns the report filter, which is got from the TSL ext info at the first
+  // time if required. Properties are reported without filtering if it fails.
+  _getReportFilter() {
+    if (this._filter || this.options.reportPolicies !== REPORT_POLICIES_TSL_EXT_INFO) {
+      return Promise.resolve(this._filter);
+    }
+    return this.impl.getTslExtInfo().then((info) => {
+      this._filter = this._filter || ReportFilter.fromTslExtInfo(info);
+      return this._filter;
+    }).catch((err) => {
+      this.impl._logger.warn(`Failed to get report policies from TSL ext info: ${err}, ` +
+        'report properties without filtering.');
+      return undefined;
+    });
+  }
+
+  // Sends the report, or buffers it if buffering is enabled and the thing is not
+  // online. Reports are also buffered while the buffer is not empty, so that they
+  // are sent in order. Reports to send are throttled by the rate limits if any.
+  _report(report) {
+    if (this._buffer && (this.state !== STATE_ONLINE || this._buffer.size > 0)) {
+      return this._bufferReport(report);
+    }
+    if (this._rateLimited()) {
+      return this._throttle(() => {
+        return this._sendOrBuffer(report);
+      });
+    }
+    return this._sendOrBuffer(report);
+  }
+
+  _sendOrBuffer(report) {
+    try {
+      this._send(report);
+    } catch (err) {
+      // The edge bus may be lost before the state changes.
+      if (this._buffer && (this.state !== STATE_ONLINE || session.reconnecting)) {
+        return this._bufferReport(report);
+      }
+      throw err;
+    }
+    return true;
+  }
+
+  _send(report) {
+    if (report.type === REPORT_EVENT) {
+      this.impl.signalEvent(report.event, report.value, report.time);
+    } else if (report.type === REPORT_PROPERTIES) {
+      this.impl.signalProperties(report.value, report.time, report.times);
+    } else {
+      throw new Error(`Unknown type of report: ${report.type}.`);
+    }
+  }
+
+  _bufferReport(report) {
+    var dropped = this._buffer.push(report);
+    if (dropped) {
+      this.impl._logger.warn(`Report buffer is full, drop the ` +
+        `${dropped === report ? 'newest' : 'oldest'} report made at ${dropped.time}.`);
+    }
+    return false;
+  }
+
+  _rateLimited() {
+    return !!(this._limiter || session.limiter);
+  }
+
+  // Runs the task once the rate limits of the thing and all things allow.
+  _throttle(task, wait) {
+    var limiters = [this._limiter, session.limiter].filter(limiter => !!limiter);
+    return limiters.reduceRight((next, limiter) => {
+      return () => limiter.schedule(next, wait);
+    }, task)();
+  }
+
+  // Sends the buffered reports in order until it fails. They are queued by the
+  // rate limits regardless of the overflow policies, since they must not be lost.
+  _flush() {
+    if (!this._buffer || this._buffer.size === 0 || this._flushing) {
+      return;
+    }
+    this.impl._logger.info(`Flush ${this._buffer.size} buffered reports.`);
+    if (this._rateLimited()) {
+      this._flushing = true;
+      var next = () => {
+        if (this._buffer.size === 0 || this.state !== STATE_ONLINE) {
+          this._flushing = false;
+          return;
+        }
+        return this._throttle(() => {
+          var report = this._buffer.peek();
+          if (report) {
+            this._send(report);
+            this._buffer.shift();
+          }
+        }, true).then(next, (err) => {
+          this._flushing = false;
+          this.impl._logger.warn(`Failed to flush buffered reports: ${err}, ` +
+            `${this._buffer.size} left.`);
+        });
+      };
+      next();
+      return;
+    }
+    while (this._buffer.size > 0) {
+      try {
+        this._send(this._buffer.peek());
+      } catch (err) {
+        this.impl._logger.warn(`Failed to flush buffered reports: ${err}, ` +
+          `${this._buffer.size} left.`);
+        return;
+      }
+      this._buffer.shift();
+    }
+  }
+
+  // Returns whether to validate the reports against the TSL.
+  _shouldValidate(options) {
+    if (options && options.validate !== undefined) {
+      return !!options.validate;
+    }
+    return !!this.options.validateReports;
+  }
+
   /**
    * Informs Link IoT Edge that thing is connected.
    *
+   * @param {Object} [options] the options, see {@link ThingAccessClient#registerAndOnline}.
+   * @param {Boolean|Object} [options.retry] retries with exponential back off
+   *   until it succeeds if specified.
+   *
    * @returns {Promise<Void>}
    */
-  online() {
-    return new Promise((resolve) => {
-      resolve(this.setup());
-    }).then(() => {
-      return this.impl.connect();
+  online(options) {
+    return this._retry(options, () => {
+      return new Promise((resolve) => {
+        resolve(this.setup());
+      }).then(() => {
+        return this.impl.connect();
+      });
     });
   }
 
@@ -1095,6 +2298,7 @@ class ThingAccessClient {
     return new Promise((resolve) => {
       resolve(this.setup());
     }).then(() => {
+      this._flushCoalesced();
       return this.impl.disconnect();
     });
   }
@@ -1112,6 +2316,20 @@ class ThingAccessClient {
     });
   }
 
+  /**
+   * Returns the parsed TSL(Thing Specification Language), which describes the
+   * properties, events and services of the thing.
+   *
+   * @returns {Promise<Tsl>}
+   */
+  getTslObject() {
+    return new Promise((resolve) => {
+      resolve(this.setup());
+    }).then(() => {
+      return this.impl.getTslObject();
+    });
+  }
+
   /**
    * Returns the TSL(Thing Specification Language) config string.
    *
@@ -1144,10 +2362,66 @@ class ThingAccessClient {
     return new Promise((resolve) => {
       resolve(this.setup());
     }).then(() => {
+      this._flushCoalesced();
       return this.impl.cleanup();
+    }).then(() => {
+      // Persisted reports are kept for the next run.
+      if (this._buffer && !this._buffer.persistent) {
+        this._discardBuffer();
+      }
+      if (this._filter) {
+        this._filter.reset();
+      }
     });
   }
 
+  /**
+   * Returns the metrics of the buffer enabled by the <code>buffer</code> option,
+   * which include:
+   * <ul>
+   *   <li><code>size</code>: the number of buffered reports,</li>
+   *   <li><code>capacity</code>: the max number of buffered reports,</li>
+   *   <li><code>dropped</code>: the number of reports dropped since the buffer is
+   *   full,</li>
+   *   <li><code>expired</code>: the number of reports dropped since they are older
+   *   than <code>maxAge</code>,</li>
+   *   <li><code>bytes</code>: the size of the file if it's persisted.</li>
+   * </ul>
+   *
+   * @returns {Object|undefined} the metrics, or <code>undefined</code> if buffering
+   *   is disabled.
+   */
+  bufferStats() {
+    return this._buffer ? this._buffer.stats() : undefined;
+  }
+
+  // Discards the buffered reports, since the thing won't be online any more.
+  _discardBuffer() {
+    var reports = this._buffer ? this._buffer.clear() : [];
+    if (reports.length > 0) {
+      this.impl._logger.warn(`Discard ${reports.length} buffered reports.`);
+    }
+  }
+
+  /**
+   * Returns the metrics of the rate limiter of the thing enabled by the
+   * <code>rateLimit</code> option, which include:
+   * <ul>
+   *   <li><code>passed</code>: the number of reports sent,</li>
+   *   <li><code>throttled</code>: the number of reports which exceeded the rate,</li>
+   *   <li><code>queued</code>: the number of reports waiting to be sent,</li>
+   *   <li><code>dropped</code>: the number of queued reports dropped since the
+   *   queue is full,</li>
+   *   <li><code>rejected</code>: the number of reports rejected.</li>
+   * </ul>
+   *
+   * @returns {Object|undefined} the metrics, or undefined if rate limiting is
+   *   disabled.
+   */
+  rateLimitStats() {
+    return this._limiter ? this._limiter.stats() : undefined;
+  }
+
   /**
    * Removes the binding relationship between thing and Link IoT Edge. You
    * usually don't call this function.
@@ -1158,7 +2432,13 @@ class ThingAccessClient {
     return new Promise((resolve) => {
       resolve(this.setup());
     }).then(() => {
+      this._flushCoalesced();
       return this.impl.unregister();
+    }).then(() => {
+      this._discardBuffer();
+      if (this._filter) {
+        this._filter.reset();
+      }
     });
   }
 }
@@ -1169,6 +2449,7 @@ module.exports.ThingAccessClient = ThingAccessClient;
 module.exports.default = ThingAccess;
 module.exports.session = session;
 module.exports.DriverConfigManager = DriverConfigManager;
+module.exports.timed = timed;
 module.exports.ERROR_SETUP = ERROR_SETUP;
 module.exports.ERROR_CLEANUP = ERROR_CLEANUP;
 module.exports.ERROR_CONNECT = ERROR_CONNECT;
@@ -1177,3 +2458,12 @@ module.exports.ERROR_GET_TSL = ERROR_GET_TSL;
 module.exports.ERROR_GET_TSL_EXT_INFO = ERROR_GET_TSL_EXT_INFO;
 module.exports.ERROR_GET_CONFIG = ERROR_GET_CONFIG;
 module.exports.ERROR_UNREGISTER = ERROR_UNREGISTER;
+module.exports.ERROR_RATE_LIMITED = ERROR_RATE_LIMITED;
+module.exports.STATE_IDLE = STATE_IDLE;
+module.exports.STATE_SETTING_UP = STATE_SETTING_UP;
+module.exports.STATE_CONNECTING = STATE_CONNECTING;
+module.exports.STATE_ONLINE = STATE_ONLINE;
+module.exports.STATE_OFFLINE = STATE_OFFLINE;
+module.exports.STATE_CLEANING_UP = STATE_CLEANING_UP;
+module.exports.STATE_UNREGISTERED = STATE_UNREGISTERED;
+module.exports.STATE_FAILED = STATE_FAILED;
@@ -16,6 +16,8 @@
 
 'use strict';
 
+const logger = require('./logger');
+
 /**
  * The class represents a wrapper of thing info that's used to connect to Link IoT Edge.
  */
@@ -56,7 +58,7 @@ class ThingInfo {
       try {
         this.custom = JSON.parse(custom);
       } catch (err) {
-        console.warn(`Not JSON string: ${custom}`);
+        logger.warn(`Not JSON string: ${logger.formatPayload(custom)}`);
         this.custom = undefined;
       }
     }
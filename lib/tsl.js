@@ -0,0 +1,503 @@
+/*
+ * Copyright (c) 2018 Alibaba Group Holding Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// Converts a spec value to number, since specs in TSL are usually strings.
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  var number = Number(value);
+  return Number.isNaN(number) ? undefined : number;
+}
+
+function requireIdentifier(desc, what) {
+  if (!desc || typeof desc !== 'object') {
+    throw new Error(`Illegal ${what} in TSL: ${JSON.stringify(desc)}.`);
+  }
+  if (!desc.identifier) {
+    throw new Error(`Can't find required "identifier" of ${what} in TSL.`);
+  }
+  return desc.identifier;
+}
+
+function toMap(items) {
+  var map = new Map();
+  items.forEach(item => map.set(item.identifier, item));
+  return map;
+}
+
+/**
+ * The data type of a property or a param in TSL.
+ */
+class DataType {
+  /**
+   * Construct a new DataType from the description in TSL.
+   *
+   * @param {Object} desc the description, e.g. <code>{type: 'int', specs: {min: '0'}}</code>.
+   *
+   * @private
+   */
+  constructor(desc) {
+    if (!desc || typeof desc !== 'object' || !desc.type) {
+      throw new Error(`Illegal data type in TSL: ${JSON.stringify(desc)}.`);
+    }
+    var specs = desc.specs || {};
+    /**
+     * The type, one of <code>int</code>, <code>float</code>, <code>double</code>,
+     * <code>bool</code>, <code>enum</code>, <code>text</code>, <code>date</code>,
+     * <code>struct</code> and <code>array</code>.
+     *
+     * @type {String}
+     */
+    this.type = desc.type;
+    /**
+     * The raw specs in TSL.
+     *
+     * @type {Object|Array}
+     */
+    this.specs = specs;
+    /**
+     * The min value for numeric types.
+     *
+     * @type {Number|undefined}
+     */
+    this.min = undefined;
+    /**
+     * The max value for numeric types.
+     *
+     * @type {Number|undefined}
+     */
+    this.max = undefined;
+    /**
+     * The step for numeric types.
+     *
+     * @type {Number|undefined}
+     */
+    this.step = undefined;
+    /**
+     * The unit for numeric types, e.g. <code>Lux</code>.
+     *
+     * @type {String|undefined}
+     */
+    this.unit = undefined;
+    /**
+     * The unit name for numeric types, e.g. <code>照度</code>.
+     *
+     * @type {String|undefined}
+     */
+    this.unitName = undefined;
+    /**
+     * The max length for <code>text</code>.
+     *
+     * @type {Number|undefined}
+     */
+    this.length = undefined;
+    /**
+     * The map from values to their descriptions for <code>bool</code> and
+     * <code>enum</code>, whose keys are numbers.
+     *
+     * @type {Map<Number, String>|undefined}
+     */
+    this.values = undefined;
+    /**
+     * The fields of <code>struct</code>.
+     *
+     * @type {TslParam[]|undefined}
+     */
+    this.fields = undefined;
+    /**
+     * The max number of items of <code>array</code>.
+     *
+     * @type {Number|undefined}
+     */
+    this.size = undefined;
+    /**
+     * The data type of items of <code>array</code>.
+     *
+     * @type {DataType|undefined}
+     */
+    this.item = undefined;
+
+    switch (this.type) {
+      case 'int':
+      case 'float':
+      case 'double':
+        this.min = toNumber(specs.min);
+        this.max = toNumber(specs.max);
+        this.step = toNumber(specs.step);
+        this.unit = specs.unit;
+        this.unitName = specs.unitName;
+        break;
+      case 'bool':
+      case 'enum':
+        this.values = new Map();
+        Object.keys(specs).forEach((key) => {
+          this.values.set(Number(key), specs[key]);
+        });
+        break;
+      case 'text':
+        this.length = toNumber(specs.length);
+        break;
+      case 'date':
+        break;
+      case 'struct':
+        if (!Array.isArray(specs)) {
+          throw new Error(`Specs of struct in TSL is not an array.`);
+        }
+        this.fields = specs.map(field => new TslParam(field));
+        break;
+      case 'array':
+        this.size = toNumber(specs.size);
+        this.item = new DataType(specs.item);
+        break;
+      default:
+        throw new Error(`Unknown data type "${this.type}" in TSL.`);
+    }
+  }
+
+  /**
+   * Returns the field of <code>struct</code> with the specified identifier.
+   *
+   * @param {String} identifier the identifier of the field.
+   * @returns {TslParam|undefined}
+   */
+  field(identifier) {
+    return this.fields ? this.fields.find(field => field.identifier === identifier)
+      : undefined;
+  }
+}
+
+/**
+ * A param of an event or a service, or a field of a struct in TSL.
+ */
+class TslParam {
+  /**
+   * Construct a new TslParam from the description in TSL.
+   *
+   * @param {Object} desc the description.
+   *
+   * @private
+   */
+  constructor(desc) {
+    /**
+     * The identifier.
+     *
+     * @type {String}
+     */
+    this.identifier = requireIdentifier(desc, 'param');
+    /**
+     * The display name.
+     *
+     * @type {String}
+     */
+    this.name = desc.name;
+    /**
+     * The data type.
+     *
+     * @type {DataType}
+     */
+    this.dataType = new DataType(desc.dataType);
+  }
+}
+
+/**
+ * A property in TSL.
+ */
+class TslProperty extends TslParam {
+  /**
+   * Construct a new TslProperty from the description in TSL.
+   *
+   * @param {Object} desc the description.
+   *
+   * @private
+   */
+  constructor(desc) {
+    requireIdentifier(desc, 'property');
+    super(desc);
+    /**
+     * The access mode, <code>r</code> for read-only or <code>rw</code> for
+     * read-write.
+     *
+     * @type {String}
+     */
+    this.accessMode = desc.accessMode || 'rw';
+    /**
+     * Whether the property is required by the category of the product.
+     *
+     * @type {Boolean}
+     */
+    this.required = !!desc.required;
+  }
+
+  /**
+   * Whether the property is readable.
+   *
+   * @type {Boolean}
+   */
+  get readable() {
+    return this.accessMode.indexOf('r') !== -1;
+  }
+
+  /**
+   * Whether the property is writable.
+   *
+   * @type {Boolean}
+   */
+  get writable() {
+    return this.accessMode.indexOf('w') !== -1;
+  }
+}
+
+/**
+ * An event in TSL.
+ */
+class TslEvent {
+  /**
+   * Construct a new TslEvent from the description in TSL.
+   *
+   * @param {Object} desc the description.
+   *
+   * @private
+   */
+  constructor(desc) {
+    /**
+     * The identifier.
+     *
+     * @type {String}
+     */
+    this.identifier = requireIdentifier(desc, 'event');
+    /**
+     * The display name.
+     *
+     * @type {String}
+     */
+    this.name = desc.name;
+    /**
+     * The type, one of <code>info</code>, <code>alert</code> and <code>error</code>.
+     *
+     * @type {String}
+     */
+    this.type = desc.type;
+    /**
+     * The method, e.g. <code>thing.event.high_temperature.post</code>.
+     *
+     * @type {String}
+     */
+    this.method = desc.method;
+    /**
+     * Whether the event is required by the category of the product.
+     *
+     * @type {Boolean}
+     */
+    this.required = !!desc.required;
+    /**
+     * The output params.
+     *
+     * @type {TslParam[]}
+     */
+    this.outputData = (desc.outputData || []).map(param => new TslParam(param));
+  }
+
+  /**
+   * Returns the output param with the specified identifier.
+   *
+   * @param {String} identifier the identifier of the param.
+   * @returns {TslParam|undefined}
+   */
+  outputParam(identifier) {
+    return this.outputData.find(param => param.identifier === identifier);
+  }
+}
+
+/**
+ * A service in TSL.
+ */
+class TslService {
+  /**
+   * Construct a new TslService from the description in TSL.
+   *
+   * @param {Object} desc the description.
+   *
+   * @private
+   */
+  constructor(desc) {
+    /**
+     * The identifier.
+     *
+     * @type {String}
+     */
+    this.identifier = requireIdentifier(desc, 'service');
+    /**
+     * The display name.
+     *
+     * @type {String}
+     */
+    this.name = desc.name;
+    /**
+     * The call type, <code>sync</code> or <code>async</code>.
+     *
+     * @type {String}
+     */
+    this.callType = desc.callType;
+    /**
+     * The method, e.g. <code>thing.service.SetBrightness</code>.
+     *
+     * @type {String}
+     */
+    this.method = desc.method;
+    /**
+     * Whether the service is required by the category of the product.
+     *
+     * @type {Boolean}
+     */
+    this.required = !!desc.required;
+    /**
+     * The input params.
+     *
+     * @type {TslParam[]}
+     */
+    this.inputData = (desc.inputData || []).map(param => new TslParam(param));
+    /**
+     * The output params.
+     *
+     * @type {TslParam[]}
+     */
+    this.outputData = (desc.outputData || []).map(param => new TslParam(param));
+  }
+
+  /**
+   * Returns the input param with the specified identifier.
+   *
+   * @param {String} identifier the identifier of the param.
+   * @returns {TslParam|undefined}
+   */
+  inputParam(identifier) {
+    return this.inputData.find(param => param.identifier === identifier);
+  }
+
+  /**
+   * Returns the output param with the specified identifier.
+   *
+   * @param {String} identifier the identifier of the param.
+   * @returns {TslParam|undefined}
+   */
+  outputParam(identifier) {
+    return this.outputData.find(param => param.identifier === identifier);
+  }
+}
+
+/**
+ * The parsed TSL(Thing Specification Language) of a product, which describes
+ * the properties, events and services of its things.
+ */
+class Tsl {
+  /**
+   * Construct a new Tsl with a TSL string or object.
+   *
+   * @param {String|Object} tsl the TSL in JSON string, or the parsed object.
+   */
+  constructor(tsl) {
+    var parsed = tsl;
+    if (typeof tsl === 'string') {
+      try {
+        parsed = JSON.parse(tsl);
+      } catch (err) {
+        // Converting to a new exception that is more readable.
+        throw new Error('TSL is not JSON string!');
+      }
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('TSL is not an object!');
+    }
+    /**
+     * The profile, e.g. <code>{productKey: 'a1xxx'}</code>.
+     *
+     * @type {Object}
+     */
+    this.profile = parsed.profile || {};
+    /**
+     * All properties.
+     *
+     * @type {TslProperty[]}
+     */
+    this.properties = (parsed.properties || []).map(desc => new TslProperty(desc));
+    /**
+     * All events.
+     *
+     * @type {TslEvent[]}
+     */
+    this.events = (parsed.events || []).map(desc => new TslEvent(desc));
+    /**
+     * All services.
+     *
+     * @type {TslService[]}
+     */
+    this.services = (parsed.services || []).map(desc => new TslService(desc));
+
+    this._properties = toMap(this.properties);
+    this._events = toMap(this.events);
+    this._services = toMap(this.services);
+  }
+
+  /**
+   * The product key of the TSL.
+   *
+   * @type {String}
+   */
+  get productKey() {
+    return this.profile.productKey;
+  }
+
+  /**
+   * Returns the property with the specified identifier.
+   *
+   * @param {String} identifier the identifier of the property.
+   * @returns {TslProperty|undefined}
+   */
+  property(identifier) {
+    return this._properties.get(identifier);
+  }
+
+  /**
+   * Returns the event with the specified identifier.
+   *
+   * @param {String} identifier the identifier of the event.
+   * @returns {TslEvent|undefined}
+   */
+  event(identifier) {
+    return this._events.get(identifier);
+  }
+
+  /**
+   * Returns the service with the specified identifier.
+   *
+   * @param {String} identifier the identifier of the service.
+   * @returns {TslService|undefined}
+   */
+  service(identifier) {
+    return this._services.get(identifier);
+  }
+}
+
+module.exports = Tsl;
+module.exports.Tsl = Tsl;
+module.exports.DataType = DataType;
+module.exports.TslParam = TslParam;
+module.exports.TslProperty = TslProperty;
+module.exports.TslEvent = TslEvent;
+module.exports.TslService = TslService;
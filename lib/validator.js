@@ -0,0 +1,275 @@
+/*
+ * Copyright (c) 2018 Alibaba Group Holding Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const {
+  ERROR_PROPERTY_NOT_EXIST,
+  ERROR_PROPERTY_READ_ONLY,
+  ERROR_SERVICE_NOT_EXIST,
+  ERROR_SERVICE_INVALID_PARAM,
+  ERROR_INVALID_TYPE,
+  ERROR_PARAM_RANGE_OVERFLOW,
+  ThingAccessError,
+} = require('./errors');
+
+// Throw a validation error with the code replied to Link IoT Edge.
+function throwError(code, message) {
+  throw new ThingAccessError(code, message);
+}
+
+function isObject(value) {
+  return Object.prototype.toString.call(value) === '[object Object]';
+}
+
+function checkType(name, expected, value, valid) {
+  if (!valid) {
+    throwError(ERROR_INVALID_TYPE,
+      `Illegal value of "${name}": expected ${expected} but got ${JSON.stringify(value)}.`);
+  }
+}
+
+function checkRange(name, dataType, value) {
+  if ((dataType.min !== undefined && value < dataType.min)
+    || (dataType.max !== undefined && value > dataType.max)) {
+    throwError(ERROR_PARAM_RANGE_OVERFLOW,
+      `Value of "${name}" is out of range [${dataType.min}, ${dataType.max}]: ${value}.`);
+  }
+}
+
+/**
+ * Validates a value against the data type in TSL.
+ *
+ * @param {DataType} dataType the data type.
+ * @param {*} value the value.
+ * @param {String} name the name of the value, e.g. <code>Color.Red</code>, which
+ *   is used in the error message.
+ *
+ * @throws {ThingAccessError} with code {@link ERROR_INVALID_TYPE} if the type mismatches,
+ *   or {@link ERROR_PARAM_RANGE_OVERFLOW} if the value is out of range.
+ * @private
+ */
+function validateValue(dataType, value, name) {
+  switch (dataType.type) {
+    case 'int':
+      checkType(name, 'int', value, Number.isInteger(value));
+      checkRange(name, dataType, value);
+      break;
+    case 'float':
+    case 'double':
+      checkType(name, dataType.type, value,
+        typeof value === 'number' && Number.isFinite(value));
+      checkRange(name, dataType, value);
+      break;
+    case 'bool':
+    case 'enum':
+      checkType(name, dataType.type, value, Number.isInteger(value));
+      if (dataType.values.size > 0 && !dataType.values.has(value)) {
+        throwError(ERROR_PARAM_RANGE_OVERFLOW,
+          `Value of "${name}" is not one of [${Array.from(dataType.values.keys())}]: ${value}.`);
+      }
+      break;
+    case 'text':
+      checkType(name, 'text', value, typeof value === 'string');
+      if (dataType.length !== undefined && value.length > dataType.length) {
+        throwError(ERROR_PARAM_RANGE_OVERFLOW,
+          `Length of "${name}" exceeds ${dataType.length}: ${value.length}.`);
+      }
+      break;
+    case 'date':
+      // A date is the UTC timestamp in milliseconds, which is usually a string.
+      checkType(name, 'date', value, (Number.isInteger(value) && value >= 0)
+        || (typeof value === 'string' && /^\d+$/.test(value)));
+      break;
+    case 'struct':
+      checkType(name, 'struct', value, isObject(value));
+      Object.keys(value).forEach((key) => {
+        var field = dataType.field(key);
+        if (!field) {
+          throwError(ERROR_INVALID_TYPE, `Unknown field "${key}" in "${name}".`);
+        }
+        validateValue(field.dataType, value[key], `${name}.${key}`);
+      });
+      break;
+    case 'array':
+      checkType(name, 'array', value, Array.isArray(value));
+      if (dataType.size !== undefined && value.length > dataType.size) {
+        throwError(ERROR_PARAM_RANGE_OVERFLOW,
+          `Size of "${name}" exceeds ${dataType.size}: ${value.length}.`);
+      }
+      value.forEach((item, index) => {
+        validateValue(dataType.item, item, `${name}[${index}]`);
+      });
+      break;
+    default:
+      throwError(ERROR_INVALID_TYPE, `Unknown data type "${dataType.type}" of "${name}".`);
+  }
+}
+
+/**
+ * Validates the properties to report against the TSL.
+ *
+ * @param {Tsl} tsl the TSL.
+ * @param {Object} properties the properties to report.
+ *
+ * @throws {ThingAccessError} with code {@link ERROR_PROPERTY_NOT_EXIST} if a property is not
+ *   defined in the TSL, or the code thrown by {@link validateValue}.
+ * @private
+ */
+function validateProperties(tsl, properties) {
+  checkType('properties', 'object', properties, isObject(properties));
+  Object.keys(properties).forEach((key) => {
+    var property = tsl.property(key);
+    if (!property) {
+      throwError(ERROR_PROPERTY_NOT_EXIST, `Property "${key}" is not defined in TSL.`);
+    }
+    validateValue(property.dataType, properties[key], key);
+  });
+}
+
+/**
+ * Validates the properties to set from Link IoT Edge against the TSL.
+ *
+ * @param {Tsl} tsl the TSL.
+ * @param {Object} properties the properties to set.
+ *
+ * @throws {ThingAccessError} with code {@link ERROR_PROPERTY_NOT_EXIST} if a property is not
+ *   defined in the TSL, {@link ERROR_PROPERTY_READ_ONLY} if a property is not
+ *   writable, or the code thrown by {@link validateValue}.
+ * @private
+ */
+function validateSetProperties(tsl, properties) {
+  checkType('params', 'object', properties, isObject(properties));
+  Object.keys(properties).forEach((key) => {
+    var property = tsl.property(key);
+    if (!property) {
+      throwError(ERROR_PROPERTY_NOT_EXIST, `Property "${key}" is not defined in TSL.`);
+    }
+    if (!property.writable) {
+      throwError(ERROR_PROPERTY_READ_ONLY, `Property "${key}" is read-only.`);
+    }
+    validateValue(property.dataType, properties[key], key);
+  });
+}
+
+/**
+ * Validates the input params of a service called from Link IoT Edge against the
+ * TSL.
+ *
+ * @param {Tsl} tsl the TSL.
+ * @param {String} serviceName the identifier of the service.
+ * @param {Object} args the input params.
+ *
+ * @throws {ThingAccessError} with code {@link ERROR_SERVICE_NOT_EXIST} if the service is not
+ *   defined in the TSL, or {@link ERROR_SERVICE_INVALID_PARAM} if any param is
+ *   unknown or illegal.
+ * @private
+ */
+function validateServiceArgs(tsl, serviceName, args) {
+  var service = tsl.service(serviceName);
+  if (!service) {
+    throwError(ERROR_SERVICE_NOT_EXIST, `Service "${serviceName}" is not defined in TSL.`);
+  }
+  if (!isObject(args)) {
+    throwError(ERROR_SERVICE_INVALID_PARAM,
+      `Illegal params of service "${serviceName}": expected object but got ${JSON.stringify(args)}.`);
+  }
+  Object.keys(args).forEach((key) => {
+    var param = service.inputParam(key);
+    if (!param) {
+      throwError(ERROR_SERVICE_INVALID_PARAM,
+        `Unknown input param "${key}" of service "${serviceName}".`);
+    }
+    try {
+      validateValue(param.dataType, args[key], `${serviceName}.${key}`);
+    } catch (err) {
+      throwError(ERROR_SERVICE_INVALID_PARAM, err.message);
+    }
+  });
+}
+
+// The legal types of events.
+const EVENT_TYPES = ['info', 'alert', 'error'];
+
+/**
+ * Validates the event to report against the TSL.
+ *
+ * @param {Tsl} tsl the TSL.
+ * @param {String} eventName the identifier of the event.
+ * @param {Object} args the output params of the event.
+ *
+ * @throws {ThingAccessError} with code {@link ERROR_SERVICE_NOT_EXIST} if the event is not
+ *   defined in the TSL since there's no code dedicated to events,
+ *   {@link ERROR_INVALID_TYPE} if the type of the event is illegal or a param is
+ *   unknown, or the code thrown by {@link validateValue}.
+ * @private
+ */
+function validateEvent(tsl, eventName, args) {
+  var event = tsl.event(eventName);
+  if (!event) {
+    throwError(ERROR_SERVICE_NOT_EXIST, `Event "${eventName}" is not defined in TSL.`);
+  }
+  if (EVENT_TYPES.indexOf(event.type) === -1) {
+    throwError(ERROR_INVALID_TYPE, `Illegal type of event "${eventName}": expected ` +
+      `one of ${EVENT_TYPES.join(', ')} but got ${JSON.stringify(event.type)}.`);
+  }
+  checkType(eventName, 'object', args, isObject(args));
+  Object.keys(args).forEach((key) => {
+    var param = event.outputParam(key);
+    if (!param) {
+      throwError(ERROR_INVALID_TYPE, `Unknown output param "${key}" of event "${eventName}".`);
+    }
+    validateValue(param.dataType, args[key], `${eventName}.${key}`);
+  });
+}
+
+// The earliest time accepted, 2000-01-01T00:00:00Z, which also catches times in
+// seconds instead of milliseconds.
+const MIN_TIME = 946684800000;
+// The max time ahead of the local clock accepted, which tolerates clock skews of
+// the sensors.
+const MAX_TIME_AHEAD = 60 * 1000;
+
+/**
+ * Validates a time supplied by the caller for a report.
+ *
+ * @param {Number|Date} time the time in milliseconds since the epoch, or a Date.
+ * @param {String} name the name of the time, which is used in the error message.
+ * @returns {Number} the time in milliseconds.
+ *
+ * @throws {ThingAccessError} with code {@link ERROR_INVALID_TYPE} if it's not an
+ *   integer or a valid Date, or {@link ERROR_PARAM_RANGE_OVERFLOW} if it's before
+ *   2000 or more than 1 minute later than now.
+ * @private
+ */
+function validateTime(time, name) {
+  var value = time instanceof Date ? time.getTime() : time;
+  checkType(name, 'time in milliseconds', time, Number.isInteger(value));
+  if (value < MIN_TIME || value > Date.now() + MAX_TIME_AHEAD) {
+    throwError(ERROR_PARAM_RANGE_OVERFLOW,
+      `Value of "${name}" is out of range: ${new Date(value).toISOString()}.`);
+  }
+  return value;
+}
+
+module.exports = {
+  validateValue,
+  validateTime,
+  validateProperties,
+  validateEvent,
+  validateSetProperties,
+  validateServiceArgs,
+};
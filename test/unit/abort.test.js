@@ -0,0 +1,50 @@
+/*
+ * Copyright (c) 2018 Alibaba Group Holding Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const should = require('should');
+const sinon = require('sinon');
+
+const { createAbortController } = require('../../lib/abort');
+
+describe('abort', function () {
+  describe('#createAbortController', function () {
+    var NativeAbortController = global.AbortController;
+    afterEach(function () {
+      global.AbortController = NativeAbortController;
+    });
+    it('should create the built-in one if it is available', function () {
+      if (!NativeAbortController) {
+        this.skip();
+      }
+      createAbortController().should.be.instanceOf(NativeAbortController);
+    });
+    it('should create a fallback if the built-in one is not available', function () {
+      global.AbortController = undefined;
+      var controller = createAbortController();
+      var listener = sinon.spy();
+      var reason = new Error('timeout');
+      controller.signal.aborted.should.be.false();
+      controller.signal.addEventListener('abort', listener);
+      controller.abort(reason);
+      controller.abort(reason);
+      controller.signal.aborted.should.be.true();
+      controller.signal.reason.should.equal(reason);
+      listener.calledOnce.should.be.true();
+    });
+  });
+});
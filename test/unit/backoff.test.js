@@ -0,0 +1,77 @@
+/*
+ * Copyright (c) 2018 Alibaba Group Holding Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const should = require('should');
+const sinon = require('sinon');
+
+const Backoff = require('../../lib/backoff');
+
+describe('Backoff', function () {
+  describe('#constructor', function () {
+    it('should fail since illegal initial interval', function () {
+      (function () {
+        new Backoff({ initialInterval: -1 });
+      }).should.throw();
+    });
+    it('should fail since max interval is less than initial interval', function () {
+      (function () {
+        new Backoff({ initialInterval: 1000, maxInterval: 500 });
+      }).should.throw();
+    });
+    it('should fail since illegal jitter', function () {
+      (function () {
+        new Backoff({ jitter: 2 });
+      }).should.throw();
+    });
+    it('should pass since all requirements meet', function () {
+      (function () {
+        new Backoff();
+      }).should.not.throw();
+    });
+  });
+  describe('#next', function () {
+    it('should grow exponentially up to max interval', function () {
+      var backoff = new Backoff({ initialInterval: 100, maxInterval: 500 });
+      [backoff.next(), backoff.next(), backoff.next(), backoff.next()]
+        .should.eql([100, 200, 400, 500]);
+      backoff.attempts.should.equal(4);
+    });
+    it('should randomize the delay within jitter', function () {
+      var random = sinon.stub(Math, 'random');
+      try {
+        var backoff = new Backoff({ initialInterval: 100, jitter: 0.5 });
+        random.returns(0);
+        backoff.next().should.equal(50);
+        random.returns(1);
+        backoff.next().should.equal(300);
+      } finally {
+        random.restore();
+      }
+    });
+  });
+  describe('#reset', function () {
+    it('should restart from initial interval', function () {
+      var backoff = new Backoff({ initialInterval: 100 });
+      backoff.next();
+      backoff.next();
+      backoff.reset();
+      backoff.attempts.should.equal(0);
+      backoff.next().should.equal(100);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+/*
+ * Copyright (c) 2018 Alibaba Group Holding Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const should = require('should');
+
+const busAddress = require('../../lib/bus-address');
+
+describe('busAddress', function () {
+  describe('#parse', function () {
+    it('should fail since the address is empty', function () {
+      (function () {
+        busAddress.parse('');
+      }).should.throw(/Illegal edge bus address/);
+    });
+    it('should fail since the transport is missing', function () {
+      (function () {
+        busAddress.parse('path=/tmp/socket');
+      }).should.throw(/missing transport/);
+    });
+    it('should fail since the transport is not supported', function () {
+      (function () {
+        busAddress.parse('launchd:env=DBUS_LAUNCHD_SESSION_BUS_SOCKET');
+      }).should.throw(/unsupported transport "launchd"/);
+    });
+    it('should fail since multiple addresses are given', function () {
+      (function () {
+        busAddress.parse('unix:path=/tmp/a;unix:path=/tmp/b');
+      }).should.throw(/multiple addresses/);
+    });
+    it('should fail since the key-value pair is malformed', function () {
+      (function () {
+        busAddress.parse('unix:/tmp/socket');
+      }).should.throw(/malformed key-value pair/);
+    });
+    it('should fail since unix transport has no path', function () {
+      (function () {
+        busAddress.parse('unix:');
+      }).should.throw(/requires "path" or "abstract"/);
+    });
+    it('should fail since unix transport has both path and abstract', function () {
+      (function () {
+        busAddress.parse('unix:path=/tmp/socket,abstract=mbusd');
+      }).should.throw(/mutually exclusive/);
+    });
+    it('should fail since tcp transport has no port', function () {
+      (function () {
+        busAddress.parse('tcp:host=127.0.0.1');
+      }).should.throw(/requires "host" and "port"/);
+    });
+    it('should fail since tcp port is illegal', function () {
+      (function () {
+        busAddress.parse('tcp:host=127.0.0.1,port=70000');
+      }).should.throw(/illegal port/);
+    });
+    it('should fail since the key is unknown', function () {
+      (function () {
+        busAddress.parse('tcp:host=127.0.0.1,port=7000,guid=abc');
+      }).should.throw(/unknown key "guid"/);
+    });
+    it('should pass since all requirements meet', function () {
+      busAddress.parse(busAddress.DEFAULT_BUS_ADDRESS).should.eql({
+        transport: 'unix',
+        params: { path: '/tmp/var/run/mbusd/mbusd_socket' },
+      });
+      busAddress.parse('unix:abstract=mbusd').should.eql({
+        transport: 'unix',
+        params: { abstract: 'mbusd' },
+      });
+      busAddress.parse('tcp:host=127.0.0.1,port=7000').should.eql({
+        transport: 'tcp',
+        params: { host: '127.0.0.1', port: '7000' },
+      });
+    });
+  });
+  describe('#format', function () {
+    it('should fail since the params are illegal', function () {
+      (function () {
+        busAddress.format('tcp', { host: 'localhost' });
+      }).should.throw();
+    });
+    it('should pass since all requirements meet', function () {
+      busAddress.format('unix', { path: '/var/run/mbusd_socket' })
+        .should.equal('unix:path=/var/run/mbusd_socket');
+      busAddress.format('tcp', { host: 'localhost', port: 7000 })
+        .should.equal('tcp:host=localhost,port=7000');
+    });
+  });
+  describe('#resolve', function () {
+    it('should fail since both bus address and transport are specified', function () {
+      (function () {
+        busAddress.resolve({ busAddress: 'unix:abstract=mbusd', transport: 'unix' }, {});
+      }).should.throw();
+    });
+    it('should fail since the environment variable is illegal', function () {
+      (function () {
+        busAddress.resolve({}, { [busAddress.BUS_ADDRESS_ENV]: 'mbusd_socket' });
+      }).should.throw(/Illegal edge bus address "mbusd_socket"/);
+    });
+    it('should return the default address if nothing is specified', function () {
+      busAddress.resolve(undefined, {}).should.equal(busAddress.DEFAULT_BUS_ADDRESS);
+    });
+    it('should prefer the environment variable to the default address', function () {
+      busAddress.resolve({}, { [busAddress.BUS_ADDRESS_ENV]: 'unix:abstract=mbusd' })
+        .should.equal('unix:abstract=mbusd');
+    });
+    it('should prefer the options to the environment variable', function () {
+      var env = { [busAddress.BUS_ADDRESS_ENV]: 'unix:abstract=mbusd' };
+      busAddress.resolve({ busAddress: 'unix:path=/tmp/mbusd_socket' }, env)
+        .should.equal('unix:path=/tmp/mbusd_socket');
+      busAddress.resolve({ transport: 'tcp', host: '127.0.0.1', port: 7000 }, env)
+        .should.equal('tcp:host=127.0.0.1,port=7000');
+    });
+  });
+});
@@ -0,0 +1,149 @@
+/*
+ * Copyright (c) 2018 Alibaba Group Holding Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+process.env.FUNCTION_ID = 'functionId';
+process.env.FUNCTION_NAME = 'functionName';
+
+const should = require('should');
+
+const ConfigWatcher = require('../../lib/config-watcher');
+const FakeEdgeBus = require('../../lib/fake-edge-bus');
+const ThingInfo = require('../../lib/thing-info');
+
+function thingInfo(deviceName, custom) {
+  return ThingInfo.from({
+    productKey: 'a1light',
+    deviceName,
+    custom: custom && JSON.stringify(custom),
+  });
+}
+
+function names(thingInfos) {
+  return thingInfos.map(thingInfo => thingInfo.deviceName);
+}
+
+describe('ConfigWatcher', function () {
+  describe('#diff', function () {
+    it('should find nothing since the things are same', function () {
+      var diff = ConfigWatcher.diff([thingInfo('light1', { port: 1 })],
+        [thingInfo('light1', { port: 1 })]);
+      diff.should.eql({ added: [], removed: [], updated: [] });
+    });
+    it('should find the added and the removed things', function () {
+      var diff = ConfigWatcher.diff([thingInfo('light1'), thingInfo('light2')],
+        [thingInfo('light2'), thingInfo('light3')]);
+      names(diff.added).should.eql(['light3']);
+      names(diff.removed).should.eql(['light1']);
+      diff.updated.should.be.empty();
+    });
+    it('should find the things whose custom config is changed', function () {
+      var diff = ConfigWatcher.diff(
+        [thingInfo('light1', { port: 1 }), thingInfo('light2', { port: 2 })],
+        [thingInfo('light1', { port: 1 }), thingInfo('light2', { port: 3 })]);
+      diff.added.should.be.empty();
+      diff.removed.should.be.empty();
+      diff.updated.should.have.length(1);
+      diff.updated[0][0].custom.should.eql({ port: 3 });
+      diff.updated[0][1].custom.should.eql({ port: 2 });
+    });
+  });
+
+  describe('#start', function () {
+    var bus;
+    var watcher;
+    beforeEach(function () {
+      bus = new FakeEdgeBus().install();
+      bus.setDriverConfig({
+        deviceList: [
+          { productKey: 'a1light', deviceName: 'light1' },
+          { productKey: 'a1light', deviceName: 'light2', custom: '{"port":1}' },
+        ],
+      });
+      watcher = new ConfigWatcher();
+    });
+    afterEach(function () {
+      watcher.stop();
+      bus.uninstall();
+    });
+
+    it('should resolve with the things in the driver config', function (done) {
+      watcher.start()
+        .then((thingInfos) => {
+          names(thingInfos).should.eql(['light1', 'light2']);
+          names(watcher.thingInfos()).should.eql(['light1', 'light2']);
+          done();
+        })
+        .catch(done);
+    });
+    it('should emit the differences once the driver config is changed', function (done) {
+      var events = [];
+      watcher.on('deviceRemoved', (thingInfo) => {
+        events.push(['removed', thingInfo.deviceName]);
+      });
+      watcher.on('deviceUpdated', (thingInfo, previous) => {
+        events.push(['updated', thingInfo.deviceName, thingInfo.custom, previous.custom]);
+      });
+      watcher.on('deviceAdded', (thingInfo) => {
+        events.push(['added', thingInfo.deviceName]);
+        events.should.eql([
+          ['removed', 'light1'],
+          ['updated', 'light2', { port: 2 }, { port: 1 }],
+          ['added', 'light3'],
+        ]);
+        names(watcher.thingInfos()).should.eql(['light2', 'light3']);
+        done();
+      });
+      watcher.start()
+        .then(() => {
+          bus.setDriverConfig({
+            deviceList: [
+              { productKey: 'a1light', deviceName: 'light2', custom: '{"port":2}' },
+              { productKey: 'a1light', deviceName: 'light3' },
+            ],
+          });
+        })
+        .catch(done);
+    });
+    it('should ignore the illegal driver config', function (done) {
+      watcher.on('deviceRemoved', () => {
+        done(new Error('Should not emit deviceRemoved.'));
+      });
+      watcher.start()
+        .then(() => {
+          bus.setDriverConfig('{"deviceList": {}}');
+          setImmediate(() => {
+            names(watcher.thingInfos()).should.eql(['light1', 'light2']);
+            done();
+          });
+        })
+        .catch(done);
+    });
+    it('should not emit any events once it is stopped', function (done) {
+      watcher.on('deviceAdded', () => {
+        done(new Error('Should not emit deviceAdded.'));
+      });
+      watcher.start()
+        .then(() => {
+          watcher.stop();
+          bus.setDriverConfig({ deviceList: [{ productKey: 'a1light', deviceName: 'light3' }] });
+          setImmediate(done);
+        })
+        .catch(done);
+    });
+  });
+});
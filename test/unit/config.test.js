@@ -108,13 +108,16 @@ describe('Config', function () {
   describe('#registerChangedCallback', function () {
     it('should pass since all requirements meet', function (done) {
       var stub = sinon.stub(DriverConfigManager.get(), 'on').resolves();
+      var listenChanges = sinon.stub(DriverConfigManager.get(), 'listenChanges').resolves();
       function restore() {
         stub.restore();
+        listenChanges.restore();
         done();
       }
       (function () {
         Config.registerChangedCallback(function () {});
       }).should.not.throw();
+      listenChanges.calledOnce.should.be.true();
       restore();
     });
   });
@@ -0,0 +1,347 @@
+/*
+ * Copyright (c) 2018 Alibaba Group Holding Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+
+process.env.FUNCTION_ID = 'functionId';
+process.env.FUNCTION_NAME = 'functionName';
+
+const should = require('should');
+const sinon = require('sinon');
+
+const Driver = require('../../lib/driver');
+const FakeEdgeBus = require('../../lib/fake-edge-bus');
+const {
+  ThingAccessClient,
+  STATE_IDLE,
+} = require('../../lib/thing-access');
+
+describe('Driver', function () {
+  var bus;
+  var factory = function (thingInfo) {
+    return {
+      getProperties: function (keys) {
+        return { code: 0, message: 'success', params: { name: thingInfo.deviceName } };
+      },
+    };
+  };
+
+  beforeEach(function () {
+    bus = new FakeEdgeBus().install();
+    bus.setDriverConfig({
+      deviceList: [
+        { productKey: 'a1light', deviceName: 'light1' },
+        { productKey: 'a1light', deviceName: 'light2' },
+        { productKey: 'a1light', deviceName: 'light3' },
+      ],
+    });
+  });
+  afterEach(function () {
+    bus.uninstall();
+  });
+
+  describe('#constructor', function () {
+    it('should fail since the factory is not a function', function () {
+      (function () {
+        new Driver({});
+      }).should.throw(/Illegal factory/);
+    });
+    it('should fail since the concurrency is illegal', function () {
+      (function () {
+        new Driver(factory, { concurrency: 0 });
+      }).should.throw(/Illegal "concurrency"/);
+    });
+    it('should fail since the retry policy is illegal', function () {
+      (function () {
+        new Driver(factory, { retry: 1 });
+      }).should.throw(/Illegal "retry"/);
+    });
+  });
+
+  describe('#start', function () {
+    var driver;
+    afterEach(function (done) {
+      driver.destroy().then(done, done);
+    });
+
+    it('should bring all things online with the callbacks from the factory', function (done) {
+      var online = [];
+      driver = new Driver(factory);
+      driver.on('online', (thingInfo, client) => {
+        client.should.be.instanceof(ThingAccessClient);
+        online.push(thingInfo.deviceName);
+      });
+      driver.start()
+        .then(() => {
+          online.sort().should.eql(['light1', 'light2', 'light3']);
+          driver.clients().should.have.length(3);
+          driver.health().forEach((health) => {
+            health.online.should.be.true();
+            health.failures.should.equal(0);
+          });
+          return bus.thing('a1light', 'light2').getProperties(['name']);
+        })
+        .then((result) => {
+          result.params.should.eql({ name: 'light2' });
+          done();
+        })
+        .catch(done);
+    });
+    it('should return the same promise if it is started', function (done) {
+      driver = new Driver(factory);
+      var promise = driver.start();
+      promise.should.equal(driver.start());
+      promise.then(() => done(), done);
+    });
+    it('should bring things online with bounded parallelism', function (done) {
+      var active = 0;
+      var max = 0;
+      var stub = sinon.stub(ThingAccessClient.prototype, 'registerAndOnline').callsFake(() => {
+        active++;
+        max = Math.max(max, active);
+        return new Promise((resolve) => {
+          setTimeout(() => {
+            active--;
+            resolve();
+          }, 10);
+        });
+      });
+      driver = new Driver(factory, { concurrency: 2 });
+      driver.start()
+        .then(() => {
+          stub.callCount.should.equal(3);
+          max.should.equal(2);
+        })
+        .finally(() => {
+          stub.restore();
+        })
+        .then(done, done);
+    });
+    it('should retry the thing failed to be online', function (done) {
+      var stub = sinon.stub(ThingAccessClient.prototype, 'registerAndOnline');
+      stub.onFirstCall().rejects(new Error('busy'));
+      stub.resolves();
+      var retries = [];
+      driver = new Driver(factory, { retry: { initialInterval: 1 } });
+      driver.on('retry', (thingInfo, attempts, delay, err) => {
+        retries.push([thingInfo.deviceName, attempts, err.message]);
+      });
+      driver.start()
+        .then(() => {
+          stub.callCount.should.equal(4);
+          retries.should.eql([['light1', 1, 'busy']]);
+          driver.health()[0].failures.should.equal(1);
+          driver.health()[0].lastError.message.should.equal('busy');
+        })
+        .finally(() => {
+          stub.restore();
+        })
+        .then(done, done);
+    });
+    it('should give up the thing whose attempts are exhausted', function (done) {
+      var stub = sinon.stub(ThingAccessClient.prototype, 'registerAndOnline');
+      stub.onFirstCall().rejects(new Error('broken'));
+      stub.resolves();
+      var failed = [];
+      driver = new Driver(factory, { retry: false });
+      driver.on('failed', (thingInfo, err) => {
+        failed.push([thingInfo.deviceName, err.message]);
+      });
+      driver.start()
+        .then(() => {
+          failed.should.eql([['light1', 'broken']]);
+          driver.health()[0].failures.should.equal(1);
+        })
+        .finally(() => {
+          stub.restore();
+        })
+        .then(done, done);
+    });
+    it('should give up the thing whose factory fails', function (done) {
+      var failed = [];
+      driver = new Driver((thingInfo) => {
+        if (thingInfo.deviceName === 'light3') {
+          throw new Error('unsupported');
+        }
+        return factory(thingInfo);
+      });
+      driver.on('failed', (thingInfo, err) => {
+        failed.push([thingInfo.deviceName, err.message]);
+      });
+      driver.start()
+        .then(() => {
+          failed.should.eql([['light3', 'unsupported']]);
+          driver.clients().should.have.length(2);
+          done();
+        })
+        .catch(done);
+    });
+    it('should fail since the driver config is illegal', function (done) {
+      bus.setDriverConfig({ deviceList: [] });
+      driver = new Driver(factory, { watchChanges: false });
+      driver.start()
+        .should.be.rejectedWith(/Could not find device information/)
+        .then(function () { done(); }, done);
+    });
+  });
+
+  describe('#start with watchChanges', function () {
+    var driver;
+    var config = function (names, custom) {
+      return {
+        deviceList: names.map((name) => {
+          return { productKey: 'a1light', deviceName: name, custom: custom && custom[name] };
+        }),
+      };
+    };
+    var onlineNames = function () {
+      return bus.things().filter(thing => thing.online)
+        .map(thing => thing.deviceName).sort();
+    };
+    afterEach(function (done) {
+      driver.destroy().then(done, done);
+    });
+
+    it('should start with an empty device list', function (done) {
+      bus.setDriverConfig({ deviceList: [] });
+      driver = new Driver(factory);
+      driver.start()
+        .then(() => {
+          driver.clients().should.be.empty();
+          done();
+        })
+        .catch(done);
+    });
+    it('should bring the added things online', function (done) {
+      driver = new Driver(factory);
+      driver.start()
+        .then(() => {
+          driver.on('online', (thingInfo) => {
+            thingInfo.deviceName.should.equal('light4');
+            onlineNames().should.eql(['light1', 'light2', 'light3', 'light4']);
+            driver.clients().should.have.length(4);
+            done();
+          });
+          bus.setDriverConfig(config(['light1', 'light2', 'light3', 'light4']));
+        })
+        .catch(done);
+    });
+    it('should take the removed things offline and clean them up', function (done) {
+      driver = new Driver(factory);
+      driver.start()
+        .then(() => {
+          driver.on('offline', (thingInfo) => {
+            thingInfo.deviceName.should.equal('light2');
+            setImmediate(() => {
+              onlineNames().should.eql(['light1', 'light3']);
+              driver.health().map(health => health.deviceName)
+                .should.eql(['light1', 'light3']);
+              done();
+            });
+          });
+          bus.setDriverConfig(config(['light1', 'light3']));
+        })
+        .catch(done);
+    });
+    it('should restart the things whose custom config is changed', function (done) {
+      var customs = [];
+      driver = new Driver((thingInfo) => {
+        customs.push(thingInfo.custom);
+        return factory(thingInfo);
+      });
+      driver.start()
+        .then(() => {
+          var events = [];
+          driver.on('offline', (thingInfo) => {
+            events.push(['offline', thingInfo.deviceName]);
+          });
+          driver.on('online', (thingInfo) => {
+            events.push(['online', thingInfo.deviceName]);
+            events.should.eql([['offline', 'light3'], ['online', 'light3']]);
+            customs[3].should.eql({ port: 2 });
+            onlineNames().should.eql(['light1', 'light2', 'light3']);
+            driver.clients().should.have.length(3);
+            done();
+          });
+          bus.setDriverConfig(config(['light1', 'light2', 'light3'],
+            { light3: JSON.stringify({ port: 2 }) }));
+        })
+        .catch(done);
+    });
+    it('should stop watching the changes once it is destroyed', function (done) {
+      driver = new Driver(factory);
+      driver.start()
+        .then(() => {
+          return driver.destroy();
+        })
+        .then(() => {
+          var spy = sinon.spy(driver, 'factory');
+          bus.setDriverConfig(config(['light1', 'light4']));
+          setImmediate(() => {
+            spy.called.should.be.false();
+            driver.clients().should.be.empty();
+            done();
+          });
+        })
+        .catch(done);
+    });
+  });
+
+  describe('#destroy', function () {
+    it('should take all things offline and clean them up', function (done) {
+      var driver = new Driver(factory);
+      var offline = [];
+      driver.on('offline', (thingInfo) => {
+        offline.push(thingInfo.deviceName);
+      });
+      var clients;
+      driver.start()
+        .then(() => {
+          clients = driver.clients();
+          return driver.destroy();
+        })
+        .then(() => {
+          offline.sort().should.eql(['light1', 'light2', 'light3']);
+          clients.forEach((client) => {
+            client.state.should.equal(STATE_IDLE);
+          });
+          bus.things().forEach((thing) => {
+            thing.online.should.be.false();
+          });
+          driver.clients().should.be.empty();
+          done();
+        })
+        .catch(done);
+    });
+    it('should stop retrying', function (done) {
+      var stub = sinon.stub(ThingAccessClient.prototype, 'registerAndOnline')
+        .rejects(new Error('busy'));
+      var driver = new Driver(factory, { retry: { initialInterval: 1000 } });
+      driver.once('retry', () => {
+        driver.destroy();
+      });
+      driver.start()
+        .then(() => {
+          stub.callCount.should.be.belowOrEqual(3);
+        })
+        .finally(() => {
+          stub.restore();
+        })
+        .then(done, done);
+    });
+  });
+});
@@ -0,0 +1,51 @@
+/*
+ * Copyright (c) 2018 Alibaba Group Holding Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const should = require('should');
+
+const {
+  ERROR_SERVICE_INVALID_PARAM,
+  ERROR_TIMEOUT,
+  ERROR_UNKNOWN,
+  ThingAccessError,
+  toReplyCode,
+} = require('../../lib/errors');
+
+describe('errors', function () {
+  describe('ThingAccessError', function () {
+    it('should carry the code and message', function () {
+      var error = new ThingAccessError(ERROR_SERVICE_INVALID_PARAM, 'bad speed');
+      error.should.be.instanceOf(Error);
+      error.name.should.equal('ThingAccessError');
+      error.code.should.equal(ERROR_SERVICE_INVALID_PARAM);
+      error.message.should.equal('bad speed');
+    });
+  });
+  describe('#toReplyCode', function () {
+    it('should pass through the recognized codes', function () {
+      toReplyCode(ERROR_TIMEOUT).should.equal(ERROR_TIMEOUT);
+    });
+    it('should pass through the codes in custom range', function () {
+      toReplyCode(110001, [110000, 119999]).should.equal(110001);
+    });
+    it('should convert other codes to unknown error', function () {
+      toReplyCode(-3).should.equal(ERROR_UNKNOWN);
+      toReplyCode(120000, [110000, 119999]).should.equal(ERROR_UNKNOWN);
+    });
+  });
+});
@@ -0,0 +1,220 @@
+/*
+ * Copyright (c) 2018 Alibaba Group Holding Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+
+process.env.FUNCTION_ID = 'functionId';
+process.env.FUNCTION_NAME = 'functionName';
+
+const should = require('should');
+
+const FakeEdgeBus = require('../../lib/fake-edge-bus');
+const Config = require('../../lib/config');
+const {
+  ThingAccessClient,
+  DriverConfigManager,
+  session,
+} = require('../../lib/thing-access');
+const {
+  ERROR_PROPERTY_NOT_EXIST,
+} = require('../../lib/errors');
+
+const TSL = {
+  profile: { productKey: 'a1light' },
+  properties: [{
+    identifier: 'LightSwitch',
+    accessMode: 'rw',
+    dataType: { type: 'bool', specs: { '0': 'off', '1': 'on' } },
+  }],
+  events: [{
+    identifier: 'Error',
+    type: 'error',
+    outputData: [{ identifier: 'ErrorCode', dataType: { type: 'int', specs: {} } }],
+  }],
+  services: [],
+};
+
+describe('FakeEdgeBus', function () {
+  var bus;
+  var client;
+  var lightSwitch;
+  var callbacks = {
+    getProperties: function (keys) {
+      return { code: 0, message: 'success', params: { LightSwitch: lightSwitch } };
+    },
+    setProperties: function (properties) {
+      lightSwitch = properties.LightSwitch;
+      return { code: 0, message: 'success' };
+    },
+    callService: function (name, args) {
+      return { code: 0, message: 'success', params: { echo: args } };
+    },
+  };
+
+  beforeEach(function () {
+    lightSwitch = 0;
+    bus = new FakeEdgeBus().install();
+    bus.setTsl('a1light', TSL);
+    client = new ThingAccessClient({ productKey: 'a1light', deviceName: 'light' }, callbacks);
+  });
+  afterEach(function () {
+    bus.uninstall();
+  });
+
+  it('should register the driver and connect the thing', function (done) {
+    client.registerAndOnline()
+      .then(() => {
+        bus.driverRegistered.should.be.true();
+        var thing = bus.thing('a1light', 'light');
+        should.exist(thing);
+        thing.online.should.be.true();
+        thing.deviceName.should.equal('light');
+        bus.things().should.eql([thing]);
+        return client.offline();
+      })
+      .then(() => {
+        bus.thing('a1light', 'light').online.should.be.false();
+        done();
+      })
+      .catch(done);
+  });
+  it('should reply to the driver asynchronously', function (done) {
+    var replied = false;
+    bus._createClient().requestName('iot.driver.test', 0x4, (err, retCode) => {
+      replied = true;
+      retCode.should.equal(1);
+      done();
+    });
+    replied.should.be.false();
+  });
+  it('should get and set properties and call services on the thing', function (done) {
+    var thing;
+    client.registerAndOnline()
+      .then(() => {
+        thing = bus.thing('a1light', 'light');
+        return thing.setProperties({ LightSwitch: 1 });
+      })
+      .then((result) => {
+        result.code.should.equal(0);
+        return thing.getProperties(['LightSwitch']);
+      })
+      .then((result) => {
+        result.params.should.eql({ LightSwitch: 1 });
+        return thing.callService('Echo', { value: 1 });
+      })
+      .then((result) => {
+        result.params.should.eql({ code: 0, message: 'success', data: { echo: { value: 1 } } });
+        done();
+      })
+      .catch(done);
+  });
+  it('should reply the error returned by the driver', function (done) {
+    client.handleService('Fail', function () {
+      return { code: ERROR_PROPERTY_NOT_EXIST, message: 'oops' };
+    });
+    client.registerAndOnline()
+      .then(() => {
+        return bus.thing('a1light', 'light').callService('Fail', {});
+      })
+      .then((result) => {
+        result.code.should.equal(ERROR_PROPERTY_NOT_EXIST);
+        result.message.should.equal('oops');
+        done();
+      })
+      .catch(done);
+  });
+  it('should fail to call the thing which is offline', function (done) {
+    client.registerAndOnline()
+      .then(() => {
+        return client.offline();
+      })
+      .then(() => {
+        return bus.thing('a1light', 'light').getProperties(['LightSwitch']);
+      })
+      .should.be.rejectedWith(/is not online/)
+      .then(function () { done(); }, done);
+  });
+  it('should record the reported properties and events', function (done) {
+    var emitted = [];
+    bus.on('properties', (thing, properties) => {
+      emitted.push(properties);
+    });
+    client.registerAndOnline()
+      .then(() => {
+        return Promise.all([
+          client.reportProperties({ LightSwitch: 1 }),
+          client.reportEvent('Error', { ErrorCode: 2 }),
+        ]);
+      })
+      .then(() => {
+        var thing = bus.thing('a1light', 'light');
+        thing.reportedProperties.should.eql([{ LightSwitch: 1 }]);
+        thing.reportedEvents.should.eql([{ name: 'Error', value: { ErrorCode: 2 } }]);
+        emitted.should.eql([{ LightSwitch: 1 }]);
+        thing.clearReports();
+        thing.reportedProperties.should.be.empty();
+        done();
+      })
+      .catch(done);
+  });
+  it('should return the injected TSL', function (done) {
+    client.setup()
+      .then(() => {
+        return client.getTslObject();
+      })
+      .then((tsl) => {
+        tsl.property('LightSwitch').dataType.type.should.equal('bool');
+        return client.getTslExtInfo();
+      })
+      .should.be.rejectedWith(/errno = 1/)
+      .then(function () { done(); }, done);
+  });
+  it('should notify the thing is connected to the cloud', function (done) {
+    client.on('cloudConnected', (params) => {
+      params.deviceName.should.equal('light');
+      done();
+    });
+    client.registerAndOnline()
+      .then(() => {
+        bus.thing('a1light', 'light').notifyCloudConnected();
+      })
+      .catch(done);
+  });
+  it('should return and notify the driver config', function (done) {
+    var manager = new DriverConfigManager(session);
+    bus.setDriverConfig({
+      deviceList: [{ productKey: 'a1light', deviceName: 'light' }],
+      config: { interval: 1 },
+    });
+    manager.getConfig()
+      .then((config) => {
+        new Config(config).getDriverInfo().should.eql({ interval: 1 });
+        return manager.listenChanges();
+      })
+      .then(() => {
+        manager.on('changes', (config) => {
+          JSON.parse(config).config.should.eql({ interval: 2 });
+          done();
+        });
+        bus.setDriverConfig({
+          deviceList: [{ productKey: 'a1light', deviceName: 'light' }],
+          config: { interval: 2 },
+        });
+      })
+      .catch(done);
+  });
+});
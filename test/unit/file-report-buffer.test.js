@@ -0,0 +1,122 @@
+/*
+ * Copyright (c) 2018 Alibaba Group Holding Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const should = require('should');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FileReportBuffer = require('../../lib/file-report-buffer');
+
+describe('FileReportBuffer', function () {
+  var dir;
+  var file;
+  var report = function (value, time) {
+    return { value, time: time || Date.now() };
+  };
+  var values = function (buffer) {
+    return buffer.clear().map(report => report.value);
+  };
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-buffer-'));
+    file = path.join(dir, 'light', 'reports.log');
+  });
+  afterEach(function () {
+    [file, `${file}.tmp`].forEach((f) => {
+      if (fs.existsSync(f)) {
+        fs.unlinkSync(f);
+      }
+    });
+    [path.dirname(file), dir].forEach((d) => {
+      if (fs.existsSync(d)) {
+        fs.rmdirSync(d);
+      }
+    });
+  });
+
+  describe('#constructor', function () {
+    it('should fail since the path is missing', function () {
+      (function () {
+        new FileReportBuffer({});
+      }).should.throw(/Illegal "path"/);
+    });
+    it('should fail since the compact threshold is illegal', function () {
+      (function () {
+        new FileReportBuffer({ path: file, compactThreshold: 0 });
+      }).should.throw(/Illegal "compactThreshold"/);
+    });
+    it('should create the directory and the file', function () {
+      var buffer = new FileReportBuffer({ path: file });
+      buffer.persistent.should.be.true();
+      buffer.size.should.equal(0);
+      fs.readFileSync(file, 'utf8').should.equal('');
+    });
+  });
+  describe('#push and #shift', function () {
+    it('should restore the remaining reports after restarting', function () {
+      var buffer = new FileReportBuffer({ path: file });
+      buffer.push(report(1));
+      buffer.push(report(2));
+      buffer.push(report(3));
+      buffer.shift().value.should.equal(1);
+      values(new FileReportBuffer({ path: file })).should.eql([2, 3]);
+    });
+    it('should restore the reports within the limits', function () {
+      var buffer = new FileReportBuffer({ path: file, capacity: 2 });
+      buffer.push(report(1, Date.now() - 10000));
+      buffer.push(report(2));
+      buffer.push(report(3));
+      values(new FileReportBuffer({ path: file, capacity: 2 })).should.eql([2, 3]);
+      buffer = new FileReportBuffer({ path: file });
+      buffer.push(report(1, Date.now() - 10000));
+      buffer.push(report(2));
+      values(new FileReportBuffer({ path: file, maxAge: 5000 })).should.eql([2]);
+    });
+    it('should ignore the truncated line', function () {
+      var buffer = new FileReportBuffer({ path: file });
+      buffer.push(report(1));
+      fs.appendFileSync(file, '{"r":{"val');
+      values(new FileReportBuffer({ path: file })).should.eql([1]);
+    });
+    it('should truncate the file once it is empty', function () {
+      var buffer = new FileReportBuffer({ path: file });
+      buffer.push(report(1));
+      buffer.stats().bytes.should.be.above(0);
+      buffer.shift();
+      buffer.stats().bytes.should.equal(0);
+      fs.readFileSync(file, 'utf8').should.equal('');
+    });
+    it('should compact the file beyond the threshold', function () {
+      var buffer = new FileReportBuffer({ path: file, compactThreshold: 2 });
+      [1, 2, 3, 4].forEach(value => buffer.push(report(value)));
+      buffer.shift();
+      fs.readFileSync(file, 'utf8').split('\n').should.have.length(6);
+      buffer.shift();
+      var lines = fs.readFileSync(file, 'utf8').split('\n');
+      lines.should.have.length(3);
+      buffer.stats().should.eql({
+        size: 2,
+        capacity: 100,
+        dropped: 0,
+        expired: 0,
+        bytes: Buffer.byteLength(lines.join('\n')),
+      });
+      values(new FileReportBuffer({ path: file })).should.eql([3, 4]);
+    });
+  });
+});
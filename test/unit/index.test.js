@@ -16,9 +16,13 @@
 
 'use strict';
 
+process.env.FUNCTION_ID = 'functionId';
+process.env.FUNCTION_NAME = 'functionName';
+
 const should = require('should');
 const sinon = require('sinon');
 
+const FakeEdgeBus = require('../../lib/fake-edge-bus');
 const {
   DriverConfigManager,
   session,
@@ -46,18 +50,28 @@ const configObject = {
 describe('index', function () {
   var listenChanges;
   var getConfig;
+  var configureEdgeBus;
+  var init;
   var destroy;
   before(function () {
     listenChanges = sinon.stub(DriverConfigManager.get(), 'listenChanges').resolves();
     getConfig = require('../../index').getConfig;
+    configureEdgeBus = require('../../index').configureEdgeBus;
+    init = require('../../index').init;
     destroy = require('../../index').destroy;
   });
   after(function () {
     listenChanges.restore();
     listenChanges = undefined;
     getConfig = undefined;
+    configureEdgeBus = undefined;
+    init = undefined;
     destroy = undefined;
   });
+  it('should not initialize on requiring', function () {
+    listenChanges.called.should.be.false();
+    should(session.edgeBus).be.undefined();
+  });
   describe('#getConfig', function () {
     it('should fail since driver config is not string', function (done) {
       var stub = sinon.stub(DriverConfigManager.get(), 'getConfig')
@@ -79,6 +93,92 @@ describe('index', function () {
     });
   });
 
+  describe('#configureEdgeBus', function () {
+    afterEach(function () {
+      session._reset();
+    });
+    it('should fail since the bus address is illegal', function () {
+      (function () {
+        configureEdgeBus({ busAddress: 'tcp:host=127.0.0.1' });
+      }).should.throw();
+    });
+    it('should pass since all requirements meet', function () {
+      (function () {
+        configureEdgeBus({ busAddress: 'unix:path=/var/run/mbusd/mbusd_socket' });
+      }).should.not.throw();
+    });
+    it('should limit the rate of all things', function () {
+      var getRateLimitStats = require('../../index').getRateLimitStats;
+      should(getRateLimitStats()).be.undefined();
+      configureEdgeBus({ rateLimit: { rate: 10 } });
+      getRateLimitStats().should.eql({
+        passed: 0, throttled: 0, queued: 0, dropped: 0, rejected: 0,
+      });
+    });
+  });
+
+  describe('#init', function () {
+    var bus;
+    beforeEach(function () {
+      bus = new FakeEdgeBus().install();
+      listenChanges.resetHistory();
+    });
+    afterEach(function (done) {
+      var unlistenChanges = sinon.stub(DriverConfigManager.get(), 'unlistenChanges').resolves();
+      // It fails if the driver is not registered, which doesn't matter here.
+      destroy()
+        .catch(() => {})
+        .finally(() => {
+          unlistenChanges.restore();
+          bus.uninstall();
+        })
+        .then(() => done(), done);
+    });
+    it('should fail since the function id is illegal', function (done) {
+      init({ functionId: '' })
+        .should.be.rejectedWith(/Illegal "functionId"/)
+        .then(() => done(), done);
+    });
+    it('should fail since the function id is missing', function (done) {
+      var functionId = process.env.FUNCTION_ID;
+      delete process.env.FUNCTION_ID;
+      init()
+        .should.be.rejectedWith(/Can't get FUNCTION_ID/)
+        .finally(() => {
+          process.env.FUNCTION_ID = functionId;
+        })
+        .then(() => {
+          bus.driverRegistered.should.be.false();
+          done();
+        }, done);
+    });
+    it('should register the driver with the identifiers', function (done) {
+      var registered;
+      bus.on('driverRegistered', (params) => {
+        registered = params;
+      });
+      var promise = init({ functionId: 'initId', functionName: 'initName' });
+      init().should.equal(promise);
+      promise
+        .then(() => {
+          registered.driverLocalId.should.equal('initName');
+          session.serviceName.should.equal('iot.driver.idinitId');
+          listenChanges.calledOnce.should.be.true();
+          done();
+        })
+        .catch(done);
+    });
+    it('should not listen the changes if it is disabled', function (done) {
+      init({ listenChanges: false })
+        .then(() => {
+          bus.driverRegistered.should.be.true();
+          listenChanges.called.should.be.false();
+          done();
+        })
+        .catch(done);
+    });
+  });
+
   describe('#destroy', function () {
     it('should fail since can not unlisten changes', function (done) {
       var stub = sinon.stub(DriverConfigManager.get(), 'unlistenChanges')
@@ -0,0 +1,170 @@
+/*
+ * Copyright (c) 2018 Alibaba Group Holding Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const should = require('should');
+const sinon = require('sinon');
+
+const logger = require('../../lib/logger');
+
+describe('logger', function () {
+  afterEach(function () {
+    logger.reset();
+  });
+  describe('#configure', function () {
+    it('should fail since the level is illegal', function () {
+      (function () {
+        logger.configure({ level: 'verbose' });
+      }).should.throw(/Illegal log level "verbose"/);
+    });
+    it('should fail since the format is illegal', function () {
+      (function () {
+        logger.configure({ format: 'xml' });
+      }).should.throw(/Illegal log format "xml"/);
+    });
+    it('should fail since the redact patterns are illegal', function () {
+      (function () {
+        logger.configure({ redact: 'secret' });
+      }).should.throw(/Illegal redact patterns/);
+    });
+    it('should fail since the max payload length is illegal', function () {
+      (function () {
+        logger.configure({ maxPayloadLength: 0 });
+      }).should.throw(/Illegal max payload length/);
+    });
+    it('should fail since the sink is illegal', function () {
+      (function () {
+        logger.configure({ sink: {} });
+      }).should.throw(/Illegal log sink/);
+    });
+  });
+  describe('#log', function () {
+    it('should skip logs below the level', function () {
+      var sink = sinon.spy();
+      logger.configure({ level: 'warn', sink });
+      logger.info('info');
+      logger.warn('warn');
+      sink.calledOnce.should.be.true();
+      sink.firstCall.args[0].level.should.equal('warn');
+      logger.configure({ level: 'silent' });
+      logger.error('error');
+      sink.calledOnce.should.be.true();
+    });
+    it('should write records with contextual fields to function sinks', function () {
+      var sink = sinon.spy();
+      var thingId;
+      logger.configure({ sink });
+      var child = logger.child({ productKey: 'pk' }).child(() => ({ thingId }));
+      thingId = 'id1';
+      child.info('hello', { key: 'value' });
+      sink.firstCall.args[0].should.containEql({
+        level: 'info',
+        msg: 'hello',
+        productKey: 'pk',
+        thingId: 'id1',
+        key: 'value',
+      });
+    });
+    it('should call the level methods of logger sinks', function () {
+      var sink = {
+        debug: sinon.spy(),
+        info: sinon.spy(),
+        warn: sinon.spy(),
+        error: sinon.spy(),
+      };
+      logger.configure({ level: 'debug', sink });
+      logger.child({ deviceName: 'dn' }).debug('hello');
+      sink.debug.calledWith({ deviceName: 'dn' }, 'hello').should.be.true();
+    });
+    it('should adapt winston-shaped loggers by function sinks', function () {
+      // Winston takes the message first, e.g. log(level, message, meta).
+      var winston = { log: sinon.spy() };
+      logger.configure({
+        sink: record => winston.log(record.level, record.msg, record),
+      });
+      logger.child({ deviceName: 'dn' }).warn('hello');
+      winston.log.calledOnce.should.be.true();
+      winston.log.firstCall.args[0].should.equal('warn');
+      winston.log.firstCall.args[1].should.equal('hello');
+      winston.log.firstCall.args[2].should.containEql({ deviceName: 'dn' });
+    });
+    it('should write JSON to the console', function () {
+      var stub = sinon.stub(console, 'info');
+      try {
+        logger.configure({ format: 'json' });
+        logger.child({ productKey: 'pk' }).info('hello');
+      } finally {
+        stub.restore();
+      }
+      JSON.parse(stub.firstCall.args[0]).should.containEql({
+        level: 'info',
+        productKey: 'pk',
+        msg: 'hello',
+      });
+    });
+    it('should write text with contextual fields to the console', function () {
+      var stub = sinon.stub(console, 'warn');
+      try {
+        logger.child({ productKey: 'pk', thingId: undefined }).warn(new Error('oops'));
+      } finally {
+        stub.restore();
+      }
+      stub.firstCall.args[0].should.startWith('[productKey=pk] oops\nError: oops');
+    });
+    it('should not throw since the sink throws', function () {
+      logger.configure({
+        sink: function () {
+          throw new Error('sink error');
+        },
+      });
+      (function () {
+        logger.info('hello');
+      }).should.not.throw();
+    });
+  });
+  describe('#formatPayload', function () {
+    it('should redact secrets in JSON strings and objects', function () {
+      var config = JSON.stringify({
+        deviceList: [{ productKey: 'pk', deviceSecret: 'ds', custom: { Password: 'p' } }],
+        accessToken: 't',
+      });
+      JSON.parse(logger.formatPayload(config)).should.eql({
+        deviceList: [{ productKey: 'pk', deviceSecret: '[REDACTED]', custom: { Password: '[REDACTED]' } }],
+        accessToken: '[REDACTED]',
+      });
+      logger.formatPayload({ apiKey: 'k' }).should.equal('{"apiKey":"k"}');
+    });
+    it('should redact the keys matching the configured patterns', function () {
+      logger.configure({ redact: [/^apiKey$/] });
+      logger.formatPayload({ apiKey: 'k', token: 't' })
+        .should.equal('{"apiKey":"[REDACTED]","token":"t"}');
+    });
+    it('should truncate long payloads', function () {
+      logger.configure({ maxPayloadLength: 4 });
+      logger.formatPayload('not json').should.equal('not ...(4 more characters)');
+      logger.formatPayload([1, 2, 3]).should.equal('[1,2...(3 more characters)');
+      logger.configure({ maxPayloadLength: Infinity });
+      logger.formatPayload('not json').should.equal('not json');
+    });
+    it('should redact secrets in fields', function () {
+      var sink = sinon.spy();
+      logger.configure({ sink });
+      logger.info('hello', { config: { deviceSecret: 'ds' } });
+      sink.firstCall.args[0].config.should.eql({ deviceSecret: '[REDACTED]' });
+    });
+  });
+});
@@ -0,0 +1,140 @@
+/*
+ * Copyright (c) 2018 Alibaba Group Holding Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+
+process.env.FUNCTION_ID = 'functionId';
+process.env.FUNCTION_NAME = 'functionName';
+
+const should = require('should');
+const os = require('os');
+const path = require('path');
+
+const MockEdgeDaemon = require('../../lib/mock-edge-daemon');
+const {
+  ThingAccessClient,
+  DriverConfigManager,
+  session,
+} = require('../../lib/thing-access');
+
+describe('MockEdgeDaemon', function () {
+  var address = `unix:path=${path.join(os.tmpdir(), `mock-edge-daemon-${process.pid}`)}`;
+  var daemon;
+  var client;
+  var callbacks = {
+    getProperties: function (keys) {
+      return { code: 0, message: 'success', params: { LightSwitch: 1 } };
+    },
+    setProperties: function (properties) {
+      return { code: 0, message: 'success' };
+    },
+    callService: function (name, args) {
+      return { code: 0, message: 'success', params: { echo: args } };
+    },
+  };
+
+  beforeEach(function (done) {
+    daemon = new MockEdgeDaemon();
+    daemon.setTsl('a1light', { profile: { productKey: 'a1light' } });
+    session.configure({ busAddress: address, reconnect: false });
+    client = new ThingAccessClient({ productKey: 'a1light', localName: 'light' }, callbacks);
+    daemon.listen(address).then(done, done);
+  });
+  afterEach(function (done) {
+    session._reset();
+    daemon.close().then(done, done);
+  });
+
+  it('should fail to listen twice', function (done) {
+    daemon.listen(address)
+      .should.be.rejectedWith(/already listening/)
+      .then(function () { done(); }, done);
+  });
+  it('should register the driver and connect the thing over D-Bus', function (done) {
+    var connected = [];
+    daemon.on('thingConnected', (thing) => {
+      connected.push(`${thing}`);
+    });
+    client.registerAndOnline()
+      .then(() => {
+        daemon.driverRegistered.should.be.true();
+        connected.should.eql(['a1light-light']);
+        var thing = daemon.thing('a1light', 'light');
+        thing.online.should.be.true();
+        return client.getTslObject();
+      })
+      .then((tsl) => {
+        tsl.productKey.should.equal('a1light');
+        return client.offline();
+      })
+      .then(() => {
+        daemon.thing('a1light', 'light').online.should.be.false();
+        done();
+      })
+      .catch(done);
+  });
+  it('should call the thing and receive the reports over D-Bus', function (done) {
+    var thing;
+    client.registerAndOnline()
+      .then(() => {
+        thing = daemon.thing('a1light', 'light');
+        return thing.getProperties(['LightSwitch']);
+      })
+      .then((result) => {
+        result.params.should.eql({ LightSwitch: 1 });
+        return thing.callService('Echo', { value: 1 });
+      })
+      .then((result) => {
+        result.params.data.should.eql({ echo: { value: 1 } });
+        daemon.once('properties', (reported, properties) => {
+          reported.should.equal(thing);
+          properties.should.eql({ LightSwitch: 0 });
+          done();
+        });
+        return client.reportProperties({ LightSwitch: 0 });
+      })
+      .catch(done);
+  });
+  it('should serve and notify the driver config over D-Bus', function (done) {
+    var manager = new DriverConfigManager(session);
+    daemon.setDriverConfig({ deviceList: [], config: { interval: 1 } });
+    manager.getConfig()
+      .then((config) => {
+        JSON.parse(config).config.should.eql({ interval: 1 });
+        return manager.listenChanges();
+      })
+      .then(() => {
+        manager.on('changes', (config) => {
+          JSON.parse(config).config.should.eql({ interval: 2 });
+          done();
+        });
+        daemon.setDriverConfig({ deviceList: [], config: { interval: 2 } });
+      })
+      .catch(done);
+  });
+  it('should take the things offline when the driver is gone', function (done) {
+    client.registerAndOnline()
+      .then(() => {
+        daemon.once('thingDisconnected', (thing) => {
+          thing.online.should.be.false();
+          done();
+        });
+        session._reset();
+      })
+      .catch(done);
+  });
+});
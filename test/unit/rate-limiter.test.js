@@ -0,0 +1,185 @@
+/*
+ * Copyright (c) 2018 Alibaba Group Holding Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const should = require('should');
+
+const RateLimiter = require('../../lib/rate-limiter');
+
+function task(value) {
+  return function () {
+    return value;
+  };
+}
+
+describe('RateLimiter', function () {
+  describe('#constructor', function () {
+    it('should fail since illegal rate', function () {
+      (function () {
+        new RateLimiter();
+      }).should.throw(/Illegal "rate"/);
+      (function () {
+        new RateLimiter({ rate: 0 });
+      }).should.throw(/Illegal "rate"/);
+    });
+    it('should fail since illegal burst', function () {
+      (function () {
+        new RateLimiter({ rate: 10, burst: 0.5 });
+      }).should.throw(/Illegal "burst"/);
+    });
+    it('should fail since illegal overflow policy', function () {
+      (function () {
+        new RateLimiter({ rate: 10, overflow: 'dropNewest' });
+      }).should.throw(/Illegal "overflow"/);
+    });
+    it('should fail since illegal queue size', function () {
+      (function () {
+        new RateLimiter({ rate: 10, queueSize: 0 });
+      }).should.throw(/Illegal "queueSize"/);
+    });
+    it('should pass since all requirements meet', function () {
+      var limiter = new RateLimiter({ rate: 10.5 });
+      limiter.burst.should.equal(10);
+      limiter.overflow.should.equal(RateLimiter.OVERFLOW_QUEUE);
+      limiter.queueSize.should.equal(100);
+      new RateLimiter({ rate: 0.5 }).burst.should.equal(1);
+    });
+  });
+  describe('#schedule', function () {
+    it('should run the tasks within the burst right now', function (done) {
+      var limiter = new RateLimiter({ rate: 1, burst: 2 });
+      var runs = 0;
+      var count = function () {
+        runs++;
+        return runs;
+      };
+      var promises = [limiter.schedule(count), limiter.schedule(count)];
+      runs.should.equal(2);
+      Promise.all(promises)
+        .then((results) => {
+          results.should.eql([1, 2]);
+          limiter.stats().should.eql({
+            passed: 2, throttled: 0, queued: 0, dropped: 0, rejected: 0,
+          });
+          done();
+        })
+        .catch(done);
+    });
+    it('should queue the tasks beyond the rate in order', function (done) {
+      var limiter = new RateLimiter({ rate: 100, burst: 1 });
+      var start = Date.now();
+      Promise.all([1, 2, 3].map(value => limiter.schedule(task(value))))
+        .then((results) => {
+          results.should.eql([1, 2, 3]);
+          (Date.now() - start).should.be.aboveOrEqual(15);
+          limiter.stats().should.eql({
+            passed: 3, throttled: 2, queued: 0, dropped: 0, rejected: 0,
+          });
+          done();
+        })
+        .catch(done);
+    });
+    it('should reject the tasks once the queue is full', function (done) {
+      var limiter = new RateLimiter({ rate: 100, burst: 1, queueSize: 1 });
+      limiter.schedule(task(1));
+      var queued = limiter.schedule(task(2));
+      limiter.schedule(task(3))
+        .should.be.rejectedWith({ code: RateLimiter.ERROR_RATE_LIMITED })
+        .then(() => {
+          return queued;
+        })
+        .then((result) => {
+          result.should.equal(2);
+          limiter.stats().rejected.should.equal(1);
+          done();
+        })
+        .catch(done);
+    });
+    it('should drop the oldest queued task once the queue is full', function (done) {
+      var limiter = new RateLimiter({
+        rate: 100,
+        burst: 1,
+        overflow: 'dropOldest',
+        queueSize: 1,
+      });
+      limiter.schedule(task(1));
+      Promise.all([limiter.schedule(task(2)), limiter.schedule(task(3))])
+        .then((results) => {
+          results.should.eql([false, 3]);
+          limiter.stats().dropped.should.equal(1);
+          done();
+        })
+        .catch(done);
+    });
+    it('should reject the tasks beyond the rate', function (done) {
+      var limiter = new RateLimiter({ rate: 100, burst: 1, overflow: 'reject' });
+      limiter.schedule(task(1));
+      limiter.schedule(task(2))
+        .should.be.rejectedWith({
+          code: RateLimiter.ERROR_RATE_LIMITED,
+          message: 'Rate limit of 100/s is exceeded.',
+        })
+        .then(() => {
+          limiter.stats().should.eql({
+            passed: 1, throttled: 1, queued: 0, dropped: 0, rejected: 1,
+          });
+          done();
+        })
+        .catch(done);
+    });
+    it('should queue the tasks to wait regardless of the overflow policy', function (done) {
+      var limiter = new RateLimiter({ rate: 100, burst: 1, overflow: 'reject' });
+      limiter.schedule(task(1));
+      limiter.schedule(task(2), true)
+        .then((result) => {
+          result.should.equal(2);
+          done();
+        })
+        .catch(done);
+    });
+    it('should reject with the error of the task', function (done) {
+      var limiter = new RateLimiter({ rate: 100 });
+      limiter.schedule(function () {
+        throw new Error('Bus is lost');
+      })
+        .should.be.rejectedWith('Bus is lost')
+        .then(function () { done(); }, done);
+    });
+  });
+  describe('#clear', function () {
+    it('should drop all queued tasks', function (done) {
+      var limiter = new RateLimiter({ rate: 1, burst: 1 });
+      var runs = 0;
+      limiter.schedule(function () {
+        runs++;
+      });
+      var queued = limiter.schedule(function () {
+        runs++;
+      });
+      limiter.clear();
+      queued
+        .then((result) => {
+          result.should.be.false();
+          runs.should.equal(1);
+          should(limiter._timer).be.undefined();
+          limiter.stats().should.containEql({ queued: 0, dropped: 1 });
+          done();
+        })
+        .catch(done);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+/*
+ * Copyright (c) 2018 Alibaba Group Holding Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const should = require('should');
+
+const ReportBuffer = require('../../lib/report-buffer');
+
+describe('ReportBuffer', function () {
+  describe('#constructor', function () {
+    it('should fail since illegal capacity', function () {
+      (function () {
+        new ReportBuffer({ capacity: 1.5 });
+      }).should.throw(/Illegal "capacity"/);
+    });
+    it('should fail since illegal max age', function () {
+      (function () {
+        new ReportBuffer({ maxAge: 0 });
+      }).should.throw(/Illegal "maxAge"/);
+    });
+    it('should fail since illegal drop policy', function () {
+      (function () {
+        new ReportBuffer({ dropPolicy: 'dropRandom' });
+      }).should.throw(/Illegal "dropPolicy"/);
+    });
+    it('should pass since all requirements meet', function () {
+      var buffer = new ReportBuffer();
+      buffer.capacity.should.equal(100);
+      buffer.dropPolicy.should.equal(ReportBuffer.DROP_OLDEST);
+      buffer.size.should.equal(0);
+    });
+  });
+  describe('#push', function () {
+    it('should keep the reports in order', function () {
+      var buffer = new ReportBuffer();
+      should(buffer.push(1)).be.undefined();
+      should(buffer.push(2)).be.undefined();
+      buffer.peek().should.equal(1);
+      buffer.shift().should.equal(1);
+      buffer.shift().should.equal(2);
+      should(buffer.shift()).be.undefined();
+    });
+    it('should drop the oldest report once it is full', function () {
+      var buffer = new ReportBuffer({ capacity: 2 });
+      buffer.push(1);
+      buffer.push(2);
+      buffer.push(3).should.equal(1);
+      buffer.clear().should.eql([2, 3]);
+      buffer.size.should.equal(0);
+    });
+    it('should drop the reports older than the max age', function () {
+      var buffer = new ReportBuffer({ maxAge: 1000 });
+      buffer.push({ value: 1, time: Date.now() - 2000 });
+      buffer.push({ value: 2, time: Date.now() });
+      buffer.peek().value.should.equal(2);
+      buffer.stats().should.eql({ size: 1, capacity: 100, dropped: 0, expired: 1 });
+    });
+    it('should drop the newest report once it is full', function () {
+      var buffer = new ReportBuffer({ capacity: 2, dropPolicy: ReportBuffer.DROP_NEWEST });
+      buffer.push(1);
+      buffer.push(2);
+      buffer.push(3).should.equal(3);
+      buffer.clear().should.eql([1, 2]);
+    });
+  });
+});
@@ -0,0 +1,124 @@
+/*
+ * Copyright (c) 2018 Alibaba Group Holding Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const should = require('should');
+
+const ReportCoalescer = require('../../lib/report-coalescer');
+
+describe('ReportCoalescer', function () {
+  var sent;
+  var send = function (report) {
+    sent.push(report);
+    return true;
+  };
+  beforeEach(function () {
+    sent = [];
+  });
+
+  describe('#constructor', function () {
+    it('should fail since illegal window', function () {
+      (function () {
+        new ReportCoalescer({}, send);
+      }).should.throw(/Illegal "window"/);
+      (function () {
+        new ReportCoalescer({ window: 0 }, send);
+      }).should.throw(/Illegal "window"/);
+    });
+    it('should fail since illegal mode', function () {
+      (function () {
+        new ReportCoalescer({ window: 10, mode: 'first' }, send);
+      }).should.throw(/Illegal "mode"/);
+    });
+    it('should pass since all requirements meet', function () {
+      var coalescer = new ReportCoalescer({ window: 10 }, send);
+      coalescer.mode.should.equal(ReportCoalescer.MODE_LATEST);
+      coalescer.size.should.equal(0);
+    });
+  });
+  describe('#add', function () {
+    it('should merge the latest values within the window', function (done) {
+      var coalescer = new ReportCoalescer({ window: 20 }, send);
+      Promise.all([
+        coalescer.add({ value: { a: 1, b: 1 }, time: 1000 }),
+        coalescer.add({ value: { a: 2 }, time: 2000, times: { a: 1500 } }),
+        coalescer.add({ value: { c: 3 }, time: 3000 }),
+      ])
+        .then((results) => {
+          results.should.eql([true, true, true]);
+          sent.should.eql([{
+            value: { a: 2, b: 1, c: 3 },
+            time: 3000,
+            times: { a: 1500, b: 1000, c: 3000 },
+          }]);
+          coalescer.size.should.equal(0);
+          return coalescer.add({ value: { a: 4 }, time: 4000 });
+        })
+        .then(() => {
+          sent.length.should.equal(2);
+          sent[1].value.should.eql({ a: 4 });
+          done();
+        })
+        .catch(done);
+    });
+    it('should keep all values within the window', function (done) {
+      var coalescer = new ReportCoalescer({ window: 20, mode: 'all' }, send);
+      Promise.all([
+        coalescer.add({ value: { a: 1 }, time: 1000 }),
+        coalescer.add({ value: { b: 1 }, time: 2000 }),
+        coalescer.add({ value: { a: 2, c: 2 }, time: 3000 }),
+      ])
+        .then(() => {
+          sent.should.eql([{
+            value: { a: 1, b: 1 },
+            time: 2000,
+            times: { a: 1000, b: 2000 },
+          }, {
+            value: { a: 2, c: 2 },
+            time: 3000,
+            times: { a: 3000, c: 3000 },
+          }]);
+          done();
+        })
+        .catch(done);
+    });
+    it('should reject with the error of sending', function (done) {
+      var coalescer = new ReportCoalescer({ window: 20 }, function () {
+        throw new Error('Bus is lost');
+      });
+      coalescer.add({ value: { a: 1 }, time: 1000 })
+        .should.be.rejectedWith('Bus is lost')
+        .then(function () { done(); }, done);
+    });
+  });
+  describe('#flush', function () {
+    it('should send the pending reports immediately', function (done) {
+      var coalescer = new ReportCoalescer({ window: 60000 }, send);
+      var promise = coalescer.add({ value: { a: 1 }, time: 1000 });
+      coalescer.size.should.equal(1);
+      coalescer.flush();
+      sent.length.should.equal(1);
+      should(coalescer._timer).be.undefined();
+      promise
+        .then((result) => {
+          result.should.be.true();
+          done();
+        })
+        .catch(done);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+/*
+ * Copyright (c) 2018 Alibaba Group Holding Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const should = require('should');
+
+const ReportFilter = require('../../lib/report-filter');
+
+// Reports the properties through the filter, and returns the reported ones.
+function report(filter, value, time, times) {
+  var filtered = filter.filter({ value, time, times });
+  if (filtered) {
+    filter.update(filtered);
+    return filtered.value;
+  }
+  return undefined;
+}
+
+describe('ReportFilter', function () {
+  describe('#constructor', function () {
+    it('should fail since the policies are not an object', function () {
+      (function () {
+        new ReportFilter([]);
+      }).should.throw(/Illegal report policies/);
+      (function () {
+        new ReportFilter({ temperature: true });
+      }).should.throw(/Illegal report policy of "temperature"/);
+    });
+    it('should fail since the policy is illegal', function () {
+      (function () {
+        new ReportFilter({ temperature: { onChange: 1 } });
+      }).should.throw(/Illegal "onChange" of "temperature"/);
+      (function () {
+        new ReportFilter({ temperature: { deadband: -1 } });
+      }).should.throw(/Illegal "deadband" of "temperature"/);
+      (function () {
+        new ReportFilter({ '*': { deadbandPercent: '5' } });
+      }).should.throw(/Illegal "deadbandPercent" of "\*"/);
+      (function () {
+        new ReportFilter({ temperature: { minInterval: Infinity } });
+      }).should.throw(/Illegal "minInterval" of "temperature"/);
+      (function () {
+        new ReportFilter({ temperature: { maxSilence: 0 } });
+      }).should.throw(/Illegal "maxSilence" of "temperature"/);
+    });
+  });
+  describe('#fromTslExtInfo', function () {
+    it('should get the policies of properties', function () {
+      var filter = ReportFilter.fromTslExtInfo(JSON.stringify({
+        reportPolicy: { onChange: true },
+        properties: [{
+          identifier: 'temperature',
+          reportPolicy: { deadband: 0.5 },
+        }, {
+          identifier: 'humidity',
+        }],
+      }));
+      filter.policies.should.eql({
+        '*': { onChange: true },
+        temperature: { deadband: 0.5 },
+      });
+    });
+    it('should fail since the policy is illegal', function () {
+      (function () {
+        ReportFilter.fromTslExtInfo({
+          properties: [{ identifier: 'temperature', reportPolicy: { deadband: 'x' } }],
+        });
+      }).should.throw(/Illegal "deadband" of "temperature"/);
+    });
+  });
+  describe('#filter', function () {
+    it('should report the properties without policies', function () {
+      var filter = new ReportFilter({ temperature: { onChange: true } });
+      report(filter, { humidity: 50 }, 1000).should.eql({ humidity: 50 });
+      report(filter, { humidity: 50 }, 2000).should.eql({ humidity: 50 });
+    });
+    it('should report only on change', function () {
+      var filter = new ReportFilter({ '*': { onChange: true } });
+      report(filter, { state: { on: 1 }, name: 'a' }, 1000)
+        .should.eql({ state: { on: 1 }, name: 'a' });
+      should(report(filter, { state: { on: 1 }, name: 'a' }, 2000)).be.undefined();
+      report(filter, { state: { on: 0 }, name: 'a' }, 3000).should.eql({ state: { on: 0 } });
+    });
+    it('should report numbers beyond the absolute deadband', function () {
+      var filter = new ReportFilter({ temperature: { deadband: 0.5 } });
+      report(filter, { temperature: 20 }, 1000).should.eql({ temperature: 20 });
+      should(report(filter, { temperature: 20.5 }, 2000)).be.undefined();
+      should(report(filter, { temperature: 19.6 }, 3000)).be.undefined();
+      report(filter, { temperature: 20.6 }, 4000).should.eql({ temperature: 20.6 });
+      report(filter, { temperature: 'error' }, 5000).should.eql({ temperature: 'error' });
+      should(report(filter, { temperature: 'error' }, 6000)).be.undefined();
+    });
+    it('should report numbers beyond the percent deadband', function () {
+      var filter = new ReportFilter({ illuminance: { deadbandPercent: 10 } });
+      report(filter, { illuminance: 200 }, 1000).should.eql({ illuminance: 200 });
+      should(report(filter, { illuminance: 180 }, 2000)).be.undefined();
+      report(filter, { illuminance: 221 }, 3000).should.eql({ illuminance: 221 });
+    });
+    it('should not report within the min interval', function () {
+      var filter = new ReportFilter({ '*': { minInterval: 1000 } });
+      report(filter, { temperature: 20 }, 1000).should.eql({ temperature: 20 });
+      should(report(filter, { temperature: 21 }, 1999)).be.undefined();
+      report(filter, { temperature: 21 }, 2000).should.eql({ temperature: 21 });
+    });
+    it('should report unchanged values beyond the max silence', function () {
+      var filter = new ReportFilter({ '*': { onChange: true, maxSilence: 5000 } });
+      report(filter, { temperature: 20 }, 1000).should.eql({ temperature: 20 });
+      should(report(filter, { temperature: 20 }, 5999)).be.undefined();
+      report(filter, { temperature: 20 }, 6000).should.eql({ temperature: 20 });
+      should(report(filter, { temperature: 20 }, 7000)).be.undefined();
+    });
+    it('should measure intervals by the times of properties', function () {
+      var filter = new ReportFilter({ '*': { minInterval: 1000 } });
+      report(filter, { temperature: 20 }, 5000, { temperature: 1000 })
+        .should.eql({ temperature: 20 });
+      var filtered = filter.filter({
+        value: { temperature: 21, humidity: 50 },
+        time: 5000,
+        times: { temperature: 2000, humidity: 2000 },
+      });
+      filtered.should.eql({
+        value: { temperature: 21, humidity: 50 },
+        time: 5000,
+        times: { temperature: 2000, humidity: 2000 },
+      });
+    });
+    it('should not change the state until updated', function () {
+      var filter = new ReportFilter({ '*': { onChange: true } });
+      filter.filter({ value: { temperature: 20 }, time: 1000 }).should.be.ok();
+      filter.filter({ value: { temperature: 20 }, time: 2000 }).should.be.ok();
+    });
+  });
+  describe('#reset', function () {
+    it('should forget the last reported properties', function () {
+      var filter = new ReportFilter({ '*': { onChange: true } });
+      report(filter, { temperature: 20 }, 1000);
+      filter.reset();
+      report(filter, { temperature: 20 }, 2000).should.eql({ temperature: 20 });
+    });
+  });
+});
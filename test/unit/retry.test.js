@@ -0,0 +1,110 @@
+/*
+ * Copyright (c) 2018 Alibaba Group Holding Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const should = require('should');
+const sinon = require('sinon');
+const EventEmitter = require('events');
+
+const retry = require('../../lib/retry');
+
+// A minimal AbortSignal for Node.js versions without AbortController.
+function createSignal() {
+  var emitter = new EventEmitter();
+  var signal = {
+    aborted: false,
+    addEventListener: emitter.on.bind(emitter),
+    removeEventListener: emitter.removeListener.bind(emitter),
+  };
+  return {
+    signal,
+    abort: function () {
+      signal.aborted = true;
+      emitter.emit('abort');
+    },
+  };
+}
+
+describe('retry', function () {
+  it('should fail since illegal max attempts', function () {
+    return retry(() => Promise.resolve(), { maxAttempts: 0 })
+      .should.be.rejectedWith(/maxAttempts/);
+  });
+  it('should fail since illegal signal', function () {
+    return retry(() => Promise.resolve(), { signal: {} })
+      .should.be.rejectedWith(/signal/);
+  });
+  it('should resolve without retrying since the first attempt succeeds', function () {
+    var onRetry = sinon.spy();
+    return retry(() => Promise.resolve('done'), {}, onRetry)
+      .then(function (result) {
+        result.should.equal('done');
+        onRetry.called.should.be.false();
+      });
+  });
+  it('should retry until the operation succeeds', function () {
+    var operation = sinon.stub();
+    operation.onCall(0).rejects(new Error('first'));
+    operation.onCall(1).throws(new Error('second'));
+    operation.onCall(2).resolves('done');
+    var onRetry = sinon.spy();
+    return retry(operation, { initialInterval: 1, maxInterval: 2 }, onRetry)
+      .then(function (result) {
+        result.should.equal('done');
+        operation.calledThrice.should.be.true();
+        onRetry.calledTwice.should.be.true();
+        onRetry.firstCall.args[0].should.equal(1);
+        onRetry.firstCall.args[1].should.equal(1);
+        onRetry.firstCall.args[2].message.should.equal('first');
+        onRetry.secondCall.args[0].should.equal(2);
+        onRetry.secondCall.args[1].should.equal(2);
+        onRetry.secondCall.args[2].message.should.equal('second');
+      });
+  });
+  it('should reject with the last error since attempts are exhausted', function () {
+    var operation = sinon.stub().rejects(new Error('always'));
+    return retry(operation, { initialInterval: 0, maxAttempts: 3 })
+      .should.be.rejectedWith('always')
+      .then(function () {
+        operation.calledThrice.should.be.true();
+      });
+  });
+  it('should reject since it is aborted before starting', function () {
+    var controller = createSignal();
+    var operation = sinon.stub().resolves();
+    controller.abort();
+    return retry(operation, { signal: controller.signal })
+      .should.be.rejectedWith({ name: 'AbortError' })
+      .then(function () {
+        operation.called.should.be.false();
+      });
+  });
+  it('should stop retrying since it is aborted', function () {
+    var controller = createSignal();
+    var operation = sinon.stub().rejects(new Error('always'));
+    var promise = retry(operation, {
+      initialInterval: 10000,
+      signal: controller.signal,
+    }, function () {
+      controller.abort();
+    });
+    return promise.should.be.rejectedWith({ name: 'AbortError' })
+      .then(function () {
+        operation.calledOnce.should.be.true();
+      });
+  });
+});
@@ -0,0 +1,166 @@
+/*
+ * Copyright (c) 2018 Alibaba Group Holding Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+process.env.FUNCTION_ID = 'functionId';
+process.env.FUNCTION_NAME = 'functionName';
+
+const should = require('should');
+const sinon = require('sinon');
+
+const shutdown = require('../../lib/shutdown');
+const FakeEdgeBus = require('../../lib/fake-edge-bus');
+const {
+  session,
+  ThingAccessClient,
+  DriverConfigManager,
+  STATE_OFFLINE,
+} = require('../../lib/thing-access');
+
+describe('shutdown', function () {
+  var bus;
+  var exit;
+  var exited;
+  beforeEach(function () {
+    bus = new FakeEdgeBus().install();
+    bus.setDriverConfig({ deviceList: [{ productKey: 'a1light', deviceName: 'light' }] });
+    exited = new Promise((resolve) => {
+      exit = sinon.stub(process, 'exit').callsFake(resolve);
+    });
+  });
+  afterEach(function () {
+    shutdown.disable();
+    exit.restore();
+    bus.uninstall();
+  });
+
+  describe('#enable', function () {
+    it('should fail since the signals are illegal', function () {
+      (function () {
+        shutdown.enable({ signals: ['SIGNOPE'] });
+      }).should.throw(/Illegal "signals"/);
+    });
+    it('should fail since the timeout is illegal', function () {
+      (function () {
+        shutdown.enable({ timeout: 0 });
+      }).should.throw(/Illegal "timeout"/);
+    });
+    it('should fail since onShutdown is not a function', function () {
+      (function () {
+        shutdown.enable({ onShutdown: 'destroy' });
+      }).should.throw(/Illegal "onShutdown"/);
+    });
+    it('should take things offline and finalize the session on signals', function (done) {
+      var client = new ThingAccessClient({ productKey: 'a1light', deviceName: 'light' }, {
+        getProperties: () => ({ code: 0, message: 'success', params: {} }),
+      });
+      var unlisten = sinon.spy(DriverConfigManager.get(), 'unlistenChanges');
+      var reasons = [];
+      shutdown.enable({ onShutdown: reason => reasons.push(reason) });
+      client.registerAndOnline()
+        .then(() => {
+          process.emit('SIGTERM');
+          return exited;
+        })
+        .then((code) => {
+          code.should.equal(143);
+          reasons.should.eql(['SIGTERM']);
+          client.state.should.equal(STATE_OFFLINE);
+          bus.thing('a1light', 'light').online.should.be.false();
+          unlisten.calledOnce.should.be.true();
+          should(session.edgeBus).be.undefined();
+        })
+        .finally(() => {
+          unlisten.restore();
+        })
+        .then(done, done);
+    });
+    it('should send the coalesced reports before taking things offline', function (done) {
+      var client = new ThingAccessClient({ productKey: 'a1light', deviceName: 'light' }, {
+        getProperties: () => ({ code: 0, message: 'success', params: {} }),
+      }, { coalesce: { window: 60000 } });
+      shutdown.enable();
+      client.registerAndOnline()
+        .then(() => {
+          client.reportProperties({ LightSwitch: 1 });
+          client.reportProperties({ Brightness: 50 });
+          // Wait for the reports to be coalesced.
+          return new Promise(resolve => setTimeout(resolve, 5));
+        })
+        .then(() => {
+          bus.thing('a1light', 'light').reportedProperties.should.be.empty();
+          process.emit('SIGTERM');
+          return exited;
+        })
+        .then((code) => {
+          code.should.equal(143);
+          bus.thing('a1light', 'light').reportedProperties
+            .should.eql([{ LightSwitch: 1, Brightness: 50 }]);
+          client.state.should.equal(STATE_OFFLINE);
+          done();
+        })
+        .catch(done);
+    });
+    it('should exit with failure on an uncaught exception', function (done) {
+      shutdown.enable();
+      // Mocha fails the test on the event, so call the listener of the hook only.
+      var listeners = process.listeners('uncaughtException');
+      listeners[listeners.length - 1](new Error('fatal'));
+      exited
+        .then((code) => {
+          code.should.equal(1);
+          done();
+        })
+        .catch(done);
+    });
+    it('should exit with failure if the shutdown times out', function (done) {
+      shutdown.enable({ timeout: 10, onShutdown: () => new Promise(() => {}) });
+      process.emit('SIGTERM');
+      exited
+        .then((code) => {
+          code.should.equal(1);
+          done();
+        })
+        .catch(done);
+    });
+    it('should exit immediately on a second signal', function (done) {
+      shutdown.enable({ timeout: 10, onShutdown: () => new Promise(() => {}) });
+      process.emit('SIGTERM');
+      process.emit('SIGTERM');
+      exited
+        .then((code) => {
+          code.should.equal(143);
+          // Wait for the first shutdown to time out.
+          setTimeout(() => {
+            exit.args.should.eql([[143], [1]]);
+            done();
+          }, 20);
+        })
+        .catch(done);
+    });
+  });
+
+  describe('#disable', function () {
+    it('should remove the process listeners', function () {
+      var count = process.listenerCount('SIGTERM');
+      shutdown.enable();
+      process.listenerCount('SIGTERM').should.equal(count + 1);
+      shutdown.disable();
+      process.listenerCount('SIGTERM').should.equal(count);
+    });
+  });
+});
@@ -6,6 +6,9 @@ const should = require('should');
 const sinon = require('sinon');
 const dbus = require('dbus-native');
 const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 process.env.FUNCTION_ID = 'functionId';
 process.env.FUNCTION_NAME = 'functionName';
@@ -14,7 +17,21 @@ const {
   session,
   DriverConfigManager,
   ThingAccessClient,
+  ERROR_RATE_LIMITED,
+  timed,
 } = require('../../lib/thing-access');
+const FakeEdgeBus = require('../../lib/fake-edge-bus');
+const {
+  ERROR_PROPERTY_NOT_EXIST,
+  ERROR_PROPERTY_READ_ONLY,
+  ERROR_SERVICE_NOT_EXIST,
+  ERROR_SERVICE_INVALID_PARAM,
+  ERROR_INVALID_TYPE,
+  ERROR_PARAM_RANGE_OVERFLOW,
+  ERROR_UNKNOWN,
+  ERROR_TIMEOUT,
+  ThingAccessError,
+} = require('../../lib/errors');
 
 describe('ThingAccessClient', function () {
   var config = {
@@ -61,6 +78,7 @@ describe('ThingAccessClient', function () {
       (function () {
         new ThingAccessClient(config, {
           getProperties: callbacks.getProperties,
+          setProperties: {},
           callService: callbacks.callService,
         });
       }).should.throw();
@@ -68,6 +86,7 @@ describe('ThingAccessClient', function () {
     it('should fail since illegal get properties callback', function() {
       (function () {
         new ThingAccessClient(config, {
+          getProperties: 'getProperties',
           setProperties: callbacks.setProperties,
           callService: callbacks.callService,
         });
@@ -78,9 +97,15 @@ describe('ThingAccessClient', function () {
         new ThingAccessClient(config, {
           setProperties: callbacks.setProperties,
           getProperties: callbacks.getProperties,
+          callService: null,
         });
       }).should.throw();
     });
+    it('should pass since callbacks are omitted for handlers', function() {
+      (function () {
+        new ThingAccessClient(config, {});
+      }).should.not.throw();
+    });
     it('should pass since all requirements meet', function() {
       (function () {
         new ThingAccessClient(config, callbacks);
@@ -157,7 +182,7 @@ describe('ThingAccessClient', function () {
           connection: fakeCreateConnection(),
           getService: fakeGetService,
           requestName: function (name, flags, callback) {
-            if (name === `iot.driver.${process.env.FUNCTION_ID}`) {
+            if (name === `iot.driver.id${process.env.FUNCTION_ID}`) {
               callback(new Error('Request module service name error.'));
             }
           }
@@ -324,6 +349,48 @@ describe('ThingAccessClient', function () {
         .should.not.be.rejected().then(restore, restore);
     });
   });
+  describe('#getTslObject', function () {
+    afterEach(function () {
+      session._reset();
+    });
+    it('should fail since the TSL is illegal', function (done) {
+      var stub = sinon.stub(dbus, 'createClient').callsFake(fakeCreateClientWithConfig(
+        JSON.stringify({ properties: [{ identifier: 'a' }] })));
+      function restore() {
+        stub.restore();
+        done();
+      }
+      var client = new ThingAccessClient(config, callbacks);
+      client.getTslObject()
+        .should.be.rejectedWith(/Illegal data type/).then(restore, restore);
+    });
+    it('should pass since all requirements meet', function (done) {
+      var stub = sinon.stub(dbus, 'createClient').callsFake(fakeCreateClientWithConfig(JSON.stringify({
+        profile: { productKey: config.productKey },
+        properties: [{
+          identifier: 'LightSwitch',
+          accessMode: 'rw',
+          dataType: { type: 'bool', specs: { 0: 'off', 1: 'on' } },
+        }],
+      })));
+      var client = new ThingAccessClient(config, callbacks);
+      client.getTslObject()
+        .then((tsl) => {
+          tsl.productKey.should.equal(config.productKey);
+          tsl.property('LightSwitch').writable.should.be.true();
+          return client.getTslObject().then((cached) => {
+            cached.should.equal(tsl);
+          });
+        })
+        .then(() => {
+          stub.restore();
+          done();
+        }, (err) => {
+          stub.restore();
+          done(err);
+        });
+    });
+  });
   describe('#getTslConfig', function () {
     afterEach(function () {
       session._reset();
@@ -950,6 +1017,84 @@ describe('ThingAccessClient', function () {
       client.registerAndOnline()
         .should.not.be.rejected().then(restore, restore);
     });
+    it('should pass after retrying since connecting fails at first', function (done) {
+      session._reset();
+      var connect = sinon.stub();
+      connect.onCall(0).callsFake(function (thingInfo, callback) {
+        setImmediate(callback, new Error('Connection error.'));
+      });
+      connect.callsFake(function (thingInfo, callback) {
+        setImmediate(fakeConnect, thingInfo, callback);
+      });
+      var stub = sinon.stub(dbus, 'createClient').callsFake(function () {
+        var client = fakeCreateClient();
+        client.getService = function (serviceName) {
+          if (serviceName === 'iot.dmp.dimu') {
+            return {
+              getInterface: function (objName, ifaceName, callback) {
+                callback(undefined, Object.assign({}, fakeDimuInterface, { connect }));
+              }
+            };
+          }
+          return fakeGetService(serviceName);
+        };
+        return client;
+      });
+      function restore(err) {
+        stub.restore();
+        done(err);
+      }
+      var onRetry = sinon.spy();
+      client = new ThingAccessClient(config, callbacks);
+      client.on('retry', onRetry);
+      client.registerAndOnline({ retry: { initialInterval: 1 } })
+        .then(function () {
+          connect.calledTwice.should.be.true();
+          onRetry.calledOnce.should.be.true();
+          onRetry.firstCall.args[0].should.equal(1);
+          client.state.should.equal('online');
+        })
+        .then(restore, restore);
+    });
+    it('should pass after retrying since registering module fails at first', function (done) {
+      session._reset();
+      var registerDriver = sinon.stub();
+      registerDriver.onCall(0).callsFake(function (info, callback) {
+        setImmediate(callback, null, JSON.stringify({ code: 1, message: 'Not ready' }));
+      });
+      registerDriver.callsFake(function (info, callback) {
+        setImmediate(fakeRegisterModule, info, callback);
+      });
+      var stub = sinon.stub(dbus, 'createClient').callsFake(function () {
+        var client = fakeCreateClient();
+        client.getService = function (serviceName) {
+          if (serviceName === 'iot.dmp.dimu') {
+            return {
+              getInterface: function (objName, ifaceName, callback) {
+                callback(undefined, Object.assign({}, fakeDimuInterface, { registerDriver }));
+              }
+            };
+          }
+          return fakeGetService(serviceName);
+        };
+        return client;
+      });
+      function restore(err) {
+        stub.restore();
+        done(err);
+      }
+      var onRetry = sinon.spy();
+      client = new ThingAccessClient(config, callbacks);
+      client.on('retry', onRetry);
+      client.registerAndOnline({ retry: { initialInterval: 1 } })
+        .then(function () {
+          registerDriver.calledTwice.should.be.true();
+          onRetry.calledOnce.should.be.true();
+          onRetry.firstCall.args[2].message.should.match(/Not ready/);
+          client.state.should.equal('online');
+        })
+        .then(restore, restore);
+    });
   });
   describe('#offline', function () {
     var client;
@@ -1319,144 +1464,1528 @@ describe('ThingAccessClient', function () {
     });
   });
 
-  describe('#unregister', function () {
+  describe('#reportProperties and #reportEvent with validation', function () {
+    var tsl = JSON.stringify({
+      properties: [{
+        identifier: 'temperature',
+        accessMode: 'r',
+        dataType: { type: 'int', specs: { min: '-40', max: '120' } },
+      }],
+      events: [{
+        identifier: 'high_temperature',
+        type: 'alert',
+        outputData: [{
+          identifier: 'temperature',
+          dataType: { type: 'int', specs: { min: '-40', max: '120' } },
+        }],
+      }],
+    });
     var client;
+    var stub;
+    var message;
+    beforeEach(function () {
+      message = sinon.spy();
+      stub = sinon.stub(dbus, 'createClient').callsFake(function () {
+        var client = fakeCreateClientWithConfig(tsl)();
+        client.connection.message = message;
+        return client;
+      });
+    });
     afterEach(function (done) {
-      client.offline()
-        .then(function () {
-          return client.cleanup();
-        })
+      client.cleanup()
         .then(function () {
+          stub.restore();
+          session._reset();
           client = undefined;
           done();
         });
     });
-    it('should fail since illegal thing id', function(done) {
-      var stub = sinon.stub(dbus, 'createClient').callsFake(function () {
-        return {
-          connection: fakeCreateConnection(),
-          getService: function (serviceName) {
-            if (serviceName === 'iot.dmp.dimu') {
-              return {
-                getInterface: function (objName, ifaceName, callback) {
-                  callback(undefined, {
-                    registerDriver: fakeRegisterModule,
-                    unregisterDriver: fakeUnregisterModule,
-                    connect: fakeConnect,
-                    disconnect: fakeDisconnect,
-                    unregisterDevice: function (info, callback) {
-                      callback(undefined, JSON.stringify({
-                        code: 5,
-                        message: 'Illegal thing id.',
-                      }));
-                    },
-                  });
-                }
-              };
-            } else if (serviceName === 'iot.dmp.configmanager') {
-              return fakeConfigService;
-            }
-          },
-          requestName: fakeRequestName,
-          releaseName: fakeReleaseName,
-          exportInterface: fakeExportInterface,
-        };
-      });
-      function restore() {
-        stub.restore();
-        done();
-      }
+    it('should fail since the property does not exist', function (done) {
+      client = new ThingAccessClient(config, callbacks, { validateReports: true });
+      client.registerAndOnline()
+        .then(function () {
+          return client.reportProperties({ humidity: 50 });
+        })
+        .should.be.rejectedWith({ code: ERROR_PROPERTY_NOT_EXIST })
+        .then(function () {
+          message.called.should.be.false();
+        })
+        .then(function () {
+          done();
+        }, done);
+    });
+    it('should fail since the type mismatches', function (done) {
+      client = new ThingAccessClient(config, callbacks, { validateReports: true });
+      client.registerAndOnline()
+        .then(function () {
+          return client.reportProperties({ temperature: '41' });
+        })
+        .should.be.rejectedWith({ code: ERROR_INVALID_TYPE })
+        .then(function () {
+          done();
+        }, done);
+    });
+    it('should fail since the value is out of range', function (done) {
       client = new ThingAccessClient(config, callbacks);
       client.registerAndOnline()
         .then(function () {
-          return client.unregister();
-        }).should.be.rejected().then(restore, restore);
+          return client.reportProperties({ temperature: 121 }, { validate: true });
+        })
+        .should.be.rejectedWith({ code: ERROR_PARAM_RANGE_OVERFLOW })
+        .then(function () {
+          done();
+        }, done);
     });
-    it('should pass since all requirements meet', function(done) {
-      var stub = sinon.stub(dbus, 'createClient').callsFake(fakeCreateClient);
-      function restore() {
-        stub.restore();
-        done();
-      }
+    it('should fail since the event does not exist', function (done) {
+      client = new ThingAccessClient(config, callbacks, { validateReports: true });
+      client.registerAndOnline()
+        .then(function () {
+          return client.reportEvent('low_temperature', { temperature: -41 });
+        })
+        .should.be.rejectedWith({ code: ERROR_SERVICE_NOT_EXIST })
+        .then(function () {
+          message.called.should.be.false();
+        })
+        .then(function () {
+          done();
+        }, done);
+    });
+    it('should fail since the event param is out of range', function (done) {
       client = new ThingAccessClient(config, callbacks);
       client.registerAndOnline()
         .then(function () {
-          return client.unregister();
-        }).should.not.be.rejected().then(restore, restore);
+          return client.reportEvent('high_temperature', { temperature: 121 },
+            { validate: true });
+        })
+        .should.be.rejectedWith({ code: ERROR_PARAM_RANGE_OVERFLOW })
+        .then(function () {
+          done();
+        }, done);
+    });
+    it('should pass since validation is disabled for the call', function (done) {
+      client = new ThingAccessClient(config, callbacks, { validateReports: true });
+      client.registerAndOnline()
+        .then(function () {
+          return client.reportProperties({ humidity: 50 }, { validate: false });
+        })
+        .then(function () {
+          message.calledOnce.should.be.true();
+        })
+        .then(function () {
+          done();
+        }, done);
+    });
+    it('should pass since all requirements meet', function (done) {
+      client = new ThingAccessClient(config, callbacks, { validateReports: true });
+      client.registerAndOnline()
+        .then(function () {
+          return client.reportProperties({ temperature: 41 });
+        })
+        .then(function () {
+          return client.reportEvent('high_temperature', { temperature: 41 });
+        })
+        .then(function () {
+          message.calledTwice.should.be.true();
+        })
+        .then(function () {
+          done();
+        }, done);
     });
   });
-});
 
-describe('DriverConfigManager', function () {
-  describe('#getConfig', function () {
+  describe('#reportProperties and #reportEvent with buffering', function () {
+    var bus;
+    var client;
+    var light = { productKey: 'a1light', deviceName: 'light' };
+    var reported = function () {
+      return bus.thing('a1light', 'light').reportedProperties
+        .map(properties => properties.LightSwitch);
+    };
+    beforeEach(function () {
+      bus = new FakeEdgeBus().install();
+      bus.setDriverConfig({ deviceList: [light] });
+    });
     afterEach(function () {
-      session._reset();
+      bus.uninstall();
     });
-    it('should fail since illegal function name', function (done) {
-      var stub = sinon.stub(dbus, 'createClient').callsFake(function () {
-        return {
-          connection: fakeCreateConnection(),
-          getService: function (serviceName) {
-            if (serviceName === 'iot.dmp.dimu') {
-              return fakeDimuService;
-            } else if (serviceName === 'iot.dmp.configmanager') {
-              return {
-                getInterface: function (objName, ifaceName, callback) {
-                  callback(undefined, {
-                    get_config: function (key, callback) {
-                      callback(new Error('Illegal function name.'));
-                    },
-                  });
-                }
-              };
-            }
-          },
-          requestName: fakeRequestName,
-          releaseName: fakeReleaseName,
-          exportInterface: fakeExportInterface,
-        };
-      });
-      function restore() {
-        stub.restore();
-        done();
-      }
-      DriverConfigManager.get().getConfig()
-        .should.be.rejected().then(restore, restore);
+
+    it('should fail since the buffer policy is illegal', function () {
+      (function () {
+        new ThingAccessClient(light, callbacks, { buffer: 100 });
+      }).should.throw(/Illegal options/);
+      (function () {
+        new ThingAccessClient(light, callbacks, { buffer: { capacity: 0 } });
+      }).should.throw(/Illegal "capacity"/);
+      (function () {
+        new ThingAccessClient(light, callbacks, { buffer: { dropPolicy: 'dropAll' } });
+      }).should.throw(/Illegal "dropPolicy"/);
+    });
+    it('should fail to report while offline if buffering is disabled', function (done) {
+      client = new ThingAccessClient(light, callbacks);
+      client.reportProperties({ LightSwitch: 1 })
+        .should.be.rejectedWith(/connect before/)
+        .then(function () { done(); }, done);
+    });
+    it('should send the reports buffered while offline in order once online', function (done) {
+      client = new ThingAccessClient(light, callbacks, { buffer: true });
+      var signalProperties = sinon.spy(client.impl, 'signalProperties');
+      var signalEvent = sinon.spy(client.impl, 'signalEvent');
+      var before = Date.now();
+      Promise.all([
+        client.reportProperties({ LightSwitch: 0 }),
+        client.reportEvent('Error', { ErrorCode: 1 }),
+        client.reportProperties({ LightSwitch: 1 }),
+      ])
+        .then((results) => {
+          results.should.eql([false, false, false]);
+          signalProperties.called.should.be.false();
+          return new Promise(resolve => setTimeout(resolve, 5));
+        })
+        .then(() => {
+          return client.registerAndOnline();
+        })
+        .then(() => {
+          reported().should.eql([0, 1]);
+          bus.thing('a1light', 'light').reportedEvents
+            .should.eql([{ name: 'Error', value: { ErrorCode: 1 } }]);
+          signalProperties.args.forEach((args) => {
+            args[1].should.be.within(before, before + 4);
+          });
+          signalEvent.args[0][2].should.be.within(before, before + 4);
+          return client.reportProperties({ LightSwitch: 0 });
+        })
+        .then((result) => {
+          result.should.be.true();
+          reported().should.eql([0, 1, 0]);
+          done();
+        })
+        .catch(done);
+    });
+    it('should fail to report an event without the name', function (done) {
+      client = new ThingAccessClient(light, callbacks, { buffer: true });
+      client.reportEvent(undefined, { ErrorCode: 1 })
+        .should.be.rejectedWith(/Illegal "eventName"/)
+        .then(() => {
+          return client.registerAndOnline();
+        })
+        .then(() => {
+          return client.reportEvent('', { ErrorCode: 1 })
+            .should.be.rejectedWith(/Illegal "eventName"/);
+        })
+        .then(() => {
+          bus.thing('a1light', 'light').reportedEvents.should.be.empty();
+          bus.thing('a1light', 'light').reportedProperties.should.be.empty();
+          done();
+        })
+        .catch(done);
+    });
+    it('should keep the types of the buffered reports', function (done) {
+      client = new ThingAccessClient(light, callbacks, { buffer: true });
+      Promise.all([
+        client.reportEvent('Error', { LightSwitch: 1 }),
+        client.reportProperties({ LightSwitch: 0 }),
+      ])
+        .then(() => {
+          return client.registerAndOnline();
+        })
+        .then(() => {
+          bus.thing('a1light', 'light').reportedEvents
+            .should.eql([{ name: 'Error', value: { LightSwitch: 1 } }]);
+          reported().should.eql([0]);
+          done();
+        })
+        .catch(done);
     });
-    it('should fail since illegal returned code', function(done) {
-      var stub = sinon.stub(dbus, 'createClient').callsFake(function () {
-        return {
-          connection: fakeCreateConnection(),
-          getService: function (serviceName) {
-            if (serviceName === 'iot.dmp.dimu') {
-              return fakeDimuService;
-            } else if (serviceName === 'iot.dmp.configmanager') {
-              return {
-                getInterface: function (objName, ifaceName, callback) {
-                  callback(undefined, {
-                    get_config: function (key, callback) {
-                      callback(undefined, 5, undefined);
-                    },
-                  });
-                }
-              };
-            }
-          },
-          requestName: fakeRequestName,
-          releaseName: fakeReleaseName,
-          exportInterface: fakeExportInterface,
-        };
+    it('should buffer the reports after the thing is taken offline', function (done) {
+      client = new ThingAccessClient(light, callbacks, { buffer: true });
+      client.registerAndOnline()
+        .then(() => {
+          return client.offline();
+        })
+        .then(() => {
+          return client.reportProperties({ LightSwitch: 1 });
+        })
+        .then((result) => {
+          result.should.be.false();
+          return client.online();
+        })
+        .then(() => {
+          reported().should.eql([1]);
+          done();
+        })
+        .catch(done);
+    });
+    it('should drop the oldest reports once the buffer is full', function (done) {
+      client = new ThingAccessClient(light, callbacks, { buffer: { capacity: 2 } });
+      Promise.all([0, 1, 2].map(value => client.reportProperties({ LightSwitch: value })))
+        .then(() => {
+          return client.registerAndOnline();
+        })
+        .then(() => {
+          reported().should.eql([1, 2]);
+          done();
+        })
+        .catch(done);
+    });
+    it('should drop the newest reports once the buffer is full', function (done) {
+      client = new ThingAccessClient(light, callbacks, {
+        buffer: { capacity: 2, dropPolicy: 'dropNewest' },
       });
-      function restore() {
-        stub.restore();
-        done();
-      }
-      DriverConfigManager.get().getConfig()
-        .should.be.rejected().then(restore, restore);
+      Promise.all([0, 1, 2].map(value => client.reportProperties({ LightSwitch: value })))
+        .then(() => {
+          return client.registerAndOnline();
+        })
+        .then(() => {
+          reported().should.eql([0, 1]);
+          done();
+        })
+        .catch(done);
+    });
+    it('should send the persisted reports after restarting', function (done) {
+      var file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'client-')), 'light.log');
+      client = new ThingAccessClient(light, callbacks, { buffer: { path: file } });
+      client.reportProperties({ LightSwitch: 1 })
+        .then(() => {
+          client.bufferStats().size.should.equal(1);
+          return client.cleanup();
+        })
+        .then(() => {
+          // Another client of the same thing in the next run.
+          client = new ThingAccessClient(light, callbacks, { buffer: { path: file } });
+          client.bufferStats().size.should.equal(1);
+          return client.registerAndOnline();
+        })
+        .then(() => {
+          reported().should.eql([1]);
+          client.bufferStats().should.eql({
+            size: 0, capacity: 100, dropped: 0, expired: 0, bytes: 0,
+          });
+        })
+        .finally(() => {
+          fs.unlinkSync(file);
+          fs.rmdirSync(path.dirname(file));
+        })
+        .then(done, done);
     });
-    it('should fail since illegal returned result', function (done) {
-      var stub = sinon.stub(dbus, 'createClient').callsFake(function () {
-        return {
+    it('should return no buffer metrics if buffering is disabled', function () {
+      client = new ThingAccessClient(light, callbacks);
+      should(client.bufferStats()).be.undefined();
+    });
+    it('should discard the buffered reports on cleaning up', function (done) {
+      client = new ThingAccessClient(light, callbacks, { buffer: true });
+      client.reportProperties({ LightSwitch: 1 })
+        .then(() => {
+          return client.cleanup();
+        })
+        .then(() => {
+          return client.registerAndOnline();
+        })
+        .then(() => {
+          reported().should.be.empty();
+          done();
+        })
+        .catch(done);
+    });
+  });
+
+  describe('#reportProperties and #reportEvent with times', function () {
+    var bus;
+    var client;
+    var light = { productKey: 'a1light', deviceName: 'light' };
+    var time = Date.UTC(2018, 0, 1);
+    beforeEach(function () {
+      bus = new FakeEdgeBus().install();
+      bus.setDriverConfig({ deviceList: [light] });
+      client = new ThingAccessClient(light, callbacks);
+    });
+    afterEach(function () {
+      bus.uninstall();
+    });
+
+    it('should report properties with the time of each property', function (done) {
+      var signalProperties;
+      client.registerAndOnline()
+        .then(() => {
+          signalProperties = sinon.spy(client.impl, 'signalProperties');
+          return client.reportProperties({
+            LightSwitch: timed(1, time),
+            Brightness: 50,
+          }, { time: new Date(time + 1000) });
+        })
+        .then((result) => {
+          result.should.be.true();
+          signalProperties.args[0].should.eql([
+            { LightSwitch: 1, Brightness: 50 },
+            time + 1000,
+            { LightSwitch: time },
+          ]);
+          bus.thing('a1light', 'light').reportedProperties
+            .should.eql([{ LightSwitch: 1, Brightness: 50 }]);
+          done();
+        })
+        .catch(done);
+    });
+    it('should report plain objects with the keys value and time as they are', function (done) {
+      var signalProperties;
+      client.registerAndOnline()
+        .then(() => {
+          signalProperties = sinon.spy(client.impl, 'signalProperties');
+          return client.reportProperties({ Range: { value: 1, time } });
+        })
+        .then(() => {
+          signalProperties.args[0][0].should.eql({ Range: { value: 1, time } });
+          should(signalProperties.args[0][2]).be.undefined();
+          done();
+        })
+        .catch(done);
+    });
+    it('should report an event with the time', function (done) {
+      var signalEvent;
+      client.registerAndOnline()
+        .then(() => {
+          signalEvent = sinon.spy(client.impl, 'signalEvent');
+          return client.reportEvent('Error', { ErrorCode: 1 }, { time });
+        })
+        .then(() => {
+          signalEvent.args[0].should.eql(['Error', { ErrorCode: 1 }, time]);
+          done();
+        })
+        .catch(done);
+    });
+    it('should fail since the time is not an integer', function (done) {
+      client.registerAndOnline()
+        .then(() => {
+          return client.reportProperties({ LightSwitch: timed(1, '2018') })
+            .should.be.rejectedWith({ code: ERROR_INVALID_TYPE });
+        })
+        .then(() => {
+          return client.reportEvent('Error', { ErrorCode: 1 }, { time: new Date('x') })
+            .should.be.rejectedWith({ code: ERROR_INVALID_TYPE });
+        })
+        .then(() => {
+          bus.thing('a1light', 'light').reportedProperties.should.be.empty();
+          bus.thing('a1light', 'light').reportedEvents.should.be.empty();
+          done();
+        })
+        .catch(done);
+    });
+    it('should fail since the time is out of range', function (done) {
+      client.registerAndOnline()
+        .then(() => {
+          return client.reportProperties({ LightSwitch: 1 }, { time: time / 1000 })
+            .should.be.rejectedWith({ code: ERROR_PARAM_RANGE_OVERFLOW });
+        })
+        .then(() => {
+          return client.reportEvent('Error', { ErrorCode: 1 }, { time: Date.now() + 3600000 })
+            .should.be.rejectedWith({ code: ERROR_PARAM_RANGE_OVERFLOW });
+        })
+        .then(() => {
+          bus.thing('a1light', 'light').reportedProperties.should.be.empty();
+          bus.thing('a1light', 'light').reportedEvents.should.be.empty();
+          done();
+        })
+        .catch(done);
+    });
+    it('should keep the times of the reports buffered while offline', function (done) {
+      client = new ThingAccessClient(light, callbacks, { buffer: true });
+      var signalProperties = sinon.spy(client.impl, 'signalProperties');
+      client.reportProperties({ LightSwitch: timed(1, time) })
+        .then((result) => {
+          result.should.be.false();
+          return client.registerAndOnline();
+        })
+        .then(() => {
+          signalProperties.args[0][0].should.eql({ LightSwitch: 1 });
+          signalProperties.args[0][2].should.eql({ LightSwitch: time });
+          done();
+        })
+        .catch(done);
+    });
+  });
+
+  describe('#reportProperties with report policies', function () {
+    var bus;
+    var client;
+    var light = { productKey: 'a1light', deviceName: 'light' };
+    var reported = function () {
+      return bus.thing('a1light', 'light').reportedProperties;
+    };
+    beforeEach(function () {
+      bus = new FakeEdgeBus().install();
+      bus.setDriverConfig({ deviceList: [light] });
+    });
+    afterEach(function () {
+      bus.uninstall();
+    });
+
+    it('should fail since the report policies are illegal', function () {
+      (function () {
+        new ThingAccessClient(light, callbacks, { reportPolicies: 'tsl' });
+      }).should.throw('Illegal options');
+      (function () {
+        new ThingAccessClient(light, callbacks, {
+          reportPolicies: { Brightness: { deadband: -1 } },
+        });
+      }).should.throw(/Illegal options: Illegal "deadband" of "Brightness"/);
+    });
+    it('should report only the properties passing the policies', function (done) {
+      client = new ThingAccessClient(light, callbacks, {
+        reportPolicies: {
+          '*': { onChange: true },
+          Brightness: { deadband: 10 },
+        },
+      });
+      client.registerAndOnline()
+        .then(() => {
+          return client.reportProperties({ LightSwitch: 1, Brightness: 50 });
+        })
+        .then((result) => {
+          result.should.be.true();
+          return client.reportProperties({ LightSwitch: 1, Brightness: 55 });
+        })
+        .then((result) => {
+          result.should.be.false();
+          return client.reportProperties({ LightSwitch: 0, Brightness: 61 });
+        })
+        .then((result) => {
+          result.should.be.true();
+          reported().should.eql([
+            { LightSwitch: 1, Brightness: 50 },
+            { LightSwitch: 0, Brightness: 61 },
+          ]);
+          done();
+        })
+        .catch(done);
+    });
+    it('should not take the failed reports as reported', function (done) {
+      client = new ThingAccessClient(light, callbacks, {
+        reportPolicies: { '*': { onChange: true } },
+      });
+      client.reportProperties({ LightSwitch: 1 })
+        .should.be.rejectedWith(/connect before/)
+        .then(() => {
+          return client.registerAndOnline();
+        })
+        .then(() => {
+          return client.reportProperties({ LightSwitch: 1 });
+        })
+        .then((result) => {
+          result.should.be.true();
+          reported().should.eql([{ LightSwitch: 1 }]);
+          done();
+        })
+        .catch(done);
+    });
+    it('should get the report policies from the TSL ext info', function (done) {
+      bus.setTslExtInfo('a1light', {
+        properties: [{ identifier: 'LightSwitch', reportPolicy: { onChange: true } }],
+      });
+      client = new ThingAccessClient(light, callbacks, { reportPolicies: 'tslExtInfo' });
+      client.registerAndOnline()
+        .then(() => {
+          return client.reportProperties({ LightSwitch: 1, Brightness: 50 });
+        })
+        .then(() => {
+          return client.reportProperties({ LightSwitch: 1, Brightness: 50 });
+        })
+        .then(() => {
+          reported().should.eql([
+            { LightSwitch: 1, Brightness: 50 },
+            { Brightness: 50 },
+          ]);
+          done();
+        })
+        .catch(done);
+    });
+    it('should report without filtering if the TSL ext info is missing', function (done) {
+      client = new ThingAccessClient(light, callbacks, { reportPolicies: 'tslExtInfo' });
+      client.registerAndOnline()
+        .then(() => {
+          return client.reportProperties({ LightSwitch: 1 });
+        })
+        .then(() => {
+          return client.reportProperties({ LightSwitch: 1 });
+        })
+        .then(() => {
+          reported().should.eql([{ LightSwitch: 1 }, { LightSwitch: 1 }]);
+          done();
+        })
+        .catch(done);
+    });
+    it('should report the properties again after cleanup', function (done) {
+      client = new ThingAccessClient(light, callbacks, {
+        reportPolicies: { '*': { onChange: true } },
+      });
+      client.registerAndOnline()
+        .then(() => {
+          return client.reportProperties({ LightSwitch: 1 });
+        })
+        .then(() => {
+          return client.cleanup();
+        })
+        .then(() => {
+          return client.registerAndOnline();
+        })
+        .then(() => {
+          return client.reportProperties({ LightSwitch: 1 });
+        })
+        .then((result) => {
+          result.should.be.true();
+          reported().should.eql([{ LightSwitch: 1 }, { LightSwitch: 1 }]);
+          done();
+        })
+        .catch(done);
+    });
+  });
+
+  describe('#reportProperties with coalescing', function () {
+    var bus;
+    var client;
+    var light = { productKey: 'a1light', deviceName: 'light' };
+    var reported = function () {
+      return bus.thing('a1light', 'light').reportedProperties;
+    };
+    beforeEach(function () {
+      bus = new FakeEdgeBus().install();
+      bus.setDriverConfig({ deviceList: [light] });
+    });
+    afterEach(function () {
+      bus.uninstall();
+    });
+
+    it('should fail since the coalescing policy is illegal', function () {
+      (function () {
+        new ThingAccessClient(light, callbacks, { coalesce: 100 });
+      }).should.throw('Illegal options');
+      (function () {
+        new ThingAccessClient(light, callbacks, { coalesce: { window: -1 } });
+      }).should.throw(/Illegal options: Illegal "window"/);
+    });
+    it('should merge the properties reported within the window', function (done) {
+      var time = Date.UTC(2018, 0, 1);
+      var signalProperties;
+      client = new ThingAccessClient(light, callbacks, { coalesce: { window: 20 } });
+      client.registerAndOnline()
+        .then(() => {
+          signalProperties = sinon.spy(client.impl, 'signalProperties');
+          return Promise.all([
+            client.reportProperties({ LightSwitch: 0, Brightness: timed(10, time) }),
+            client.reportProperties({ LightSwitch: 1 }, { time: time + 1000 }),
+          ]);
+        })
+        .then((results) => {
+          results.should.eql([true, true]);
+          reported().should.eql([{ LightSwitch: 1, Brightness: 10 }]);
+          signalProperties.calledOnce.should.be.true();
+          signalProperties.args[0][2].should.eql({ LightSwitch: time + 1000, Brightness: time });
+          done();
+        })
+        .catch(done);
+    });
+    it('should keep all values reported within the window', function (done) {
+      client = new ThingAccessClient(light, callbacks, {
+        coalesce: { window: 20, mode: 'all' },
+      });
+      client.registerAndOnline()
+        .then(() => {
+          return Promise.all([
+            client.reportProperties({ LightSwitch: 0 }),
+            client.reportProperties({ Brightness: 10 }),
+            client.reportProperties({ LightSwitch: 1 }),
+          ]);
+        })
+        .then(() => {
+          reported().should.eql([{ LightSwitch: 0, Brightness: 10 }, { LightSwitch: 1 }]);
+          done();
+        })
+        .catch(done);
+    });
+    it('should send the merged properties before going offline', function (done) {
+      client = new ThingAccessClient(light, callbacks, { coalesce: { window: 60000 } });
+      var reporting;
+      client.registerAndOnline()
+        .then(() => {
+          reporting = client.reportProperties({ LightSwitch: 1 });
+          return new Promise(resolve => setTimeout(resolve, 5));
+        })
+        .then(() => {
+          return client.offline();
+        })
+        .then(() => {
+          return reporting;
+        })
+        .then((result) => {
+          result.should.be.true();
+          reported().should.eql([{ LightSwitch: 1 }]);
+          done();
+        })
+        .catch(done);
+    });
+    it('should buffer the merged properties once the thing is offline', function (done) {
+      client = new ThingAccessClient(light, callbacks, {
+        buffer: true,
+        coalesce: { window: 20 },
+      });
+      client.reportProperties({ LightSwitch: 0 })
+        .then((result) => {
+          result.should.be.false();
+          client.bufferStats().size.should.equal(1);
+          return client.registerAndOnline();
+        })
+        .then(() => {
+          reported().should.eql([{ LightSwitch: 0 }]);
+          done();
+        })
+        .catch(done);
+    });
+  });
+
+  describe('#reportProperties and #reportEvent with rate limits', function () {
+    var bus;
+    var client;
+    var light = { productKey: 'a1light', deviceName: 'light' };
+    var reported = function () {
+      return bus.thing('a1light', 'light').reportedProperties
+        .map(properties => properties.LightSwitch);
+    };
+    beforeEach(function () {
+      bus = new FakeEdgeBus().install();
+      bus.setDriverConfig({ deviceList: [light] });
+    });
+    afterEach(function () {
+      bus.uninstall();
+    });
+
+    it('should fail since the rate limit is illegal', function () {
+      (function () {
+        new ThingAccessClient(light, callbacks, { rateLimit: 10 });
+      }).should.throw('Illegal options');
+      (function () {
+        new ThingAccessClient(light, callbacks, { rateLimit: { rate: 10, overflow: 'drop' } });
+      }).should.throw(/Illegal options: Illegal "overflow"/);
+      (function () {
+        session.configure({ rateLimit: { rate: -1 } });
+      }).should.throw(/Illegal "rate"/);
+    });
+    it('should send the reports beyond the rate later in order', function (done) {
+      client = new ThingAccessClient(light, callbacks, { rateLimit: { rate: 100, burst: 1 } });
+      client.registerAndOnline()
+        .then(() => {
+          return Promise.all([
+            client.reportProperties({ LightSwitch: 0 }),
+            client.reportEvent('Error', { ErrorCode: 1 }),
+            client.reportProperties({ LightSwitch: 1 }),
+          ]);
+        })
+        .then((results) => {
+          results.should.eql([true, true, true]);
+          reported().should.eql([0, 1]);
+          bus.thing('a1light', 'light').reportedEvents.length.should.equal(1);
+          client.rateLimitStats().should.eql({
+            passed: 3, throttled: 2, queued: 0, dropped: 0, rejected: 0,
+          });
+          done();
+        })
+        .catch(done);
+    });
+    it('should reject the reports beyond the rate', function (done) {
+      client = new ThingAccessClient(light, callbacks, {
+        rateLimit: { rate: 1, overflow: 'reject' },
+      });
+      client.registerAndOnline()
+        .then(() => {
+          return client.reportProperties({ LightSwitch: 0 });
+        })
+        .then(() => {
+          return client.reportProperties({ LightSwitch: 1 })
+            .should.be.rejectedWith({ code: ERROR_RATE_LIMITED });
+        })
+        .then(() => {
+          reported().should.eql([0]);
+          client.rateLimitStats().rejected.should.equal(1);
+          done();
+        })
+        .catch(done);
+    });
+    it('should limit the rate of all things', function (done) {
+      var lamp = { productKey: 'a1light', deviceName: 'lamp' };
+      var another;
+      bus.setDriverConfig({ deviceList: [light, lamp] });
+      session.configure({ rateLimit: { rate: 1, overflow: 'reject' } });
+      client = new ThingAccessClient(light, callbacks);
+      another = new ThingAccessClient(lamp, callbacks);
+      should(client.rateLimitStats()).be.undefined();
+      Promise.all([client.registerAndOnline(), another.registerAndOnline()])
+        .then(() => {
+          return client.reportProperties({ LightSwitch: 0 });
+        })
+        .then(() => {
+          return another.reportProperties({ LightSwitch: 1 })
+            .should.be.rejectedWith({ code: ERROR_RATE_LIMITED });
+        })
+        .then(() => {
+          session.rateLimitStats().should.containEql({ passed: 1, rejected: 1 });
+          bus.thing('a1light', 'lamp').reportedProperties.should.be.empty();
+          done();
+        })
+        .catch(done);
+    });
+    it('should report the properties rejected by the rate again', function (done) {
+      client = new ThingAccessClient(light, callbacks, {
+        reportPolicies: { '*': { onChange: true } },
+        rateLimit: { rate: 50, burst: 1, overflow: 'reject' },
+      });
+      client.registerAndOnline()
+        .then(() => {
+          return client.reportProperties({ LightSwitch: 0 });
+        })
+        .then(() => {
+          return client.reportProperties({ LightSwitch: 1 })
+            .should.be.rejectedWith({ code: ERROR_RATE_LIMITED });
+        })
+        .then(() => {
+          return new Promise(resolve => setTimeout(resolve, 30));
+        })
+        .then(() => {
+          return client.reportProperties({ LightSwitch: 1 });
+        })
+        .then((result) => {
+          result.should.be.true();
+          reported().should.eql([0, 1]);
+          done();
+        })
+        .catch(done);
+    });
+    it('should report the properties dropped by the rate again', function (done) {
+      client = new ThingAccessClient(light, callbacks, {
+        reportPolicies: { '*': { onChange: true } },
+        rateLimit: { rate: 50, burst: 1, overflow: 'dropOldest', queueSize: 1 },
+      });
+      client.registerAndOnline()
+        .then(() => {
+          return Promise.all([
+            client.reportProperties({ LightSwitch: 0 }),
+            client.reportProperties({ LightSwitch: 1 }),
+            client.reportProperties({ Brightness: 10 }),
+          ]);
+        })
+        .then((results) => {
+          results.should.eql([true, false, true]);
+          return client.reportProperties({ LightSwitch: 1 });
+        })
+        .then(() => {
+          reported().should.eql([0, undefined, 1]);
+          done();
+        })
+        .catch(done);
+    });
+    it('should flush the buffered reports within the rate', function (done) {
+      client = new ThingAccessClient(light, callbacks, {
+        buffer: true,
+        rateLimit: { rate: 100, burst: 1, overflow: 'reject' },
+      });
+      Promise.all([
+        client.reportProperties({ LightSwitch: 0 }),
+        client.reportProperties({ LightSwitch: 1 }),
+        client.reportProperties({ LightSwitch: 0 }),
+      ])
+        .then(() => {
+          return client.registerAndOnline();
+        })
+        .then(() => {
+          reported().should.eql([0]);
+          return client.reportProperties({ LightSwitch: 1 });
+        })
+        .then((result) => {
+          result.should.be.false();
+          return new Promise(resolve => setTimeout(resolve, 50));
+        })
+        .then(() => {
+          reported().should.eql([0, 1, 0, 1]);
+          client.bufferStats().size.should.equal(0);
+          client.rateLimitStats().rejected.should.equal(0);
+          done();
+        })
+        .catch(done);
+    });
+  });
+
+  describe('requests with validation', function () {
+    var tsl = JSON.stringify({
+      properties: [{
+        identifier: 'temperature',
+        accessMode: 'r',
+        dataType: { type: 'int', specs: { min: '-40', max: '120' } },
+      }, {
+        identifier: 'LightSwitch',
+        accessMode: 'rw',
+        dataType: { type: 'bool', specs: { 0: 'off', 1: 'on' } },
+      }],
+      services: [{
+        identifier: 'SetBrightness',
+        inputData: [{
+          identifier: 'Brightness',
+          dataType: { type: 'int', specs: { min: '0', max: '100' } },
+        }],
+      }],
+    });
+    var client;
+    var stub;
+    var handlers;
+    beforeEach(function () {
+      stub = sinon.stub(dbus, 'createClient').callsFake(fakeCreateClientWithConfig(tsl));
+      handlers = {
+        getProperties: sinon.stub().returns({ code: 0, params: {} }),
+        setProperties: sinon.stub().returns({ code: 0 }),
+        callService: sinon.stub().returns({ code: 0 }),
+      };
+      client = new ThingAccessClient(config, handlers, { validateRequests: true });
+    });
+    afterEach(function (done) {
+      client.cleanup()
+        .then(function () {
+          stub.restore();
+          session._reset();
+          client = undefined;
+          done();
+        });
+    });
+    function call(name, params) {
+      return client.registerAndOnline()
+        .then(function () {
+          return client.impl._thingInterface.callServices(name, JSON.stringify({ params }));
+        })
+        .then(function (result) {
+          return JSON.parse(result);
+        });
+    }
+    it('should reply error since the property is read-only', function (done) {
+      call('set', { temperature: 41 })
+        .then(function (result) {
+          result.code.should.equal(ERROR_PROPERTY_READ_ONLY);
+          result.message.should.match(/read-only/);
+          handlers.setProperties.called.should.be.false();
+        })
+        .then(function () {
+          done();
+        }, done);
+    });
+    it('should reply error since the property type mismatches', function (done) {
+      call('set', { LightSwitch: 'on' })
+        .then(function (result) {
+          result.code.should.equal(ERROR_INVALID_TYPE);
+          handlers.setProperties.called.should.be.false();
+        })
+        .then(function () {
+          done();
+        }, done);
+    });
+    it('should reply error since the service does not exist', function (done) {
+      call('SetColor', {})
+        .then(function (result) {
+          result.code.should.equal(ERROR_SERVICE_NOT_EXIST);
+          result.params.code.should.equal(ERROR_SERVICE_NOT_EXIST);
+          handlers.callService.called.should.be.false();
+        })
+        .then(function () {
+          done();
+        }, done);
+    });
+    it('should reply error since the service param is illegal', function (done) {
+      call('SetBrightness', { Brightness: 101 })
+        .then(function (result) {
+          result.code.should.equal(ERROR_SERVICE_INVALID_PARAM);
+          handlers.callService.called.should.be.false();
+        })
+        .then(function () {
+          done();
+        }, done);
+    });
+    it('should pass since all requirements meet', function (done) {
+      call('set', { LightSwitch: 1 })
+        .then(function (result) {
+          result.code.should.equal(0);
+          handlers.setProperties.calledWith({ LightSwitch: 1 }).should.be.true();
+          return call('SetBrightness', { Brightness: 50 });
+        })
+        .then(function (result) {
+          result.code.should.equal(0);
+          handlers.callService.calledWith('SetBrightness', { Brightness: 50 }).should.be.true();
+        })
+        .then(function () {
+          done();
+        }, done);
+    });
+  });
+
+  describe('#handleService and #handleProperty', function () {
+    var client;
+    var stub;
+    beforeEach(function () {
+      stub = sinon.stub(dbus, 'createClient').callsFake(fakeCreateClient);
+    });
+    afterEach(function (done) {
+      client.cleanup()
+        .then(function () {
+          stub.restore();
+          session._reset();
+          client = undefined;
+          done();
+        });
+    });
+    function call(name, params) {
+      return client.registerAndOnline()
+        .then(function () {
+          return client.impl._thingInterface.callServices(name, JSON.stringify({ params }));
+        })
+        .then(function (result) {
+          return JSON.parse(result);
+        });
+    }
+    it('should fail since the handlers are illegal', function () {
+      client = new ThingAccessClient(config, {});
+      (function () {
+        client.handleService('SetBrightness', {});
+      }).should.throw('Illegal service handler');
+      (function () {
+        client.handleProperty('LightSwitch', {});
+      }).should.throw('Illegal property handler');
+      (function () {
+        client.handleProperty('', { get: function () {} });
+      }).should.throw('Illegal property name');
+    });
+    it('should reply error since the service is not handled', function (done) {
+      client = new ThingAccessClient(config, {});
+      call('SetBrightness', {})
+        .then(function (result) {
+          result.code.should.equal(ERROR_SERVICE_NOT_EXIST);
+        })
+        .then(function () {
+          done();
+        }, done);
+    });
+    it('should reply error since the property is not handled', function (done) {
+      client = new ThingAccessClient(config, {})
+        .handleProperty('LightSwitch', { get: function () { return 1; } });
+      call('get', ['LightSwitch', 'Brightness'])
+        .then(function (result) {
+          result.code.should.equal(ERROR_PROPERTY_NOT_EXIST);
+          return call('set', { LightSwitch: 0 });
+        })
+        .then(function (result) {
+          result.code.should.equal(ERROR_PROPERTY_READ_ONLY);
+        })
+        .then(function () {
+          done();
+        }, done);
+    });
+    it('should call the service handler in precedence to the callback', function (done) {
+      var handler = sinon.stub().returns({ code: 0, params: { brightness: 50 } });
+      var callService = sinon.spy(callbacks, 'callService');
+      client = new ThingAccessClient(config, callbacks)
+        .handleService('SetBrightness', handler);
+      call('SetBrightness', { brightness: 50 })
+        .then(function (result) {
+          result.code.should.equal(0);
+          result.params.data.should.eql({ brightness: 50 });
+          handler.calledWith({ brightness: 50 }).should.be.true();
+          return call('SetColor', {});
+        })
+        .then(function () {
+          callService.calledOnce.should.be.true();
+          callService.calledWith('SetColor').should.be.true();
+        })
+        .then(function () {
+          callService.restore();
+          done();
+        }, function (err) {
+          callService.restore();
+          done(err);
+        });
+    });
+    it('should merge properties from the handlers and the callbacks', function (done) {
+      var value = 0;
+      var handlers = {
+        getProperties: sinon.stub().returns({ code: 0, params: { Brightness: 50 } }),
+        setProperties: sinon.stub().returns({ code: 0 }),
+      };
+      client = new ThingAccessClient(config, handlers)
+        .handleProperty('LightSwitch', {
+          get: function () {
+            return Promise.resolve(value);
+          },
+          set: function (newValue) {
+            value = newValue;
+          },
+        });
+      call('set', { LightSwitch: 1, Brightness: 60 })
+        .then(function (result) {
+          result.code.should.equal(0);
+          value.should.equal(1);
+          handlers.setProperties.calledWith({ Brightness: 60 }).should.be.true();
+          return call('get', ['LightSwitch', 'Brightness']);
+        })
+        .then(function (result) {
+          result.code.should.equal(0);
+          result.params.should.eql({ LightSwitch: 1, Brightness: 50 });
+          handlers.getProperties.calledWith(['Brightness']).should.be.true();
+        })
+        .then(function () {
+          done();
+        }, done);
+    });
+  });
+
+  describe('error codes in replies', function () {
+    var client;
+    var stub;
+    beforeEach(function () {
+      stub = sinon.stub(dbus, 'createClient').callsFake(fakeCreateClient);
+    });
+    afterEach(function (done) {
+      client.cleanup()
+        .then(function () {
+          stub.restore();
+          session._reset();
+          client = undefined;
+          done();
+        });
+    });
+    function call(name, params) {
+      return client.registerAndOnline()
+        .then(function () {
+          return client.impl._thingInterface.callServices(name, JSON.stringify({ params }));
+        })
+        .then(function (result) {
+          return JSON.parse(result);
+        });
+    }
+    it('should fail since the custom error range is illegal', function () {
+      (function () {
+        client = new ThingAccessClient(config, callbacks, { customErrorRange: [2, 1] });
+      }).should.throw('Illegal options');
+      client = new ThingAccessClient(config, callbacks);
+    });
+    it('should reply unknown error since the code is not recognized', function (done) {
+      client = new ThingAccessClient(config, {})
+        .handleService('SetBrightness', function () {
+          return { code: -3, message: 'failure' };
+        });
+      call('SetBrightness', {})
+        .then(function (result) {
+          result.code.should.equal(ERROR_UNKNOWN);
+          result.message.should.equal('failure');
+        })
+        .then(function () {
+          done();
+        }, done);
+    });
+    it('should reply the recognized code returned by callbacks', function (done) {
+      client = new ThingAccessClient(config, {})
+        .handleService('SetBrightness', function () {
+          return { code: ERROR_TIMEOUT, message: 'timeout' };
+        });
+      call('SetBrightness', {})
+        .then(function (result) {
+          result.code.should.equal(ERROR_TIMEOUT);
+          result.params.code.should.equal(ERROR_TIMEOUT);
+        })
+        .then(function () {
+          done();
+        }, done);
+    });
+    it('should reply the code thrown by callbacks', function (done) {
+      client = new ThingAccessClient(config, {})
+        .handleService('SetSpeed', function () {
+          return Promise.reject(new ThingAccessError(ERROR_SERVICE_INVALID_PARAM, 'bad speed'));
+        })
+        .handleProperty('Speed', {
+          set: function () {
+            throw new ThingAccessError(110001, 'motor is stalled');
+          },
+        });
+      call('SetSpeed', {})
+        .then(function (result) {
+          result.code.should.equal(ERROR_SERVICE_INVALID_PARAM);
+          result.message.should.equal('bad speed');
+          return call('set', { Speed: 1 });
+        })
+        .then(function (result) {
+          result.code.should.equal(ERROR_UNKNOWN);
+          result.message.should.equal('motor is stalled');
+        })
+        .then(function () {
+          done();
+        }, done);
+    });
+    it('should reply the custom code in range', function (done) {
+      client = new ThingAccessClient(config, {}, { customErrorRange: [110000, 119999] })
+        .handleProperty('Speed', {
+          set: function () {
+            throw new ThingAccessError(110001, 'motor is stalled');
+          },
+        });
+      call('set', { Speed: 1 })
+        .then(function (result) {
+          result.code.should.equal(110001);
+        })
+        .then(function () {
+          done();
+        }, done);
+    });
+    it('should fail since the thrown error has no code', function (done) {
+      client = new ThingAccessClient(config, {})
+        .handleService('SetSpeed', function () {
+          throw new Error('bad speed');
+        });
+      call('SetSpeed', {})
+        .should.be.rejectedWith('bad speed')
+        .then(function () {
+          done();
+        }, done);
+    });
+  });
+
+  describe('requests with timeouts', function () {
+    var client;
+    var stub;
+    beforeEach(function () {
+      stub = sinon.stub(dbus, 'createClient').callsFake(fakeCreateClient);
+    });
+    afterEach(function (done) {
+      client.cleanup()
+        .then(function () {
+          stub.restore();
+          session._reset();
+          client = undefined;
+          done();
+        });
+    });
+    function call(name, params) {
+      return client.registerAndOnline()
+        .then(function () {
+          return client.impl._thingInterface.callServices(name, JSON.stringify({ params }));
+        })
+        .then(function (result) {
+          return JSON.parse(result);
+        });
+    }
+    it('should fail since the timeouts are illegal', function () {
+      (function () {
+        client = new ThingAccessClient(config, callbacks, { timeouts: { callService: -1 } });
+      }).should.throw('Illegal options');
+      (function () {
+        client = new ThingAccessClient(config, callbacks, {
+          timeouts: { services: { SetBrightness: '100' } },
+        });
+      }).should.throw('Illegal options');
+      client = new ThingAccessClient(config, callbacks);
+    });
+    it('should reply timeout error and abort the callback', function (done) {
+      var signal;
+      client = new ThingAccessClient(config, {
+        getProperties: function (keys, abortSignal) {
+          signal = abortSignal;
+          return new Promise(function () {});
+        },
+      }, { timeouts: { getProperties: 10 } });
+      call('get', ['LightSwitch'])
+        .then(function (result) {
+          result.code.should.equal(ERROR_TIMEOUT);
+          signal.aborted.should.be.true();
+        })
+        .then(function () {
+          done();
+        }, done);
+    });
+    it('should prefer the timeout of the service', function (done) {
+      client = new ThingAccessClient(config, {}, {
+        timeouts: { callService: 10, services: { Reboot: 1000 } },
+      })
+        .handleService('Reboot', function () {
+          return new Promise(function (resolve) {
+            setTimeout(function () {
+              resolve({ code: 0 });
+            }, 20);
+          });
+        })
+        .handleService('SetBrightness', function () {
+          return new Promise(function () {});
+        });
+      call('Reboot', {})
+        .then(function (result) {
+          result.code.should.equal(0);
+          return call('SetBrightness', {});
+        })
+        .then(function (result) {
+          result.code.should.equal(ERROR_TIMEOUT);
+        })
+        .then(function () {
+          done();
+        }, done);
+    });
+    it('should pass since the callback returns in time', function (done) {
+      client = new ThingAccessClient(config, {
+        setProperties: function (properties, signal) {
+          signal.aborted.should.be.false();
+          return { code: 0 };
+        },
+      }, { timeouts: { setProperties: 1000 } });
+      call('set', { LightSwitch: 1 })
+        .then(function (result) {
+          result.code.should.equal(0);
+        })
+        .then(function () {
+          done();
+        }, done);
+    });
+  });
+
+  describe('#state', function () {
+    afterEach(function () {
+      session._reset();
+    });
+    it('should be idle since nothing is done', function () {
+      new ThingAccessClient(config, callbacks).state.should.equal('idle');
+    });
+    it('should be failed since dimu connection error', function (done) {
+      var stub = sinon.stub(dbus, 'createClient').callsFake(function () {
+        var client = fakeCreateClient();
+        client.getService = function (serviceName) {
+          if (serviceName === 'iot.dmp.dimu') {
+            return {
+              getInterface: function (objName, ifaceName, callback) {
+                callback(undefined, Object.assign({}, fakeDimuInterface, {
+                  connect: function (thingInfo, callback) {
+                    callback(new Error('Connection error.'));
+                  },
+                }));
+              }
+            };
+          }
+          return fakeGetService(serviceName);
+        };
+        return client;
+      });
+      function restore(err) {
+        stub.restore();
+        done(err);
+      }
+      var client = new ThingAccessClient(config, callbacks);
+      client.registerAndOnline()
+        .should.be.rejected()
+        .then(function () {
+          client.state.should.equal('failed');
+        })
+        .then(restore, restore);
+    });
+    it('should transit between states and emit events', function (done) {
+      var stub = sinon.stub(dbus, 'createClient').callsFake(fakeCreateClient);
+      function restore(err) {
+        stub.restore();
+        done(err);
+      }
+      var states = [];
+      var events = [];
+      var client = new ThingAccessClient(config, callbacks);
+      client.on('stateChanged', (state) => states.push(state));
+      client.on('online', () => events.push('online'));
+      client.on('offline', () => events.push('offline'));
+      client.registerAndOnline()
+        .then(function () {
+          client.state.should.equal('online');
+          return client.offline();
+        })
+        .then(function () {
+          client.state.should.equal('offline');
+          return client.cleanup();
+        })
+        .then(function () {
+          states.should.eql(['setting-up', 'offline', 'connecting', 'online',
+            'offline', 'cleaning-up', 'idle']);
+          events.should.eql(['online', 'offline']);
+        })
+        .then(restore, restore);
+    });
+    it('should emit events for connect results', function (done) {
+      var thingInterface;
+      var stub = sinon.stub(dbus, 'createClient').callsFake(function () {
+        var client = fakeCreateClient();
+        client.exportInterface = function (iface, objectPath) {
+          if (objectPath.startsWith('/iot/device/')) {
+            thingInterface = iface;
+          }
+        };
+        return client;
+      });
+      function restore(err) {
+        stub.restore();
+        done(err);
+      }
+      var client = new ThingAccessClient(config, callbacks);
+      var cloudConnected = sinon.spy();
+      var error = sinon.spy();
+      client.on('cloudConnected', cloudConnected);
+      client.on('error', error);
+      client.registerAndOnline()
+        .then(function () {
+          thingInterface.connectResultNotify(JSON.stringify({
+            code: 0,
+            params: { productKey: config.productKey, deviceName: config.deviceName },
+          }));
+          thingInterface.connectResultNotify(JSON.stringify({
+            code: 100000,
+            message: 'Unknown error.',
+          }));
+          cloudConnected.calledOnce.should.be.true();
+          cloudConnected.firstCall.args[0].should.eql({
+            productKey: config.productKey,
+            deviceName: config.deviceName,
+          });
+          error.calledOnce.should.be.true();
+          error.firstCall.args[0].code.should.equal(100000);
+        })
+        .then(restore, restore);
+    });
+  });
+  describe('#unregister', function () {
+    var client;
+    afterEach(function (done) {
+      client.offline()
+        .then(function () {
+          return client.cleanup();
+        })
+        .then(function () {
+          client = undefined;
+          done();
+        });
+    });
+    it('should fail since illegal thing id', function(done) {
+      var stub = sinon.stub(dbus, 'createClient').callsFake(function () {
+        return {
+          connection: fakeCreateConnection(),
+          getService: function (serviceName) {
+            if (serviceName === 'iot.dmp.dimu') {
+              return {
+                getInterface: function (objName, ifaceName, callback) {
+                  callback(undefined, {
+                    registerDriver: fakeRegisterModule,
+                    unregisterDriver: fakeUnregisterModule,
+                    connect: fakeConnect,
+                    disconnect: fakeDisconnect,
+                    unregisterDevice: function (info, callback) {
+                      callback(undefined, JSON.stringify({
+                        code: 5,
+                        message: 'Illegal thing id.',
+                      }));
+                    },
+                  });
+                }
+              };
+            } else if (serviceName === 'iot.dmp.configmanager') {
+              return fakeConfigService;
+            }
+          },
+          requestName: fakeRequestName,
+          releaseName: fakeReleaseName,
+          exportInterface: fakeExportInterface,
+        };
+      });
+      function restore() {
+        stub.restore();
+        done();
+      }
+      client = new ThingAccessClient(config, callbacks);
+      client.registerAndOnline()
+        .then(function () {
+          return client.unregister();
+        }).should.be.rejected().then(restore, restore);
+    });
+    it('should pass since all requirements meet', function(done) {
+      var stub = sinon.stub(dbus, 'createClient').callsFake(fakeCreateClient);
+      function restore() {
+        stub.restore();
+        done();
+      }
+      client = new ThingAccessClient(config, callbacks);
+      client.registerAndOnline()
+        .then(function () {
+          return client.unregister();
+        }).should.not.be.rejected().then(restore, restore);
+    });
+  });
+});
+
+describe('DriverConfigManager', function () {
+  describe('#getConfig', function () {
+    afterEach(function () {
+      session._reset();
+    });
+    it('should fail since illegal function name', function (done) {
+      var stub = sinon.stub(dbus, 'createClient').callsFake(function () {
+        return {
+          connection: fakeCreateConnection(),
+          getService: function (serviceName) {
+            if (serviceName === 'iot.dmp.dimu') {
+              return fakeDimuService;
+            } else if (serviceName === 'iot.dmp.configmanager') {
+              return {
+                getInterface: function (objName, ifaceName, callback) {
+                  callback(undefined, {
+                    get_config: function (key, callback) {
+                      callback(new Error('Illegal function name.'));
+                    },
+                  });
+                }
+              };
+            }
+          },
+          requestName: fakeRequestName,
+          releaseName: fakeReleaseName,
+          exportInterface: fakeExportInterface,
+        };
+      });
+      function restore() {
+        stub.restore();
+        done();
+      }
+      DriverConfigManager.get().getConfig()
+        .should.be.rejected().then(restore, restore);
+    });
+    it('should fail since illegal returned code', function(done) {
+      var stub = sinon.stub(dbus, 'createClient').callsFake(function () {
+        return {
+          connection: fakeCreateConnection(),
+          getService: function (serviceName) {
+            if (serviceName === 'iot.dmp.dimu') {
+              return fakeDimuService;
+            } else if (serviceName === 'iot.dmp.configmanager') {
+              return {
+                getInterface: function (objName, ifaceName, callback) {
+                  callback(undefined, {
+                    get_config: function (key, callback) {
+                      callback(undefined, 5, undefined);
+                    },
+                  });
+                }
+              };
+            }
+          },
+          requestName: fakeRequestName,
+          releaseName: fakeReleaseName,
+          exportInterface: fakeExportInterface,
+        };
+      });
+      function restore() {
+        stub.restore();
+        done();
+      }
+      DriverConfigManager.get().getConfig()
+        .should.be.rejected().then(restore, restore);
+    });
+    it('should fail since illegal returned result', function (done) {
+      var stub = sinon.stub(dbus, 'createClient').callsFake(function () {
+        return {
           connection: fakeCreateConnection(),
           getService: function (serviceName) {
             if (serviceName === 'iot.dmp.dimu') {
@@ -1712,6 +3241,247 @@ describe('DriverConfigManager', function () {
 });
 
 describe('session', function () {
+  describe('#configure', function () {
+    afterEach(function () {
+      session._reset();
+    });
+    it('should fail since the bus address is illegal', function () {
+      (function () {
+        session.configure({ busAddress: 'mbusd_socket' });
+      }).should.throw(/Illegal edge bus address/);
+    });
+    it('should fail since the session has been initialized', function (done) {
+      var stub = sinon.stub(dbus, 'createClient').callsFake(fakeCreateClient);
+      function restore() {
+        stub.restore();
+        done();
+      }
+      session.initialize()
+        .then(function () {
+          session.configure({ busAddress: 'unix:abstract=mbusd' });
+        })
+        .should.be.rejected().then(restore, restore);
+    });
+    it('should connect to the configured bus address', function (done) {
+      var stub = sinon.stub(dbus, 'createClient').callsFake(fakeCreateClient);
+      function restore(err) {
+        stub.restore();
+        done(err);
+      }
+      session.configure({ transport: 'tcp', host: '127.0.0.1', port: 7000 });
+      session.initialize()
+        .then(function () {
+          stub.calledOnce.should.be.true();
+          stub.firstCall.args[0].should.eql({
+            busAddress: 'tcp:host=127.0.0.1,port=7000',
+          });
+        })
+        .then(restore, restore);
+    });
+  });
+  describe('#initialize', function () {
+    afterEach(function () {
+      session._reset();
+    });
+    it('should fail since requesting name fails asynchronously', function (done) {
+      var stub = sinon.stub(dbus, 'createClient').callsFake(function () {
+        var client = fakeCreateClient();
+        client.requestName = function (name, flags, callback) {
+          setImmediate(callback, null, 3);
+        };
+        return client;
+      });
+      function restore(err) {
+        stub.restore();
+        done(err);
+      }
+      session.initialize()
+        .should.be.rejectedWith(/already exists/).then(() => restore(), restore);
+    });
+  });
+  describe('#reconnect', function () {
+    afterEach(function () {
+      session._reset();
+    });
+    it('should restore online things after the edge bus is lost', function (done) {
+      var connections = [];
+      var connect = sinon.spy(fakeConnect);
+      var stub = sinon.stub(dbus, 'createClient').callsFake(function () {
+        var client = fakeCreateClient();
+        connections.push(client.connection);
+        client.getService = function (serviceName) {
+          if (serviceName === 'iot.dmp.dimu') {
+            return {
+              getInterface: function (objName, ifaceName, callback) {
+                callback(undefined, Object.assign({}, fakeDimuInterface, { connect }));
+              }
+            };
+          }
+          return fakeGetService(serviceName);
+        };
+        return client;
+      });
+      var events = [];
+      function restore(err) {
+        stub.restore();
+        done(err);
+      }
+      session.configure({ reconnectInterval: 0 });
+      session.on('disconnected', () => events.push('disconnected'));
+      session.on('reconnecting', () => events.push('reconnecting'));
+      var client = new ThingAccessClient({
+        productKey: 'Your Product Key',
+        deviceName: 'Your Device Name',
+      }, {
+        setProperties: function () {},
+        getProperties: function () {},
+        callService: function () {},
+      });
+      client.registerAndOnline()
+        .then(function () {
+          return new Promise(function (resolve) {
+            session.once('reconnected', function () {
+              events.push('reconnected');
+              // Wait for things to be restored.
+              setTimeout(resolve, 10);
+            });
+            connections[0].emit('end');
+          });
+        })
+        .then(function () {
+          events.should.eql(['disconnected', 'reconnecting', 'reconnected']);
+          stub.calledTwice.should.be.true();
+          connect.calledTwice.should.be.true();
+          session.accesses.size.should.equal(1);
+          session.pendingAccesses.size.should.equal(0);
+          client.state.should.equal('online');
+        })
+        .then(restore, restore);
+    });
+    it('should back off since registering module fails asynchronously', function (done) {
+      var connections = [];
+      var registerDriver = sinon.spy(function (info, callback) {
+        // Fail the first registering after the edge bus is lost.
+        var code = registerDriver.callCount === 2 ? 1 : 0;
+        setImmediate(function () {
+          callback(null, JSON.stringify({ code, message: 'Not ready' }));
+        });
+      });
+      var stub = sinon.stub(dbus, 'createClient').callsFake(function () {
+        var client = fakeCreateClient();
+        connections.push(client.connection);
+        client.getService = function (serviceName) {
+          if (serviceName === 'iot.dmp.dimu') {
+            return {
+              getInterface: function (objName, ifaceName, callback) {
+                callback(undefined, Object.assign({}, fakeDimuInterface, { registerDriver }));
+              }
+            };
+          }
+          return fakeGetService(serviceName);
+        };
+        return client;
+      });
+      var attempts = [];
+      function restore(err) {
+        stub.restore();
+        done(err);
+      }
+      session.configure({ reconnectInterval: 0 });
+      session.on('reconnecting', (attempt) => attempts.push(attempt));
+      session.initialize()
+        .then(function () {
+          return new Promise(function (resolve) {
+            session.once('reconnected', resolve);
+            connections[0].emit('end');
+          });
+        })
+        .then(function () {
+          attempts.should.eql([1, 2]);
+          registerDriver.callCount.should.equal(3);
+        })
+        .then(restore, restore);
+    });
+    it('should restore things again since connecting fails asynchronously', function (done) {
+      var connections = [];
+      var connect = sinon.spy(function (thingInfo, callback) {
+        // Fail the first connecting after the edge bus is lost.
+        if (connect.callCount === 2) {
+          setImmediate(function () {
+            callback(null, JSON.stringify({ code: 1, message: 'Not ready' }));
+          });
+          return;
+        }
+        setImmediate(fakeConnect, thingInfo, callback);
+      });
+      var stub = sinon.stub(dbus, 'createClient').callsFake(function () {
+        var client = fakeCreateClient();
+        connections.push(client.connection);
+        client.getService = function (serviceName) {
+          if (serviceName === 'iot.dmp.dimu') {
+            return {
+              getInterface: function (objName, ifaceName, callback) {
+                callback(undefined, Object.assign({}, fakeDimuInterface, { connect }));
+              }
+            };
+          }
+          return fakeGetService(serviceName);
+        };
+        return client;
+      });
+      function restore(err) {
+        stub.restore();
+        done(err);
+      }
+      session.configure({ reconnectInterval: 0 });
+      var client = new ThingAccessClient({
+        productKey: 'Your Product Key',
+        deviceName: 'Your Device Name',
+      }, {
+        setProperties: function () {},
+        getProperties: function () {},
+        callService: function () {},
+      });
+      client.registerAndOnline()
+        .then(function () {
+          return new Promise(function (resolve) {
+            client.on('stateChanged', function (state) {
+              if (state === 'online') {
+                // Wait for the thing to be restored.
+                setTimeout(resolve, 10);
+              }
+            });
+            connections[0].emit('end');
+          });
+        })
+        .then(function () {
+          connect.callCount.should.equal(3);
+          session.pendingAccesses.size.should.equal(0);
+        })
+        .then(restore, restore);
+    });
+    it('should not reconnect since reconnecting is disabled', function (done) {
+      var connection;
+      var stub = sinon.stub(dbus, 'createClient').callsFake(function () {
+        var client = fakeCreateClient();
+        connection = client.connection;
+        return client;
+      });
+      function restore(err) {
+        stub.restore();
+        done(err);
+      }
+      session.configure({ reconnect: false });
+      session.initialize()
+        .then(function () {
+          connection.emit('error', new Error('Connection reset.'));
+          session.reconnecting.should.be.true();
+          should(session.edgeBus).be.undefined();
+          stub.calledOnce.should.be.true();
+        })
+        .then(restore, restore);
+    });
+  });
   describe('#finalize', function () {
     afterEach(function () {
       session._reset();
@@ -1870,6 +3640,28 @@ function fakeCreateClient() {
   };
 }
 
+// Returns a fake createClient whose config manager returns the specified result.
+function fakeCreateClientWithConfig(result) {
+  return function () {
+    var client = fakeCreateClient();
+    client.getService = function (serviceName) {
+      if (serviceName === 'iot.dmp.configmanager') {
+        return {
+          getInterface: function (objName, ifaceName, callback) {
+            callback(undefined, {
+              get_config: function (key, callback) {
+                callback(undefined, 0, result);
+              },
+            });
+          }
+        };
+      }
+      return fakeGetService(serviceName);
+    };
+    return client;
+  };
+}
+
 var fakeConfigInterface = {
   get_config: fakeGetConfig,
 };
@@ -0,0 +1,195 @@
+/*
+ * Copyright (c) 2018 Alibaba Group Holding Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const should = require('should');
+
+const Tsl = require('../../lib/tsl');
+
+const tslObject = {
+  schema: 'https://iot-tsl.oss-cn-shanghai.aliyuncs.com/schema.json',
+  profile: {
+    productKey: 'Your Product Key',
+  },
+  properties: [
+    {
+      identifier: 'LightSwitch',
+      name: 'Light Switch',
+      accessMode: 'rw',
+      required: true,
+      dataType: { type: 'bool', specs: { 0: 'off', 1: 'on' } },
+    },
+    {
+      identifier: 'MeasuredIlluminance',
+      name: 'Measured Illuminance',
+      accessMode: 'r',
+      required: false,
+      dataType: {
+        type: 'double',
+        specs: { min: '0', max: '1000', step: '0.1', unit: 'Lux', unitName: '照度' },
+      },
+    },
+    {
+      identifier: 'Color',
+      name: 'Color',
+      accessMode: 'rw',
+      dataType: {
+        type: 'struct',
+        specs: [
+          { identifier: 'Red', name: 'Red', dataType: { type: 'int', specs: { min: '0', max: '255' } } },
+          { identifier: 'Green', name: 'Green', dataType: { type: 'int', specs: { min: '0', max: '255' } } },
+          { identifier: 'Blue', name: 'Blue', dataType: { type: 'int', specs: { min: '0', max: '255' } } },
+        ],
+      },
+    },
+    {
+      identifier: 'History',
+      name: 'History',
+      accessMode: 'r',
+      dataType: {
+        type: 'array',
+        specs: { size: '3', item: { type: 'text', specs: { length: '16' } } },
+      },
+    },
+  ],
+  events: [
+    {
+      identifier: 'high_temperature',
+      name: 'High Temperature',
+      type: 'alert',
+      required: false,
+      method: 'thing.event.high_temperature.post',
+      outputData: [
+        { identifier: 'temperature', name: 'Temperature', dataType: { type: 'int', specs: { min: '-40', max: '120' } } },
+      ],
+    },
+  ],
+  services: [
+    {
+      identifier: 'SetBrightness',
+      name: 'Set Brightness',
+      callType: 'sync',
+      required: false,
+      method: 'thing.service.SetBrightness',
+      inputData: [
+        { identifier: 'Brightness', name: 'Brightness', dataType: { type: 'enum', specs: { 0: 'low', 1: 'middle', 2: 'high' } } },
+      ],
+      outputData: [
+        { identifier: 'Time', name: 'Time', dataType: { type: 'date', specs: {} } },
+      ],
+    },
+  ],
+};
+
+describe('Tsl', function () {
+  describe('#constructor', function () {
+    it('should fail since the TSL is not JSON string', function () {
+      (function () {
+        new Tsl('{properties:[]}');
+      }).should.throw('TSL is not JSON string!');
+    });
+    it('should fail since the TSL is not an object', function () {
+      (function () {
+        new Tsl('[]');
+      }).should.throw();
+    });
+    it('should fail since identifier of a property is missing', function () {
+      (function () {
+        new Tsl({ properties: [{ dataType: { type: 'int' } }] });
+      }).should.throw(/identifier/);
+    });
+    it('should fail since data type is unknown', function () {
+      (function () {
+        new Tsl({ properties: [{ identifier: 'a', dataType: { type: 'long' } }] });
+      }).should.throw(/Unknown data type "long"/);
+    });
+    it('should pass since the TSL is empty', function () {
+      var tsl = new Tsl('{}');
+      tsl.properties.should.be.empty();
+      tsl.events.should.be.empty();
+      tsl.services.should.be.empty();
+    });
+    it('should pass since all requirements meet', function () {
+      var tsl = new Tsl(JSON.stringify(tslObject));
+      tsl.productKey.should.equal('Your Product Key');
+      tsl.properties.should.have.length(4);
+      tsl.events.should.have.length(1);
+      tsl.services.should.have.length(1);
+    });
+  });
+  describe('#property', function () {
+    var tsl = new Tsl(tslObject);
+    it('should return undefined since the property does not exist', function () {
+      should(tsl.property('Brightness')).be.undefined();
+    });
+    it('should parse bool properties', function () {
+      var property = tsl.property('LightSwitch');
+      property.name.should.equal('Light Switch');
+      property.readable.should.be.true();
+      property.writable.should.be.true();
+      property.required.should.be.true();
+      property.dataType.type.should.equal('bool');
+      property.dataType.values.get(1).should.equal('on');
+    });
+    it('should parse numeric properties', function () {
+      var property = tsl.property('MeasuredIlluminance');
+      property.writable.should.be.false();
+      property.dataType.min.should.equal(0);
+      property.dataType.max.should.equal(1000);
+      property.dataType.step.should.equal(0.1);
+      property.dataType.unit.should.equal('Lux');
+      property.dataType.unitName.should.equal('照度');
+    });
+    it('should parse struct properties', function () {
+      var dataType = tsl.property('Color').dataType;
+      dataType.fields.map(field => field.identifier).should.eql(['Red', 'Green', 'Blue']);
+      dataType.field('Green').dataType.max.should.equal(255);
+      should(dataType.field('Alpha')).be.undefined();
+    });
+    it('should parse array properties', function () {
+      var dataType = tsl.property('History').dataType;
+      dataType.size.should.equal(3);
+      dataType.item.type.should.equal('text');
+      dataType.item.length.should.equal(16);
+    });
+  });
+  describe('#event', function () {
+    var tsl = new Tsl(tslObject);
+    it('should return undefined since the event does not exist', function () {
+      should(tsl.event('low_temperature')).be.undefined();
+    });
+    it('should pass since all requirements meet', function () {
+      var event = tsl.event('high_temperature');
+      event.type.should.equal('alert');
+      event.method.should.equal('thing.event.high_temperature.post');
+      event.outputParam('temperature').dataType.min.should.equal(-40);
+      should(event.outputParam('humidity')).be.undefined();
+    });
+  });
+  describe('#service', function () {
+    var tsl = new Tsl(tslObject);
+    it('should return undefined since the service does not exist', function () {
+      should(tsl.service('SetColor')).be.undefined();
+    });
+    it('should pass since all requirements meet', function () {
+      var service = tsl.service('SetBrightness');
+      service.callType.should.equal('sync');
+      service.inputParam('Brightness').dataType.values.size.should.equal(3);
+      service.outputParam('Time').dataType.type.should.equal('date');
+    });
+  });
+});
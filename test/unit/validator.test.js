@@ -0,0 +1,284 @@
+/*
+ * Copyright (c) 2018 Alibaba Group Holding Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const should = require('should');
+
+const Tsl = require('../../lib/tsl');
+const { DataType } = Tsl;
+const {
+  validateValue,
+  validateTime,
+  validateProperties,
+  validateEvent,
+  validateSetProperties,
+  validateServiceArgs,
+} = require('../../lib/validator');
+const {
+  ERROR_PROPERTY_NOT_EXIST,
+  ERROR_PROPERTY_READ_ONLY,
+  ERROR_SERVICE_NOT_EXIST,
+  ERROR_SERVICE_INVALID_PARAM,
+  ERROR_INVALID_TYPE,
+  ERROR_PARAM_RANGE_OVERFLOW,
+} = require('../../lib/errors');
+
+function validate(desc, value) {
+  return function () {
+    validateValue(new DataType(desc), value, 'value');
+  };
+}
+
+describe('validator', function () {
+  describe('#validateValue', function () {
+    it('should validate int', function () {
+      var desc = { type: 'int', specs: { min: '0', max: '10' } };
+      validate(desc, 1.5).should.throw({ code: ERROR_INVALID_TYPE });
+      validate(desc, '1').should.throw({ code: ERROR_INVALID_TYPE });
+      validate(desc, 11).should.throw({ code: ERROR_PARAM_RANGE_OVERFLOW });
+      validate(desc, -1).should.throw(/out of range \[0, 10\]/);
+      validate(desc, 10).should.not.throw();
+    });
+    it('should validate float and double', function () {
+      var desc = { type: 'double', specs: { min: '-1.5', max: '1.5' } };
+      validate(desc, NaN).should.throw({ code: ERROR_INVALID_TYPE });
+      validate(desc, 1.6).should.throw({ code: ERROR_PARAM_RANGE_OVERFLOW });
+      validate(desc, -1.5).should.not.throw();
+      validate({ type: 'float' }, 1e10).should.not.throw();
+    });
+    it('should validate bool and enum', function () {
+      var desc = { type: 'enum', specs: { 0: 'low', 1: 'high' } };
+      validate(desc, 'low').should.throw({ code: ERROR_INVALID_TYPE });
+      validate(desc, 2).should.throw({ code: ERROR_PARAM_RANGE_OVERFLOW });
+      validate(desc, 1).should.not.throw();
+      validate({ type: 'bool', specs: { 0: 'off', 1: 'on' } }, true)
+        .should.throw({ code: ERROR_INVALID_TYPE });
+    });
+    it('should validate text', function () {
+      var desc = { type: 'text', specs: { length: '3' } };
+      validate(desc, 123).should.throw({ code: ERROR_INVALID_TYPE });
+      validate(desc, 'abcd').should.throw({ code: ERROR_PARAM_RANGE_OVERFLOW });
+      validate(desc, 'abc').should.not.throw();
+    });
+    it('should validate date', function () {
+      var desc = { type: 'date', specs: {} };
+      validate(desc, '2018-10-01').should.throw({ code: ERROR_INVALID_TYPE });
+      validate(desc, -1).should.throw({ code: ERROR_INVALID_TYPE });
+      validate(desc, '1538352000000').should.not.throw();
+      validate(desc, 1538352000000).should.not.throw();
+    });
+    it('should validate struct', function () {
+      var desc = {
+        type: 'struct',
+        specs: [
+          { identifier: 'Red', dataType: { type: 'int', specs: { min: '0', max: '255' } } },
+        ],
+      };
+      validate(desc, [255]).should.throw({ code: ERROR_INVALID_TYPE });
+      validate(desc, { Alpha: 1 }).should.throw(/Unknown field "Alpha" in "value"/);
+      validate(desc, { Red: 256 }).should.throw(/"value\.Red"/);
+      validate(desc, { Red: 255 }).should.not.throw();
+    });
+    it('should validate array', function () {
+      var desc = {
+        type: 'array',
+        specs: { size: '2', item: { type: 'text', specs: { length: '2' } } },
+      };
+      validate(desc, 'ab').should.throw({ code: ERROR_INVALID_TYPE });
+      validate(desc, ['a', 'b', 'c']).should.throw({ code: ERROR_PARAM_RANGE_OVERFLOW });
+      validate(desc, ['a', 1]).should.throw(/"value\[1\]"/);
+      validate(desc, ['a', 'b']).should.not.throw();
+    });
+  });
+  describe('#validateProperties', function () {
+    var tsl = new Tsl({
+      properties: [{
+        identifier: 'temperature',
+        accessMode: 'r',
+        dataType: { type: 'int', specs: { min: '-40', max: '120' } },
+      }],
+    });
+    it('should fail since properties is not an object', function () {
+      (function () {
+        validateProperties(tsl, [41]);
+      }).should.throw({ code: ERROR_INVALID_TYPE });
+    });
+    it('should fail since the property does not exist', function () {
+      (function () {
+        validateProperties(tsl, { humidity: 50 });
+      }).should.throw({ code: ERROR_PROPERTY_NOT_EXIST });
+    });
+    it('should fail since the value is illegal', function () {
+      (function () {
+        validateProperties(tsl, { temperature: 121 });
+      }).should.throw({ code: ERROR_PARAM_RANGE_OVERFLOW });
+    });
+    it('should pass since all requirements meet', function () {
+      (function () {
+        validateProperties(tsl, { temperature: 41 });
+      }).should.not.throw();
+    });
+  });
+  describe('#validateEvent', function () {
+    var tsl = new Tsl({
+      events: [{
+        identifier: 'high_temperature',
+        type: 'alert',
+        outputData: [{
+          identifier: 'temperature',
+          dataType: { type: 'int', specs: { min: '-40', max: '120' } },
+        }],
+      }, {
+        identifier: 'post',
+        type: 'notice',
+      }],
+    });
+    it('should fail since the event does not exist', function () {
+      (function () {
+        validateEvent(tsl, 'low_temperature', {});
+      }).should.throw({ code: ERROR_SERVICE_NOT_EXIST });
+    });
+    it('should fail since the event type is illegal', function () {
+      (function () {
+        validateEvent(tsl, 'post', {});
+      }).should.throw(/Illegal type of event "post"/);
+    });
+    it('should fail since args is not an object', function () {
+      (function () {
+        validateEvent(tsl, 'high_temperature', 41);
+      }).should.throw({ code: ERROR_INVALID_TYPE });
+    });
+    it('should fail since the param is unknown', function () {
+      (function () {
+        validateEvent(tsl, 'high_temperature', { humidity: 50 });
+      }).should.throw(/Unknown output param "humidity" of event "high_temperature"/);
+    });
+    it('should fail since the param is out of range', function () {
+      (function () {
+        validateEvent(tsl, 'high_temperature', { temperature: 121 });
+      }).should.throw({
+        code: ERROR_PARAM_RANGE_OVERFLOW,
+        message: 'Value of "high_temperature.temperature" is out of range [-40, 120]: 121.',
+      });
+    });
+    it('should pass since all requirements meet', function () {
+      (function () {
+        validateEvent(tsl, 'high_temperature', { temperature: 41 });
+      }).should.not.throw();
+    });
+  });
+  describe('#validateSetProperties', function () {
+    var tsl = new Tsl({
+      properties: [{
+        identifier: 'temperature',
+        accessMode: 'r',
+        dataType: { type: 'int' },
+      }, {
+        identifier: 'LightSwitch',
+        accessMode: 'rw',
+        dataType: { type: 'bool', specs: { 0: 'off', 1: 'on' } },
+      }],
+    });
+    it('should fail since the property does not exist', function () {
+      (function () {
+        validateSetProperties(tsl, { humidity: 50 });
+      }).should.throw({ code: ERROR_PROPERTY_NOT_EXIST });
+    });
+    it('should fail since the property is read-only', function () {
+      (function () {
+        validateSetProperties(tsl, { temperature: 41 });
+      }).should.throw({ code: ERROR_PROPERTY_READ_ONLY });
+    });
+    it('should fail since the type mismatches', function () {
+      (function () {
+        validateSetProperties(tsl, { LightSwitch: 'on' });
+      }).should.throw({ code: ERROR_INVALID_TYPE });
+    });
+    it('should pass since all requirements meet', function () {
+      (function () {
+        validateSetProperties(tsl, { LightSwitch: 0 });
+      }).should.not.throw();
+    });
+  });
+  describe('#validateServiceArgs', function () {
+    var tsl = new Tsl({
+      services: [{
+        identifier: 'SetBrightness',
+        inputData: [{
+          identifier: 'Brightness',
+          dataType: { type: 'int', specs: { min: '0', max: '100' } },
+        }],
+      }],
+    });
+    it('should fail since the service does not exist', function () {
+      (function () {
+        validateServiceArgs(tsl, 'SetColor', {});
+      }).should.throw({ code: ERROR_SERVICE_NOT_EXIST });
+    });
+    it('should fail since args is not an object', function () {
+      (function () {
+        validateServiceArgs(tsl, 'SetBrightness', null);
+      }).should.throw({ code: ERROR_SERVICE_INVALID_PARAM });
+    });
+    it('should fail since the param is unknown', function () {
+      (function () {
+        validateServiceArgs(tsl, 'SetBrightness', { Color: 1 });
+      }).should.throw({ code: ERROR_SERVICE_INVALID_PARAM });
+    });
+    it('should fail since the param is illegal', function () {
+      (function () {
+        validateServiceArgs(tsl, 'SetBrightness', { Brightness: 101 });
+      }).should.throw({
+        code: ERROR_SERVICE_INVALID_PARAM,
+        message: 'Value of "SetBrightness.Brightness" is out of range [0, 100]: 101.',
+      });
+    });
+    it('should pass since all requirements meet', function () {
+      (function () {
+        validateServiceArgs(tsl, 'SetBrightness', { Brightness: 50 });
+      }).should.not.throw();
+    });
+  });
+  describe('#validateTime', function () {
+    it('should fail since the time is not an integer', function () {
+      ['2018-01-01', 1514764800000.5, NaN, null, new Date('x')].forEach((time) => {
+        (function () {
+          validateTime(time, 'time');
+        }).should.throw({ code: ERROR_INVALID_TYPE });
+      });
+    });
+    it('should fail since the time is before 2000', function () {
+      (function () {
+        validateTime(1514764800, 'time');
+      }).should.throw({
+        code: ERROR_PARAM_RANGE_OVERFLOW,
+        message: 'Value of "time" is out of range: 1970-01-18T12:46:04.800Z.',
+      });
+    });
+    it('should fail since the time is too far in the future', function () {
+      (function () {
+        validateTime(Date.now() + 61000, 'time');
+      }).should.throw({ code: ERROR_PARAM_RANGE_OVERFLOW });
+    });
+    it('should return the time in milliseconds', function () {
+      validateTime(1514764800000, 'time').should.equal(1514764800000);
+      validateTime(new Date(1514764800000), 'time').should.equal(1514764800000);
+      var now = Date.now() + 30000;
+      validateTime(now, 'time').should.equal(now);
+    });
+  });
+});
@@ -0,0 +1,34 @@
+/*
+ * Copyright (c) 2018 Alibaba Group Holding Ltd.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// The SDK requires the function id and name given by the runtime of Link IoT
+// Edge, which are faked unless the tests specify them.
+process.env.FUNCTION_ID = process.env.FUNCTION_ID || 'fakeFunctionId';
+process.env.FUNCTION_NAME = process.env.FUNCTION_NAME || 'fakeFunctionName';
+
+const {
+  FakeEdgeBus,
+  FakeThing,
+} = require('./lib/fake-edge-bus');
+const MockEdgeDaemon = require('./lib/mock-edge-daemon');
+
+module.exports = {
+  FakeEdgeBus,
+  FakeThing,
+  MockEdgeDaemon,
+};